@@ -0,0 +1,70 @@
+const crypto = require("crypto");
+
+class ApprovalError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ApprovalError";
+    this.status = status;
+  }
+}
+
+// Tracks sign-offs for withdrawals that need two different approvers.
+// Approvals are bound to the withdrawal details so the second approver
+// can't be shown different parameters than the first.
+function createApprovalTracker({ store }) {
+  function hashDetails(details) {
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(details))
+      .digest("hex");
+  }
+
+  return {
+    // Returns { complete, approvals } after recording this approver
+    record(withdrawalId, details, approver) {
+      const detailsHash = hashDetails(details);
+      const existing = store.get(withdrawalId);
+
+      if (existing && existing.detailsHash !== detailsHash) {
+        throw new ApprovalError(
+          409,
+          "Withdrawal details differ from the first approval"
+        );
+      }
+
+      const approvals = existing ? existing.approvals : [];
+      if (approvals.some((approval) => approval.userId === approver.id)) {
+        throw new ApprovalError(
+          409,
+          "A second approval must come from a different admin"
+        );
+      }
+
+      const entry = store.put({
+        id: withdrawalId,
+        detailsHash,
+        approvals: [
+          ...approvals,
+          {
+            userId: approver.id,
+            email: approver.email,
+            at: new Date().toISOString(),
+          },
+        ],
+      });
+
+      return {
+        complete: entry.approvals.length >= 2,
+        approvals: entry.approvals,
+      };
+    },
+    get(withdrawalId) {
+      return store.get(withdrawalId);
+    },
+  };
+}
+
+module.exports = {
+  ApprovalError,
+  createApprovalTracker,
+};
@@ -0,0 +1,207 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+class AuditQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AuditQueryError";
+    this.status = 400;
+  }
+}
+
+const GENESIS_HASH = "0".repeat(64);
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// JSON with object keys sorted, so equal payloads hash the same however
+// they were built
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashPayload(payload) {
+  return payload === undefined || payload === null
+    ? null
+    : sha256(stableStringify(payload));
+}
+
+// An entry's hash covers the previous entry's hash and every other field
+// of the entry, in the order they were written
+function hashEntry(entry) {
+  const { hash, ...body } = entry;
+  return sha256(`${body.prevHash}\n${JSON.stringify(body)}`);
+}
+
+function readLines(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs
+    .readFileSync(filePath, "utf8")
+    .split("\n")
+    .filter((line) => line.trim());
+}
+
+// Walks the whole chain. Any edited, reordered, inserted or removed entry
+// breaks it from that point on; returns where and why. The chain alone
+// can't show entries cut off the end, so a head hash recorded earlier can
+// be passed as knownHead and must still be part of it.
+function verifyAuditLog(filePath, { knownHead } = {}) {
+  const lines = readLines(filePath);
+  let prevHash = GENESIS_HASH;
+  let knownHeadFound = !knownHead || knownHead === GENESIS_HASH;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = index + 1;
+    let entry;
+    try {
+      entry = JSON.parse(lines[index]);
+    } catch (error) {
+      return { ok: false, entries: index, line, reason: "unparseable entry" };
+    }
+
+    let reason = null;
+    if (entry.seq !== line) {
+      reason = `expected seq ${line}, found ${entry.seq}`;
+    } else if (entry.prevHash !== prevHash) {
+      reason = "prevHash does not match the previous entry";
+    } else if (entry.hash !== hashEntry(entry)) {
+      reason = "hash does not match the entry's contents";
+    }
+    if (reason) {
+      return { ok: false, entries: index, line, seq: entry.seq, reason };
+    }
+    prevHash = entry.hash;
+    if (entry.hash === knownHead) knownHeadFound = true;
+  }
+
+  if (!knownHeadFound) {
+    return {
+      ok: false,
+      entries: lines.length,
+      reason: `known head ${knownHead} is missing`,
+    };
+  }
+  return { ok: true, entries: lines.length, head: prevHash };
+}
+
+// A date-only upper bound ("2026-10-19") includes that whole day
+function parseUpper(value) {
+  const time = Date.parse(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 86400000 - 1 : time;
+}
+
+// Append-only, hash-chained record of money-moving actions. The file is
+// only ever appended to (never compacted), and a single process should
+// write it so the chain stays linear.
+function createAuditLog({ filePath }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  let seq = 0;
+  let head = GENESIS_HASH;
+  const lines = readLines(filePath);
+  for (let index = lines.length - 1; index >= 0; index--) {
+    try {
+      const last = JSON.parse(lines[index]);
+      seq = last.seq;
+      head = last.hash;
+      break;
+    } catch (error) {
+      // Keep chaining from the last readable entry; verification will
+      // still report the bad line
+      logger.error("Unreadable audit log entry", { filePath, error });
+    }
+  }
+
+  return {
+    // actor is the Supabase user ({ id, email }) or a system actor;
+    // payload is hashed, not stored
+    record({
+      action,
+      actor,
+      userId,
+      orderId,
+      withdrawalId,
+      payload,
+      ccpaymentCode,
+      reason,
+    }) {
+      const entry = {
+        seq: seq + 1,
+        at: new Date().toISOString(),
+        action,
+        actor: actor
+          ? { id: actor.id, email: actor.email || null }
+          : { id: "system", email: null },
+        userId: userId || null,
+        orderId: orderId || null,
+        withdrawalId: withdrawalId || null,
+        payloadHash: hashPayload(payload),
+        ccpaymentCode: ccpaymentCode ?? null,
+        reason: reason || null,
+        prevHash: head,
+      };
+      entry.hash = hashEntry(entry);
+
+      fs.appendFileSync(filePath, JSON.stringify(entry) + "\n");
+      seq = entry.seq;
+      head = entry.hash;
+      return entry;
+    },
+    // Newest first. userId matches the acting user or the user the action
+    // was for; from/to are ISO dates or times.
+    query({ userId, orderId, action, from, to, limit = 100 } = {}) {
+      const fromTime = from ? Date.parse(from) : null;
+      const toTime = to ? parseUpper(to) : null;
+      if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+        throw new AuditQueryError("from and to must be ISO dates");
+      }
+
+      const matches = [];
+      for (const line of readLines(filePath)) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+        const at = Date.parse(entry.at);
+        if (
+          (!userId || entry.userId === userId || entry.actor.id === userId) &&
+          (!orderId || entry.orderId === orderId) &&
+          (!action || entry.action === action) &&
+          (fromTime === null || at >= fromTime) &&
+          (toTime === null || at <= toTime)
+        ) {
+          matches.push(entry);
+        }
+      }
+      return matches.reverse().slice(0, limit);
+    },
+    head() {
+      return { seq, hash: head };
+    },
+    verify() {
+      return verifyAuditLog(filePath);
+    },
+  };
+}
+
+module.exports = {
+  AuditQueryError,
+  hashPayload,
+  verifyAuditLog,
+  createAuditLog,
+};
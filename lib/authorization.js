@@ -0,0 +1,120 @@
+const fs = require("fs");
+const { logger } = require("./logger");
+const { sendError } = require("./errors");
+
+// Permissions checked by the proxy's admin routes
+const PERMISSIONS = [
+  "withdrawal:approve",
+  "withdrawal:reject",
+  "withdrawal:view",
+  "webhooks:view",
+  "webhooks:replay",
+  "audit:view",
+  "reconciliation:view",
+  "reconciliation:run",
+];
+
+const DEFAULT_CLAIM_PATHS = ["app_metadata.roles", "app_metadata.role"];
+
+// Policy comes from ADMIN_POLICY (JSON) or ADMIN_POLICY_FILE, e.g.
+// {"roles": {"withdrawal:approve": ["admin", "finance"]},
+//  "dualApprovalThreshold": {"USDT": 1000, "ETH": 0.5, "*": 1000}}
+// Permissions the policy doesn't mention are granted to "admin" only.
+// Thresholds are in units of the withdrawn currency, with "*" for any
+// currency not listed; a single number applies to every currency.
+function loadPolicy({ json, file } = {}) {
+  let raw = {};
+  if (file) {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } else if (json) {
+    raw = JSON.parse(json);
+  }
+
+  const roles = {};
+  for (const permission of PERMISSIONS) {
+    roles[permission] = raw.roles?.[permission] || ["admin"];
+  }
+
+  for (const permission of Object.keys(raw.roles || {})) {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Unknown permission in admin policy: ${permission}`);
+    }
+  }
+
+  let thresholds = raw.dualApprovalThreshold ?? {};
+  if (typeof thresholds !== "object" || Array.isArray(thresholds)) {
+    thresholds = { "*": thresholds };
+  }
+  const dualApprovalThresholds = {};
+  for (const [currency, threshold] of Object.entries(thresholds)) {
+    if (threshold === null || !(Number(threshold) >= 0)) {
+      throw new Error(
+        `dualApprovalThreshold for ${currency} must be a non-negative number`
+      );
+    }
+    dualApprovalThresholds[currency] = Number(threshold);
+  }
+
+  return { roles, dualApprovalThresholds };
+}
+
+function readPath(object, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function createAuthorizer({ policy, claimPath }) {
+  const claimPaths = claimPath ? [claimPath] : DEFAULT_CLAIM_PATHS;
+
+  function getRoles(user) {
+    for (const path of claimPaths) {
+      const value = readPath(user, path);
+      if (Array.isArray(value)) return value.map(String);
+      if (typeof value === "string") return [value];
+    }
+    return [];
+  }
+
+  function can(user, permission) {
+    const allowed = policy.roles[permission] || [];
+    return getRoles(user).some((role) => allowed.includes(role));
+  }
+
+  // The amount above which a withdrawal in this currency needs two
+  // approvers, null if it never does
+  function dualApprovalThreshold(currency) {
+    const thresholds = policy.dualApprovalThresholds;
+    return thresholds[currency] ?? thresholds["*"] ?? null;
+  }
+
+  return {
+    policy,
+    getRoles,
+    can,
+    // Express middleware; expects req.user from the authentication step
+    require(permission) {
+      return (req, res, next) => {
+        if (!req.user || !can(req.user, permission)) {
+          logger.warn("Admin permission denied", {
+            userId: req.user?.id,
+            permission,
+          });
+          return sendError(res, 403, "Admin access required");
+        }
+        next();
+      };
+    },
+    dualApprovalThreshold,
+    requiresDualApproval(amount, currency) {
+      const threshold = dualApprovalThreshold(currency);
+      return threshold !== null && Number(amount) > threshold;
+    },
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  loadPolicy,
+  createAuthorizer,
+};
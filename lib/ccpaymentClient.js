@@ -0,0 +1,318 @@
+const axios = require("axios");
+const { createSignature } = require("./signature");
+const { logger: rootLogger } = require("./logger");
+const { observeUpstream } = require("./metrics");
+const { httpAgent, httpsAgent, backoffDelay, sleep } = require("./resilience");
+
+const SUCCESS_CODE = 10000;
+
+// Default per-endpoint timeouts in ms; anything unlisted uses the client's
+// timeout
+const ENDPOINT_TIMEOUTS = {
+  getCoinList: 10000,
+  getAppDepositRecord: 10000,
+  getAppWithdrawRecord: 10000,
+  getAppDepositRecordList: 10000,
+  getAppWithdrawRecordList: 10000,
+  createAppOrderDepositAddress: 15000,
+  getOrCreateAppDepositAddress: 15000,
+  applyAppWithdrawToNetwork: 15000,
+};
+
+// Reads, plus getOrCreateAppDepositAddress which returns the same address
+// for the same referenceId. Everything else could create a second order or
+// withdrawal, so it is never retried here.
+const RETRYABLE_ENDPOINTS = new Set([
+  "getCoinList",
+  "getAppDepositRecord",
+  "getAppWithdrawRecord",
+  "getAppDepositRecordList",
+  "getAppWithdrawRecordList",
+  "getOrCreateAppDepositAddress",
+]);
+
+// CCPayment v2 endpoints known by name, whether the proxy calls them itself
+// or passes them through. Metrics label any other path "other", so callers
+// can't create a label per made-up path.
+const KNOWN_ENDPOINTS = new Set([
+  ...Object.keys(ENDPOINT_TIMEOUTS),
+  "getCoin",
+  "getCoinUSDTPrice",
+  "getChainList",
+  "getFiatList",
+  "getAppCoinAsset",
+  "getAppCoinAssetList",
+  "getAppOrderInfo",
+  "createInvoiceUrl",
+  "getInvoiceOrderInfo",
+  "applyAppWithdrawToCwallet",
+  "getWithdrawFee",
+  "checkWithdrawalAddressValidity",
+  "getCwalletUserId",
+  "rescanLostTransaction",
+  "getOrCreateUserDepositAddress",
+  "getUserDepositRecord",
+  "getUserDepositRecordList",
+  "applyUserWithdrawToNetwork",
+  "applyUserWithdrawToCwallet",
+  "getUserWithdrawRecord",
+  "getUserWithdrawRecordList",
+  "getUserCoinAsset",
+  "getUserCoinAssetList",
+  "userTransfer",
+  "getUserTransferRecord",
+  "getUserTransferRecordList",
+]);
+
+class CCPaymentError extends Error {
+  constructor(
+    message,
+    { type, status, ccpaymentCode, ccpaymentResponse, code }
+  ) {
+    super(message);
+    this.name = "CCPaymentError";
+    // business | http | timeout | network | circuit_open
+    this.type = type;
+    this.status = status;
+    this.ccpaymentCode = ccpaymentCode;
+    this.ccpaymentResponse = ccpaymentResponse;
+    if (code) this.code = code;
+  }
+}
+
+// Signed client for the CCPayment v2 endpoints used by the proxy.
+// The body is serialized once so the signed bytes are the sent bytes.
+// requestId is forwarded as X-Request-Id to correlate our logs with theirs.
+// Safe endpoints are retried with jittered backoff, each attempt signed
+// with a fresh timestamp; breaker (shared between clients) fails fast
+// while CCPayment is down.
+class CCPaymentClient {
+  constructor({
+    appId,
+    appSecret,
+    baseUrl = "https://ccpayment.com/ccpayment/v2",
+    timeout = 30000,
+    timeouts = {},
+    maxRetries = 2,
+    retryBaseMs = 200,
+    breaker = null,
+    requestId,
+    logger = rootLogger,
+  }) {
+    this.appId = appId;
+    this.appSecret = appSecret;
+    this.baseUrl = baseUrl;
+    this.timeout = timeout;
+    this.timeouts = { ...ENDPOINT_TIMEOUTS, ...timeouts };
+    this.maxRetries = maxRetries;
+    this.retryBaseMs = retryBaseMs;
+    this.breaker = breaker;
+    this.requestId = requestId;
+    this.logger = logger;
+    this.upstream = new URL(baseUrl).host;
+  }
+
+  sign(timestamp, body) {
+    return createSignature(this.appId, this.appSecret, timestamp, body);
+  }
+
+  // maxRetries overrides the client's own for this call, e.g. 0 for a
+  // health check that must answer quickly
+  async request(
+    endpoint,
+    payload = {},
+    { timeout, maxRetries = this.maxRetries } = {}
+  ) {
+    const attempts = RETRYABLE_ENDPOINTS.has(endpoint) ? maxRetries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.attempt(
+          endpoint,
+          payload,
+          timeout || this.timeouts[endpoint] || this.timeout
+        );
+      } catch (error) {
+        if (attempt >= attempts || !CCPaymentClient.isTransient(error)) {
+          throw error;
+        }
+        const delay = backoffDelay(attempt, { baseMs: this.retryBaseMs });
+        this.logger.warn("Retrying CCPayment request", {
+          endpoint,
+          attempt,
+          reason: error.type,
+          retryInMs: delay,
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  async attempt(endpoint, payload, timeout) {
+    if (this.breaker && !this.breaker.allow()) {
+      throw new CCPaymentError("CCPayment circuit open, failing fast", {
+        type: "circuit_open",
+        status: 503,
+      });
+    }
+
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    const headers = {
+      "Content-Type": "application/json",
+      Appid: this.appId,
+      Sign: this.sign(timestamp, body),
+      Timestamp: timestamp,
+    };
+    if (this.requestId) headers["X-Request-Id"] = this.requestId;
+
+    const startedAt = Date.now();
+    this.logger.debug("CCPayment request", { endpoint, payload });
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/${endpoint}`, body, {
+        headers,
+        timeout,
+        httpAgent,
+        httpsAgent,
+      });
+    } catch (error) {
+      const mapped = CCPaymentClient.mapError(error);
+      if (this.breaker) {
+        if (CCPaymentClient.isTransient(mapped)) this.breaker.failure();
+        else this.breaker.success();
+      }
+      observeUpstream({
+        upstream: this.upstream,
+        endpoint,
+        outcome: mapped.type === "http" ? mapped.status : mapped.type,
+        durationMs: Date.now() - startedAt,
+        code: mapped.ccpaymentCode,
+      });
+      this.logger.error("CCPayment request failed", {
+        endpoint,
+        durationMs: Date.now() - startedAt,
+        error: mapped,
+        ccpaymentCode: mapped.ccpaymentCode,
+      });
+      throw mapped;
+    }
+
+    if (this.breaker) this.breaker.success();
+    observeUpstream({
+      upstream: this.upstream,
+      endpoint,
+      outcome: response.status,
+      durationMs: Date.now() - startedAt,
+      code: response.data.code,
+    });
+    this.logger.info("CCPayment response", {
+      endpoint,
+      durationMs: Date.now() - startedAt,
+      ccpaymentCode: response.data.code,
+    });
+    this.logger.debug("CCPayment response body", {
+      endpoint,
+      response: response.data,
+    });
+
+    if (response.data.code !== SUCCESS_CODE) {
+      throw new CCPaymentError(response.data.msg || "CCPayment API error", {
+        type: "business",
+        status: 400,
+        ccpaymentCode: response.data.code,
+        ccpaymentResponse: response.data,
+      });
+    }
+
+    return response.data;
+  }
+
+  // Failures that say nothing about the request itself: the call may
+  // succeed if repeated, and they count against the circuit breaker
+  static isTransient(error) {
+    return (
+      error instanceof CCPaymentError &&
+      (error.type === "timeout" ||
+        error.type === "network" ||
+        (error.type === "http" && error.status >= 500))
+    );
+  }
+
+  static mapError(error) {
+    if (error.response) {
+      return new CCPaymentError(
+        error.response.data?.msg || "CCPayment API error",
+        {
+          type: "http",
+          status: error.response.status || 500,
+          ccpaymentCode: error.response.data?.code,
+          ccpaymentResponse: error.response.data,
+        }
+      );
+    }
+
+    if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+      return new CCPaymentError("CCPayment request timed out", {
+        type: "timeout",
+        status: 504,
+        code: "ECONNABORTED",
+      });
+    }
+
+    return new CCPaymentError(
+      `Network error connecting to CCPayment: ${error.message}`,
+      { type: "network", status: 502, code: error.code }
+    );
+  }
+
+  getCoinList() {
+    return this.request("getCoinList");
+  }
+
+  // { coinId, price, orderId, chain }
+  createAppOrderDepositAddress(params) {
+    return this.request("createAppOrderDepositAddress", params);
+  }
+
+  // { referenceId, chain } - the same address every time for a referenceId
+  getOrCreateAppDepositAddress(params) {
+    return this.request("getOrCreateAppDepositAddress", params);
+  }
+
+  // { recordId }
+  getAppDepositRecord(params) {
+    return this.request("getAppDepositRecord", params);
+  }
+
+  // { coinId, chain, address, amount, orderId, merchantPayNetworkFee, memo? }
+  applyAppWithdrawToNetwork(params) {
+    return this.request("applyAppWithdrawToNetwork", params);
+  }
+
+  // { recordId } or { orderId }
+  getAppWithdrawRecord(params) {
+    return this.request("getAppWithdrawRecord", params);
+  }
+
+  // { startAt, endAt (unix seconds), coinId?, chain?, nextId? } - one page
+  // of { records, nextId }
+  getAppDepositRecordList(params) {
+    return this.request("getAppDepositRecordList", params);
+  }
+
+  // Same paging as getAppDepositRecordList
+  getAppWithdrawRecordList(params) {
+    return this.request("getAppWithdrawRecordList", params);
+  }
+}
+
+module.exports = {
+  SUCCESS_CODE,
+  ENDPOINT_TIMEOUTS,
+  KNOWN_ENDPOINTS,
+  CCPaymentClient,
+  CCPaymentError,
+};
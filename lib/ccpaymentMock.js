@@ -0,0 +1,519 @@
+const crypto = require("crypto");
+const express = require("express");
+const axios = require("axios");
+const { createSignature, verifySignature } = require("./signature");
+const { logger } = require("./logger");
+
+// Codes the mock answers with. The messages follow CCPayment's wording so
+// code that matches on them (e.g. the IP whitelist health check) behaves
+// as it would against the real API.
+const MOCK_CODES = {
+  success: { code: 10000, msg: "success" },
+  invalidArgument: { code: 11000, msg: "Invalid argument" },
+  invalidAppId: { code: 11001, msg: "Invalid Appid" },
+  invalidSign: { code: 11002, msg: "Invalid sign" },
+  expired: { code: 11003, msg: "Request timestamp expired" },
+  ipNotWhitelisted: { code: 11004, msg: "IP not in whitelist" },
+  insufficientBalance: { code: 12001, msg: "Insufficient balance" },
+  notFound: { code: 12002, msg: "Record not found" },
+  duplicateOrderId: { code: 12003, msg: "Duplicate orderId" },
+};
+
+const DEFAULT_COINS = [
+  {
+    coinId: 1280,
+    symbol: "USDT",
+    coinFullName: "Tether USD",
+    networks: {
+      TRX: { chain: "TRX", precision: 6 },
+      ETH: { chain: "ETH", precision: 6 },
+      BSC: { chain: "BSC", precision: 18 },
+    },
+  },
+  {
+    coinId: 1329,
+    symbol: "ETH",
+    coinFullName: "Ethereum",
+    networks: { ETH: { chain: "ETH", precision: 18 } },
+  },
+];
+
+// A deterministic, well-formed-looking address for a chain
+function fakeAddress(chain, seed) {
+  const hash = crypto.createHash("sha256").update(seed).digest();
+  if (chain === "TRX") {
+    const alphabet =
+      "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+    return `T${Array.from(hash.subarray(0, 33), (byte) => alphabet[byte % 58])
+      .join("")
+      .slice(0, 33)}`;
+  }
+  return `0x${hash.toString("hex").slice(0, 40)}`;
+}
+
+function withDefaults(coins) {
+  return coins.map((coin) => ({
+    logoUrl: "",
+    status: "Normal",
+    ...coin,
+    networks: Object.fromEntries(
+      Object.entries(coin.networks).map(([chain, network]) => [
+        chain,
+        {
+          chainFullName: chain,
+          contract: "",
+          canDeposit: true,
+          canWithdraw: true,
+          minimumDepositAmount: "0",
+          minimumWithdrawAmount: "0",
+          maximumWithdrawAmount: "0",
+          isSupportMemo: false,
+          ...network,
+        },
+      ])
+    ),
+  }));
+}
+
+// Stand-in for CCPayment's v2 API. Requests must be signed with appId and
+// appSecret. Behaviour can be scripted per endpoint (codes, latency,
+// requests that never answer) through script() or POST /_mock/script, and
+// signed webhooks are sent to webhookUrl. Every request is kept in calls
+// for tests to inspect.
+function createCCPaymentMock({
+  appId = "test-app-id",
+  appSecret = "test-app-secret",
+  webhookUrl = null,
+  ipWhitelist = null,
+  toleranceSeconds = 300,
+  coins = DEFAULT_COINS,
+  balances = { 1280: "1000000", 1329: "1000" },
+  pageSize = 20,
+} = {}) {
+  const state = {
+    coins: withDefaults(coins),
+    balances: { ...balances },
+    depositAddresses: new Map(),
+    deposits: [],
+    withdrawals: [],
+    scripts: [],
+    calls: [],
+    whitelist: ipWhitelist,
+  };
+  const sockets = new Set();
+  let server = null;
+
+  function reply(res, { code, msg }, data = {}) {
+    res.json(code === 10000 ? { code, msg, data } : { code, msg });
+  }
+
+  // The first matching script for an endpoint, used up one call at a time
+  function takeScript(endpoint) {
+    const index = state.scripts.findIndex(
+      (script) => script.endpoint === endpoint || script.endpoint === "*"
+    );
+    if (index < 0) return null;
+    const script = state.scripts[index];
+    if (script.times !== undefined && --script.times <= 0) {
+      state.scripts.splice(index, 1);
+    }
+    return script;
+  }
+
+  function coinById(coinId) {
+    return state.coins.find((coin) => coin.coinId === Number(coinId));
+  }
+
+  function page(records, { startAt, endAt, nextId }) {
+    const inWindow = records.filter((record) => {
+      const at = record.createdAt;
+      return (!startAt || at >= startAt) && (!endAt || at <= endAt);
+    });
+    const offset = Number(nextId) || 0;
+    const next = offset + pageSize;
+    return {
+      records: inWindow.slice(offset, next),
+      nextId: next < inWindow.length ? String(next) : "",
+    };
+  }
+
+  const endpoints = {
+    getCoinList: () => ({ coins: state.coins }),
+
+    createAppOrderDepositAddress({ coinId, chain, orderId, price }) {
+      if (!coinById(coinId) || !chain || !orderId) {
+        return MOCK_CODES.invalidArgument;
+      }
+      if (state.depositAddresses.has(`order:${orderId}`)) {
+        return MOCK_CODES.duplicateOrderId;
+      }
+      const address = fakeAddress(chain, `order:${orderId}`);
+      state.depositAddresses.set(`order:${orderId}`, {
+        address,
+        chain,
+        coinId,
+      });
+      return {
+        address,
+        memo: "",
+        amount: price,
+        checkoutUrl: `https://mock.ccpayment.local/checkout/${orderId}`,
+        confirmsNeeded: 1,
+      };
+    },
+
+    getOrCreateAppDepositAddress({ referenceId, chain }) {
+      if (!referenceId || !chain) return MOCK_CODES.invalidArgument;
+      const key = `ref:${referenceId}:${chain}`;
+      if (!state.depositAddresses.has(key)) {
+        state.depositAddresses.set(key, {
+          address: fakeAddress(chain, key),
+          chain,
+        });
+      }
+      return { address: state.depositAddresses.get(key).address, memo: "" };
+    },
+
+    getAppDepositRecord({ recordId }) {
+      const record = state.deposits.find((item) => item.recordId === recordId);
+      return record ? { record } : MOCK_CODES.notFound;
+    },
+
+    applyAppWithdrawToNetwork({
+      coinId,
+      chain,
+      address,
+      amount,
+      orderId,
+      memo,
+    }) {
+      const coin = coinById(coinId);
+      if (!coin || !chain || !address || !orderId || !(Number(amount) > 0)) {
+        return MOCK_CODES.invalidArgument;
+      }
+      if (state.withdrawals.some((record) => record.orderId === orderId)) {
+        return MOCK_CODES.duplicateOrderId;
+      }
+      const balance = Number(state.balances[coin.coinId] || 0);
+      if (Number(amount) > balance) return MOCK_CODES.insufficientBalance;
+
+      state.balances[coin.coinId] = String(balance - Number(amount));
+      const record = {
+        recordId: `mock-w-${crypto.randomUUID()}`,
+        withdrawType: "Network",
+        coinId: coin.coinId,
+        coinSymbol: coin.symbol,
+        chain,
+        toAddress: address,
+        toMemo: memo || "",
+        orderId,
+        amount: String(amount),
+        fee: "0",
+        txId: "",
+        status: "Processing",
+        createdAt: Math.floor(Date.now() / 1000),
+      };
+      state.withdrawals.push(record);
+      return { recordId: record.recordId };
+    },
+
+    getAppWithdrawRecord({ recordId, orderId }) {
+      const record = state.withdrawals.find(
+        (item) =>
+          (recordId && item.recordId === recordId) ||
+          (orderId && item.orderId === orderId)
+      );
+      return record ? { record } : MOCK_CODES.notFound;
+    },
+
+    getAppDepositRecordList: (params) => page(state.deposits, params),
+    getAppWithdrawRecordList: (params) => page(state.withdrawals, params),
+  };
+
+  // Same signing as CCPayment's own notifications
+  async function sendWebhook(type, msg) {
+    if (!webhookUrl) throw new Error("Mock has no webhookUrl");
+    const body = JSON.stringify({ type, msg });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const response = await axios.post(webhookUrl, body, {
+      headers: {
+        "Content-Type": "application/json",
+        Appid: appId,
+        Timestamp: timestamp,
+        Sign: createSignature(appId, appSecret, timestamp, body),
+      },
+      timeout: 10000,
+      validateStatus: () => true,
+    });
+    return { status: response.status, body: response.data };
+  }
+
+  // Adds a deposit record and, with a webhookUrl, notifies about it
+  async function deposit({
+    orderId,
+    referenceId,
+    coinId = 1280,
+    chain = "TRX",
+    amount = "10",
+    status = "Success",
+    notify = true,
+  }) {
+    const coin = coinById(coinId);
+    const record = {
+      recordId: `mock-d-${crypto.randomUUID()}`,
+      referenceId: referenceId || "",
+      orderId: orderId || "",
+      coinId: Number(coinId),
+      coinSymbol: coin ? coin.symbol : "",
+      chain,
+      toAddress: fakeAddress(chain, orderId || referenceId || "deposit"),
+      amount: String(amount),
+      serviceFee: "0",
+      txId: crypto.randomBytes(32).toString("hex"),
+      status,
+      isFlaggedAsRisky: false,
+      arrivedAt: Math.floor(Date.now() / 1000),
+      createdAt: Math.floor(Date.now() / 1000),
+    };
+    state.deposits.push(record);
+
+    const webhook =
+      notify && webhookUrl
+        ? await sendWebhook(orderId ? "ApiDeposit" : "DirectDeposit", {
+            recordId: record.recordId,
+            orderId: record.orderId,
+            referenceId: record.referenceId,
+            coinId: record.coinId,
+            coinSymbol: record.coinSymbol,
+            status: record.status,
+            isFlaggedAsRisky: false,
+          })
+        : null;
+    return { record, webhook };
+  }
+
+  // Moves a withdrawal to Success or Failed and, with a webhookUrl,
+  // notifies about it
+  async function settleWithdrawal({
+    orderId,
+    status = "Success",
+    notify = true,
+  }) {
+    const record = state.withdrawals.find((item) => item.orderId === orderId);
+    if (!record) throw new Error(`No mock withdrawal for orderId ${orderId}`);
+    record.status = status;
+    if (status === "Success") {
+      record.txId = crypto.randomBytes(32).toString("hex");
+    } else {
+      state.balances[record.coinId] = String(
+        Number(state.balances[record.coinId] || 0) + Number(record.amount)
+      );
+    }
+
+    const webhook =
+      notify && webhookUrl
+        ? await sendWebhook("ApiWithdrawal", {
+            recordId: record.recordId,
+            orderId: record.orderId,
+            coinId: record.coinId,
+            coinSymbol: record.coinSymbol,
+            status: record.status,
+          })
+        : null;
+    return { record, webhook };
+  }
+
+  const app = express();
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf.toString();
+      },
+    })
+  );
+
+  // Control API for tests and local development
+  app.post("/_mock/script", (req, res) => {
+    mock.script(req.body);
+    res.json({ success: true, scripts: state.scripts });
+  });
+  app.post("/_mock/reset", (req, res) => {
+    mock.reset();
+    res.json({ success: true });
+  });
+  app.post("/_mock/balance", (req, res) => {
+    state.balances[req.body.coinId] = String(req.body.amount);
+    res.json({ success: true, balances: state.balances });
+  });
+  app.post("/_mock/whitelist", (req, res) => {
+    state.whitelist = req.body.ips || null;
+    res.json({ success: true, whitelist: state.whitelist });
+  });
+  app.post("/_mock/deposit", async (req, res, next) => {
+    try {
+      res.json({ success: true, ...(await deposit(req.body)) });
+    } catch (error) {
+      next(error);
+    }
+  });
+  app.post("/_mock/settle-withdrawal", async (req, res, next) => {
+    try {
+      res.json({ success: true, ...(await settleWithdrawal(req.body)) });
+    } catch (error) {
+      next(error);
+    }
+  });
+  app.post("/_mock/webhook", async (req, res, next) => {
+    try {
+      res.json({
+        success: true,
+        ...(await sendWebhook(req.body.type, req.body.msg)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  app.get("/_mock/state", (req, res) => {
+    res.json({
+      balances: state.balances,
+      deposits: state.deposits,
+      withdrawals: state.withdrawals,
+      scripts: state.scripts,
+    });
+  });
+  app.get("/_mock/calls", (req, res) => {
+    res.json(state.calls);
+  });
+
+  // Every other request is recorded first, then scripted behaviour applies
+  app.use(async (req, res, next) => {
+    const match = /^\/ccpayment\/v2\/([A-Za-z]+)$/.exec(req.path);
+    const endpoint = match ? match[1] : req.path;
+    state.calls.push({
+      endpoint,
+      method: req.method,
+      path: req.originalUrl,
+      headers: req.headers,
+      body: req.body,
+      at: new Date().toISOString(),
+    });
+
+    const script = takeScript(endpoint);
+    if (script?.hang) return; // never answers; the caller has to time out
+    if (script?.delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, script.delayMs));
+    }
+    if (script?.status) {
+      return res.status(script.status).send(script.body || "mock failure");
+    }
+    if (script?.code) {
+      const known = Object.values(MOCK_CODES).find(
+        (entry) => entry.code === script.code
+      );
+      return reply(res, {
+        code: script.code,
+        msg: script.msg || known?.msg || "mock error",
+      });
+    }
+    next();
+  });
+
+  app.post("/ccpayment/v2/:endpoint", (req, res) => {
+    const handler = endpoints[req.params.endpoint];
+    if (!handler) return res.status(404).json({ code: 404, msg: "not found" });
+
+    const { appid, timestamp, sign } = req.headers;
+    if (appid !== appId) return reply(res, MOCK_CODES.invalidAppId);
+    if (
+      !verifySignature(appId, appSecret, timestamp, req.rawBody || "", sign)
+    ) {
+      return reply(res, MOCK_CODES.invalidSign);
+    }
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+      return reply(res, MOCK_CODES.expired);
+    }
+    const ip = req.socket.remoteAddress.replace(/^::ffff:/, "");
+    if (state.whitelist && !state.whitelist.includes(ip)) {
+      return reply(res, MOCK_CODES.ipNotWhitelisted);
+    }
+
+    const result = handler(req.body || {});
+    if (Object.values(MOCK_CODES).includes(result)) {
+      return reply(res, result);
+    }
+    reply(res, MOCK_CODES.success, result);
+  });
+
+  // Anything else, such as the /api and /admin passthrough targets, echoes
+  // what arrived
+  app.use((req, res) => {
+    reply(res, MOCK_CODES.success, {
+      method: req.method,
+      path: req.originalUrl,
+      headers: req.headers,
+      body: req.body,
+    });
+  });
+
+  app.use((error, req, res, next) => {
+    logger.error("CCPayment mock error", { error });
+    res.status(500).json({ code: 500, msg: error.message });
+  });
+
+  const mock = {
+    app,
+    appId,
+    appSecret,
+    state,
+    // { endpoint ("*" for any), times?, code?, msg?, status?, body?,
+    //   delayMs?, hang? }
+    script(script) {
+      state.scripts.push({ ...script });
+    },
+    reset() {
+      state.scripts = [];
+      state.calls = [];
+      state.whitelist = ipWhitelist;
+    },
+    calls(endpoint) {
+      return endpoint
+        ? state.calls.filter((call) => call.endpoint === endpoint)
+        : state.calls;
+    },
+    deposit,
+    settleWithdrawal,
+    sendWebhook,
+    // Resolves with the base URL once listening; port 0 picks a free one
+    listen(port = 0, host = "127.0.0.1") {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, host, () => {
+          resolve(`http://${host}:${server.address().port}`);
+        });
+        server.on("error", reject);
+        server.on("connection", (socket) => {
+          sockets.add(socket);
+          socket.on("close", () => sockets.delete(socket));
+        });
+      });
+    },
+    // Also drops hanging requests so the process can exit
+    close() {
+      return new Promise((resolve) => {
+        if (!server) return resolve();
+        for (const socket of sockets) socket.destroy();
+        server.close(() => resolve());
+      });
+    },
+    // For when the receiving server's port is only known after startup
+    setWebhookUrl(url) {
+      webhookUrl = url;
+    },
+  };
+
+  return mock;
+}
+
+module.exports = {
+  MOCK_CODES,
+  createCCPaymentMock,
+};
@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const { keccak256 } = require("js-sha3");
+
+const BASE58_ALPHABET =
+  "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+// CCPayment chain codes, the names our frontend uses for them, and the
+// address format each one expects
+const CHAINS = {
+  TRX: { aliases: ["TRC20", "TRON"], format: "tron" },
+  ETH: { aliases: ["ERC20", "ETHEREUM"], format: "evm" },
+  BSC: { aliases: ["BEP20", "BNB"], format: "evm" },
+  POLYGON: { aliases: ["MATIC"], format: "evm" },
+  ARBITRUM: { aliases: ["ARB"], format: "evm" },
+  BTC: { aliases: ["BITCOIN"], format: "btc" },
+  SOL: { aliases: ["SOLANA"], format: "solana" },
+  TON: { aliases: [], format: "ton", memoRequired: true },
+  XRP: { aliases: ["RIPPLE"], format: "xrp", memoRequired: true },
+  XLM: { aliases: ["STELLAR"], format: "xlm", memoRequired: true },
+};
+
+const ALIASES = new Map();
+for (const [code, chain] of Object.entries(CHAINS)) {
+  ALIASES.set(code, code);
+  for (const alias of chain.aliases) {
+    ALIASES.set(alias, code);
+  }
+}
+
+// Unknown chains are passed through upper-cased for CCPayment to judge
+function normalizeChain(chain) {
+  const upper = String(chain).trim().toUpperCase();
+  return ALIASES.get(upper) || upper;
+}
+
+function base58Decode(value) {
+  let number = 0n;
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) return null;
+    number = number * 58n + BigInt(digit);
+  }
+
+  let hex = number.toString(16);
+  if (number === 0n) hex = "";
+  if (hex.length % 2) hex = "0" + hex;
+
+  // Leading "1"s encode leading zero bytes
+  const leadingZeros = value.length - value.replace(/^1+/, "").length;
+  return Buffer.concat([
+    Buffer.alloc(leadingZeros),
+    Buffer.from(hex, "hex"),
+  ]);
+}
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest();
+}
+
+// Base58check with the 0x41 version byte, e.g. T...
+function isTronAddress(address) {
+  if (!/^T[1-9A-HJ-NP-Za-km-z]{33}$/.test(address)) return false;
+
+  const decoded = base58Decode(address);
+  if (!decoded || decoded.length !== 25 || decoded[0] !== 0x41) return false;
+
+  const payload = decoded.subarray(0, 21);
+  const checksum = sha256(sha256(payload)).subarray(0, 4);
+  return checksum.equals(decoded.subarray(21));
+}
+
+// All-lowercase and all-uppercase addresses carry no checksum; mixed case
+// must match EIP-55
+function isEvmAddress(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return false;
+
+  const body = address.slice(2);
+  if (body === body.toLowerCase() || body === body.toUpperCase()) return true;
+
+  const hash = keccak256(body.toLowerCase());
+  for (let i = 0; i < 40; i++) {
+    const upper = parseInt(hash[i], 16) >= 8;
+    const char = body[i];
+    if (/[a-f]/.test(char) && upper) return false;
+    if (/[A-F]/.test(char) && !upper) return false;
+  }
+  return true;
+}
+
+function isSolanaAddress(address) {
+  if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) return false;
+  const decoded = base58Decode(address);
+  return !!decoded && decoded.length === 32;
+}
+
+const FORMAT_VALIDATORS = {
+  tron: isTronAddress,
+  evm: isEvmAddress,
+  solana: isSolanaAddress,
+  btc: (address) =>
+    /^(bc1[02-9ac-hj-np-z]{11,71}|[13][1-9A-HJ-NP-Za-km-z]{25,34})$/.test(
+      address
+    ),
+  ton: (address) =>
+    /^[A-Za-z0-9_-]{48}$/.test(address) ||
+    /^-?\d+:[0-9a-fA-F]{64}$/.test(address),
+  xrp: (address) => /^r[1-9A-HJ-NP-Za-km-z]{24,34}$/.test(address),
+  xlm: (address) => /^G[A-Z2-7]{55}$/.test(address),
+};
+
+// Returns an error message, or null when the address is acceptable
+function validateAddress(chainCode, address, memo) {
+  if (typeof address !== "string" || address.trim() !== address) {
+    return "Address must be a string without surrounding whitespace";
+  }
+
+  const chain = CHAINS[chainCode];
+  if (!chain) return null;
+
+  if (!FORMAT_VALIDATORS[chain.format](address)) {
+    return `Invalid ${chainCode} address: ${address}`;
+  }
+
+  if (chain.memoRequired && !memo) {
+    return `A memo is required for ${chainCode} withdrawals`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  CHAINS,
+  normalizeChain,
+  validateAddress,
+  isTronAddress,
+  isEvmAddress,
+};
@@ -0,0 +1,142 @@
+const { logger } = require("./logger");
+
+class CoinRegistryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "CoinRegistryError";
+    this.status = status;
+  }
+}
+
+// Caches CCPayment's getCoinList and maps (symbol, chain) to a coinId.
+// A failed refresh keeps serving the last good list.
+function createCoinRegistry({ fetchCoinList, refreshIntervalMs = 3600000 }) {
+  let coins = new Map();
+  let loadedAt = null;
+  let loading = null;
+  let timer = null;
+
+  async function refresh() {
+    if (loading) return loading;
+
+    loading = (async () => {
+      try {
+        const response = await fetchCoinList();
+        const next = new Map();
+        for (const coin of response.data?.coins || []) {
+          next.set(coin.symbol.toUpperCase(), coin);
+        }
+        coins = next;
+        loadedAt = new Date();
+        logger.info("Loaded coin list from CCPayment", { coins: coins.size });
+      } finally {
+        loading = null;
+      }
+    })();
+
+    return loading;
+  }
+
+  async function ensureLoaded() {
+    if (loadedAt) return;
+    try {
+      await refresh();
+    } catch (error) {
+      throw new CoinRegistryError(
+        503,
+        `Coin list unavailable: ${error.message}`
+      );
+    }
+  }
+
+  // purpose is "deposit" or "withdraw"
+  async function resolve(symbol, chain, { purpose } = {}) {
+    await ensureLoaded();
+
+    const coin = coins.get(String(symbol).toUpperCase());
+    if (!coin) {
+      throw new CoinRegistryError(400, `Unsupported currency: ${symbol}`);
+    }
+
+    const network = coin.networks?.[chain];
+    if (!network) {
+      const supported = Object.keys(coin.networks || {}).join(", ");
+      throw new CoinRegistryError(
+        400,
+        `${coin.symbol} is not supported on chain ${chain}. ` +
+          `Supported chains: ${supported}`
+      );
+    }
+
+    if (purpose === "deposit" && network.canDeposit === false) {
+      throw new CoinRegistryError(
+        400,
+        `Deposits of ${coin.symbol} on ${chain} are currently disabled`
+      );
+    }
+
+    if (purpose === "withdraw" && network.canWithdraw === false) {
+      throw new CoinRegistryError(
+        400,
+        `Withdrawals of ${coin.symbol} on ${chain} are currently disabled`
+      );
+    }
+
+    return {
+      coinId: coin.coinId,
+      symbol: coin.symbol,
+      chain,
+      network,
+    };
+  }
+
+  async function list() {
+    await ensureLoaded();
+
+    return Array.from(coins.values()).map((coin) => ({
+      coinId: coin.coinId,
+      symbol: coin.symbol,
+      name: coin.coinFullName,
+      status: coin.status,
+      chains: Object.values(coin.networks || {}).map((network) => ({
+        chain: network.chain,
+        name: network.chainFullName,
+        canDeposit: network.canDeposit,
+        canWithdraw: network.canWithdraw,
+        minimumDepositAmount: network.minimumDepositAmount,
+        minimumWithdrawAmount: network.minimumWithdrawAmount,
+        maximumWithdrawAmount: network.maximumWithdrawAmount,
+        isSupportMemo: network.isSupportMemo,
+      })),
+    }));
+  }
+
+  return {
+    refresh,
+    resolve,
+    list,
+    loadedAt() {
+      return loadedAt;
+    },
+    start() {
+      if (timer) return;
+      const tick = () => {
+        refresh().catch((error) => {
+          logger.warn("Coin list refresh failed", { error });
+        });
+      };
+      tick();
+      timer = setInterval(tick, refreshIntervalMs);
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = {
+  CoinRegistryError,
+  createCoinRegistry,
+};
@@ -0,0 +1,513 @@
+const path = require("path");
+const { loadPolicy } = require("./authorization");
+const { LEVELS: LOG_LEVELS, DEFAULT_RULES, loadRules } = require("./logger");
+const { loadBudgets } = require("./rateLimit");
+const { loadRiskPolicy } = require("./riskPolicy");
+const { loadSigningClients } = require("./selfSigning");
+const { loadClients } = require("./serviceAuth");
+const {
+  PROVIDERS: SECRET_PROVIDERS,
+  createSecretProvider,
+  normalizeAccounts,
+} = require("./secrets");
+
+// Thrown by loadConfig with every problem found, not just the first
+class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid configuration:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const DEFAULT_CORS_ORIGINS = [
+  "http://localhost:8080",
+  "https://localhost:8080",
+  "https://invest.fluxel.app",
+  "https://www.invest.fluxel.app",
+  "https://lovable.dev",
+  "https://www.lovable.dev",
+];
+
+// Name of the account made from CCPAYMENT_APP_ID / CCPAYMENT_APP_SECRET
+const ENV_ACCOUNT = "default";
+const ACCOUNT_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Typed getters over env that record a problem instead of throwing, so
+// one run reports everything that is wrong
+function createReader(env) {
+  const problems = [];
+
+  function raw(name) {
+    const value = env[name];
+    return value === undefined || value === "" ? undefined : value;
+  }
+
+  function number(name, fallback, { min = 0, integer = false } = {}) {
+    const value = raw(name);
+    if (value === undefined) return fallback;
+    const parsed = Number(value);
+    if (
+      !Number.isFinite(parsed) ||
+      parsed < min ||
+      (integer && !Number.isInteger(parsed))
+    ) {
+      problems.push(
+        `${name} must be ${
+          integer ? "an integer" : "a number"
+        } of at least ${min}, got "${value}"`
+      );
+      return fallback;
+    }
+    return parsed;
+  }
+
+  function url(name, fallback) {
+    const value = raw(name) || fallback;
+    if (value === undefined) return undefined;
+    try {
+      const parsed = new URL(value);
+      if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+        throw new Error("not http(s)");
+      }
+    } catch (error) {
+      problems.push(`${name} must be an http(s) URL, got "${value}"`);
+      return fallback;
+    }
+    return value.replace(/\/+$/, "");
+  }
+
+  return {
+    problems,
+    string: (name, fallback) => raw(name) ?? fallback,
+    number,
+    integer: (name, fallback, options) =>
+      number(name, fallback, { ...options, integer: true }),
+    url,
+    bool(name, fallback) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      if (value !== "true" && value !== "false") {
+        problems.push(`${name} must be true or false, got "${value}"`);
+        return fallback;
+      }
+      return value === "true";
+    },
+    list(name, fallback) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      return value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    },
+    oneOf(name, values, fallback) {
+      const value = raw(name) ?? fallback;
+      if (!values.includes(value)) {
+        problems.push(
+          `${name} must be one of ${values.join(", ")}, got "${value}"`
+        );
+        return fallback;
+      }
+      return value;
+    },
+    json(name, fallback) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        problems.push(`${name} is not valid JSON: ${error.message}`);
+        return fallback;
+      }
+    },
+    // Runs one of the lib loaders, keeping its error as a problem
+    load(name, loader, fallback) {
+      try {
+        return loader();
+      } catch (error) {
+        problems.push(`${name}: ${error.message}`);
+        return fallback;
+      }
+    },
+  };
+}
+
+// CCPAYMENT_ACCOUNTS (JSON) names merchant accounts, e.g.
+// {"invest": {"appId": "...", "appSecret": "..."}, "shop": {...}}.
+// CCPAYMENT_APP_ID / CCPAYMENT_APP_SECRET add one called "default".
+function loadAccounts(read) {
+  const before = read.problems.length;
+  const accounts = {};
+  const configured = read.json("CCPAYMENT_ACCOUNTS", {});
+
+  if (
+    !configured ||
+    typeof configured !== "object" ||
+    Array.isArray(configured)
+  ) {
+    read.problems.push("CCPAYMENT_ACCOUNTS must be a JSON object of accounts");
+  } else {
+    for (const [name, account] of Object.entries(configured)) {
+      if (!ACCOUNT_NAME.test(name)) {
+        read.problems.push(
+          `CCPAYMENT_ACCOUNTS: account name "${name}" may only use letters, digits, _ and -`
+        );
+      } else if (!account || !account.appId || !account.appSecret) {
+        read.problems.push(
+          `CCPAYMENT_ACCOUNTS: account "${name}" needs an appId and an appSecret`
+        );
+      } else {
+        accounts[name] = {
+          name,
+          appId: String(account.appId),
+          appSecret: String(account.appSecret),
+        };
+      }
+    }
+  }
+
+  const appId = read.string("CCPAYMENT_APP_ID");
+  const appSecret = read.string("CCPAYMENT_APP_SECRET");
+  if (appId && appSecret) {
+    if (accounts[ENV_ACCOUNT]) {
+      read.problems.push(
+        `CCPAYMENT_ACCOUNTS may not define "${ENV_ACCOUNT}" when CCPAYMENT_APP_ID is set`
+      );
+    } else {
+      accounts[ENV_ACCOUNT] = { name: ENV_ACCOUNT, appId, appSecret };
+    }
+  } else if (appId || appSecret) {
+    read.problems.push(
+      `${
+        appId ? "CCPAYMENT_APP_SECRET" : "CCPAYMENT_APP_ID"
+      } is required when ${
+        appId ? "CCPAYMENT_APP_ID" : "CCPAYMENT_APP_SECRET"
+      } is set`
+    );
+  }
+
+  if (Object.keys(accounts).length === 0 && read.problems.length === before) {
+    read.problems.push(
+      "No CCPayment account configured: set CCPAYMENT_APP_ID and CCPAYMENT_APP_SECRET, or CCPAYMENT_ACCOUNTS"
+    );
+  }
+
+  // Webhooks are matched to an account by their Appid header
+  const seen = new Map();
+  for (const account of Object.values(accounts)) {
+    if (seen.has(account.appId)) {
+      read.problems.push(
+        `CCPayment accounts "${seen.get(account.appId)}" and "${
+          account.name
+        }" share an appId`
+      );
+    }
+    seen.set(account.appId, account.name);
+  }
+
+  return accounts;
+}
+
+// SECRET_PROVIDER says where the account credentials come from: env (the
+// variables above), file (SECRET_FILE, same JSON shape as
+// CCPAYMENT_ACCOUNTS) or keystore (SECRET_KEYSTORE_FILE, encrypted with
+// SECRET_KEYSTORE_KEY). The file-backed ones are loaded once here so a
+// broken file stops startup; the proxy then reloads them on change.
+function loadSecrets(read) {
+  const secrets = {
+    provider: read.oneOf("SECRET_PROVIDER", SECRET_PROVIDERS, "env"),
+    file: read.string("SECRET_FILE"),
+    keystoreFile: read.string("SECRET_KEYSTORE_FILE"),
+    keystoreKey: read.string("SECRET_KEYSTORE_KEY"),
+    rotationWindowMs:
+      read.number("SECRET_ROTATION_WINDOW_SECONDS", 3600) * 1000,
+    watchIntervalMs:
+      read.number("SECRET_WATCH_INTERVAL_SECONDS", 5, { min: 0.01 }) * 1000,
+  };
+
+  let accounts = {};
+  if (secrets.provider === "env") {
+    accounts = loadAccounts(read);
+  } else {
+    const required =
+      secrets.provider === "file"
+        ? ["SECRET_FILE"]
+        : ["SECRET_KEYSTORE_FILE", "SECRET_KEYSTORE_KEY"];
+    const missing = required.filter((name) => !read.string(name));
+    for (const name of missing) {
+      read.problems.push(
+        `${name} is required when SECRET_PROVIDER=${secrets.provider}`
+      );
+    }
+    for (const name of [
+      "CCPAYMENT_APP_ID",
+      "CCPAYMENT_APP_SECRET",
+      "CCPAYMENT_ACCOUNTS",
+    ]) {
+      if (read.string(name)) {
+        read.problems.push(
+          `${name} is not used when SECRET_PROVIDER=${secrets.provider}; move it into the ${secrets.provider}`
+        );
+      }
+    }
+    if (missing.length === 0) {
+      accounts = read.load(
+        `SECRET_PROVIDER=${secrets.provider}`,
+        () => normalizeAccounts(createSecretProvider(secrets).load()),
+        {}
+      );
+    }
+  }
+
+  const names = Object.keys(accounts);
+  const defaultAccount = read.string(
+    "CCPAYMENT_DEFAULT_ACCOUNT",
+    accounts[ENV_ACCOUNT] ? ENV_ACCOUNT : names[0]
+  );
+  if (names.length > 0 && !accounts[defaultAccount]) {
+    read.problems.push(
+      `CCPAYMENT_DEFAULT_ACCOUNT "${defaultAccount}" is not a configured account`
+    );
+  }
+
+  return { accounts, defaultAccount, secrets };
+}
+
+// Reads and validates every setting the proxy uses, once. Throws a
+// ConfigError listing all problems, so a missing secret stops startup
+// instead of failing the first live request.
+function loadConfig(env = process.env) {
+  const read = createReader(env);
+
+  const dataDir = read.string("DATA_DIR", path.join(__dirname, "..", "data"));
+  const supabaseUrl = read.url("SUPABASE_URL");
+  // One hop: Render's load balancer
+  const trustProxy = read.string("TRUST_PROXY", "1");
+
+  const config = {
+    port: read.integer("PORT", 3000, { min: 0 }),
+    dataDir,
+    trustProxy: /^\d+$/.test(trustProxy)
+      ? Number(trustProxy)
+      : trustProxy === "true"
+      ? true
+      : trustProxy === "false"
+      ? false
+      : trustProxy,
+    cors: {
+      origins: read.list("CORS_ORIGINS", DEFAULT_CORS_ORIGINS),
+    },
+    upstreams: {
+      ccpayment: read.url("CCPAYMENT_BASE_URL", "https://ccpayment.com"),
+      api: read.url("CCPAYMENT_API_URL", "https://api.ccpayment.com"),
+      admin: read.url("CCPAYMENT_ADMIN_URL", "https://admin.ccpayment.com"),
+    },
+    ccpayment: {
+      // accounts is the credentials as loaded at startup; the proxy signs
+      // with the secret store built from secrets, which can reload them
+      ...loadSecrets(read),
+      timeouts: read.json("CCPAYMENT_TIMEOUTS", {}),
+      maxRetries: read.integer("CCPAYMENT_MAX_RETRIES", 2),
+      proxyTimeoutMs: read.integer("CCPAYMENT_PROXY_TIMEOUT_MS", 30000, {
+        min: 1,
+      }),
+      webhookToleranceSeconds: read.integer(
+        "CCPAYMENT_WEBHOOK_TOLERANCE_SECONDS",
+        300,
+        { min: 1 }
+      ),
+      ipErrorCodes: read
+        .list("CCPAYMENT_IP_ERROR_CODES", [])
+        .map(Number)
+        .filter(Number.isFinite),
+      coinListRefreshMs:
+        read.integer("COIN_LIST_REFRESH_SECONDS", 3600, { min: 1 }) * 1000,
+      signingClients: read.load(
+        "CCPAYMENT_SIGNING_CLIENTS",
+        () => loadSigningClients(env.CCPAYMENT_SIGNING_CLIENTS),
+        []
+      ),
+    },
+    supabase: {
+      url: supabaseUrl,
+      anonKey: read.string("SUPABASE_ANON_KEY"),
+      serviceRoleKey: read.string("SUPABASE_SERVICE_ROLE_KEY"),
+      jwtSecret: read.string("SUPABASE_JWT_SECRET"),
+      jwksUrl: read.url("SUPABASE_JWKS_URL"),
+      audience: read.string("SUPABASE_JWT_AUDIENCE"),
+      issuer: read.string("SUPABASE_JWT_ISSUER"),
+      remoteFallback: read.bool("SUPABASE_AUTH_REMOTE_FALLBACK", false),
+      webhookFunctionUrl: read.url("SUPABASE_WEBHOOK_FUNCTION_URL"),
+      webhookForwardMaxAttempts: read.integer(
+        "WEBHOOK_FORWARD_MAX_ATTEMPTS",
+        8,
+        { min: 1 }
+      ),
+    },
+    serviceClients: {
+      clients: read.load(
+        env.SERVICE_CLIENTS_FILE ? "SERVICE_CLIENTS_FILE" : "SERVICE_CLIENTS",
+        () =>
+          loadClients({
+            json: env.SERVICE_CLIENTS,
+            file: env.SERVICE_CLIENTS_FILE,
+          }),
+        []
+      ),
+      file: read.string("SERVICE_CLIENTS_FILE"),
+      disabled: read.bool("SERVICE_AUTH_DISABLED", false),
+    },
+    adminPolicy: read.load(
+      "ADMIN_POLICY",
+      () =>
+        loadPolicy({
+          json: env.ADMIN_POLICY,
+          file: env.ADMIN_POLICY_FILE,
+        }),
+      null
+    ),
+    adminRolesClaim: read.string("ADMIN_ROLES_CLAIM"),
+    riskPolicy: read.load(
+      "RISK_POLICY",
+      () =>
+        loadRiskPolicy({
+          json: env.RISK_POLICY,
+          file: env.RISK_POLICY_FILE,
+        }),
+      null
+    ),
+    storage: {
+      driver: read.oneOf("STORAGE_DRIVER", ["sqlite", "postgres"], "sqlite"),
+      sqlitePath: read.string(
+        "SQLITE_PATH",
+        path.join(dataDir, "ccpayment.db")
+      ),
+      databaseUrl: read.string("DATABASE_URL"),
+    },
+    auditLogFile: read.string(
+      "AUDIT_LOG_FILE",
+      path.join(dataDir, "audit.jsonl")
+    ),
+    circuitBreaker: {
+      failureThreshold: read.integer("CIRCUIT_BREAKER_THRESHOLD", 5, {
+        min: 1,
+      }),
+      resetTimeoutMs:
+        read.number("CIRCUIT_BREAKER_RESET_SECONDS", 30, { min: 1 }) * 1000,
+    },
+    limits: {
+      budgets: read.load(
+        "RATE_LIMITS",
+        () => loadBudgets(env.RATE_LIMITS),
+        null
+      ),
+      store: read.oneOf("RATE_LIMIT_STORE", ["memory", "redis"], "memory"),
+      redisUrl: read.string("REDIS_URL"),
+    },
+    depositAddresses: {
+      mode: read.oneOf("DEPOSIT_ADDRESS_MODE", ["order", "permanent"], "order"),
+      ttlSeconds: read.number("DEPOSIT_ADDRESS_TTL_HOURS", 24) * 3600,
+      rotateOnDeposit: read.bool("DEPOSIT_ADDRESS_ROTATE_ON_DEPOSIT", false),
+    },
+    reconciliation: {
+      intervalMs: read.number("RECONCILE_INTERVAL_MINUTES", 60) * 60 * 1000,
+      lookbackHours: read.number("RECONCILE_LOOKBACK_HOURS", 24, { min: 1 }),
+      stuckAfterMinutes: read.number("RECONCILE_STUCK_AFTER_MINUTES", 60, {
+        min: 1,
+      }),
+    },
+    ipMonitor: {
+      resolvers: read.list("IP_RESOLVERS"),
+      expectedIp: read.string("EXPECTED_OUTBOUND_IP"),
+      intervalMs:
+        read.integer("IP_MONITOR_INTERVAL_SECONDS", 60, { min: 1 }) * 1000,
+      alertUrl: read.url("IP_ALERT_WEBHOOK_URL"),
+      blockOnMismatch: read.bool("IP_MONITOR_BLOCK_ON_MISMATCH", false),
+    },
+    logging: {
+      level: read.oneOf("LOG_LEVEL", Object.keys(LOG_LEVELS), "info"),
+      redactRules: read.load(
+        "LOG_REDACT_RULES",
+        () => loadRules(env.LOG_REDACT_RULES),
+        DEFAULT_RULES
+      ),
+    },
+    healthReadyCacheMs: read.integer("HEALTH_READY_CACHE_SECONDS", 30) * 1000,
+    metricsToken: read.string("METRICS_TOKEN"),
+  };
+
+  // Settings that only make sense together
+  const timeouts = config.ccpayment.timeouts;
+  if (
+    !timeouts ||
+    typeof timeouts !== "object" ||
+    Object.values(timeouts).some((ms) => !(Number(ms) > 0))
+  ) {
+    read.problems.push(
+      'CCPAYMENT_TIMEOUTS must map endpoint names to positive timeouts in ms, e.g. {"getCoinList": 5000}'
+    );
+  }
+  if (config.storage.driver === "postgres" && !config.storage.databaseUrl) {
+    read.problems.push("DATABASE_URL is required when STORAGE_DRIVER=postgres");
+  }
+  if (config.limits.store === "redis" && !config.limits.redisUrl) {
+    read.problems.push("REDIS_URL is required when RATE_LIMIT_STORE=redis");
+  }
+  if (supabaseUrl && !config.supabase.anonKey) {
+    read.problems.push(
+      "SUPABASE_ANON_KEY is required when SUPABASE_URL is set"
+    );
+  }
+  if (!supabaseUrl && !config.supabase.jwtSecret) {
+    read.problems.push(
+      "SUPABASE_URL (or SUPABASE_JWT_SECRET) is required to authenticate users"
+    );
+  }
+  if (env.SERVICE_CLIENTS && env.SERVICE_CLIENTS_FILE) {
+    read.problems.push("Set SERVICE_CLIENTS or SERVICE_CLIENTS_FILE, not both");
+  }
+  for (const [setting, clients] of [
+    ["CCPAYMENT_SIGNING_CLIENTS", config.ccpayment.signingClients],
+    ["SERVICE_CLIENTS", config.serviceClients.clients],
+  ]) {
+    for (const client of clients) {
+      for (const account of client.accounts || []) {
+        if (!config.ccpayment.accounts[account]) {
+          read.problems.push(
+            `${setting}: "${client.name}" names unknown CCPayment account "${account}"`
+          );
+        }
+      }
+    }
+  }
+
+  if (read.problems.length > 0) {
+    throw new ConfigError(read.problems);
+  }
+  return deepFreeze(config);
+}
+
+// Freezes plain objects and arrays only; loaded policies may hold Sets and
+// Buffers
+function deepFreeze(value) {
+  const plain =
+    Array.isArray(value) ||
+    (value && Object.getPrototypeOf(value) === Object.prototype);
+  if (plain && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+module.exports = {
+  ConfigError,
+  DEFAULT_CORS_ORIGINS,
+  ENV_ACCOUNT,
+  loadConfig,
+};
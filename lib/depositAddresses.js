@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+const MODES = ["order", "permanent"];
+
+// Remembers the deposit address handed out for each (userId, chain, coin)
+// and CCPayment account, and returns it again while it is active.
+//
+// mode "order" creates a CCPayment order address (orderId
+// deposit_<userId>_<unix seconds>_<4 hex>; the random part keeps two
+// chains or coins created in the same second apart) and replaces it after
+// ttlSeconds, or
+// after its first deposit when rotateOnDeposit is set. mode "permanent"
+// uses getOrCreateAppDepositAddress with the userId as referenceId, which
+// CCPayment always answers with the same address, so it never rotates.
+function createDepositAddressBook({
+  store,
+  mode = "order",
+  ttlSeconds = 0,
+  rotateOnDeposit = false,
+  defaultAccount,
+}) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown deposit address mode: ${mode}`);
+  }
+
+  const inFlight = new Map();
+
+  // The default account keeps the key format from before there were
+  // several accounts, so its existing addresses are still found
+  function keyFor(userId, chain, coinId, account) {
+    const key = `${userId}:${chain}:${coinId}`;
+    return account && account !== defaultAccount ? `${account}:${key}` : key;
+  }
+
+  function isActive(record) {
+    return (
+      record.status === "active" &&
+      record.mode === mode &&
+      (!record.expiresAt || Date.parse(record.expiresAt) > Date.now())
+    );
+  }
+
+  function findActive(key) {
+    return store.all().find((record) => record.key === key && isActive(record));
+  }
+
+  function retire(record, reason) {
+    logger.info("Retiring deposit address", {
+      orderId: record.orderId,
+      userId: record.userId,
+      reason,
+    });
+    return store.put({
+      ...record,
+      status: "retired",
+      retiredReason: reason,
+      retiredAt: new Date().toISOString(),
+    });
+  }
+
+  async function create(
+    ccpayment,
+    { userId, chain, currency, coinId, account }
+  ) {
+    const key = keyFor(userId, chain, coinId, account);
+    const createdAt = new Date();
+    let data;
+    let orderId = null;
+
+    if (mode === "permanent") {
+      const response = await ccpayment.getOrCreateAppDepositAddress({
+        referenceId: String(userId),
+        chain,
+      });
+      data = response.data;
+    } else {
+      // orderId includes userId for webhook processing
+      const seconds = Math.floor(createdAt.getTime() / 1000);
+      const suffix = crypto.randomBytes(2).toString("hex");
+      orderId = `deposit_${userId}_${seconds}_${suffix}`;
+      const response = await ccpayment.createAppOrderDepositAddress({
+        coinId,
+        price: "1", // Minimum price as per CCPayment docs
+        orderId,
+        chain,
+      });
+      data = response.data;
+    }
+
+    // Retire whatever this key was using before: an expired address, or
+    // one from the other mode
+    for (const record of store.all()) {
+      if (record.key === key && record.status === "active") {
+        retire(record, "replaced");
+      }
+    }
+
+    return store.put({
+      id: crypto.randomUUID(),
+      key,
+      mode,
+      account: account || null,
+      userId: String(userId),
+      chain,
+      currency,
+      coinId,
+      orderId,
+      address: data.address,
+      memo: data.memo || "",
+      amount: data.amount,
+      checkoutUrl: data.checkoutUrl,
+      confirmsNeeded: data.confirmsNeeded,
+      status: "active",
+      createdAt: createdAt.toISOString(),
+      expiresAt:
+        mode === "order" && ttlSeconds > 0
+          ? new Date(createdAt.getTime() + ttlSeconds * 1000).toISOString()
+          : null,
+    });
+  }
+
+  return {
+    mode,
+    // Returns { record, reused }. Concurrent calls for the same key share
+    // one CCPayment call.
+    async getOrCreate(ccpayment, params) {
+      const key = keyFor(
+        params.userId,
+        params.chain,
+        params.coinId,
+        params.account
+      );
+      const existing = findActive(key);
+      if (existing) return { record: existing, reused: true };
+
+      if (!inFlight.has(key)) {
+        inFlight.set(
+          key,
+          create(ccpayment, params).finally(() => inFlight.delete(key))
+        );
+      }
+      return { record: await inFlight.get(key), reused: false };
+    },
+    findByOrderId(orderId) {
+      return store.all().find((record) => record.orderId === orderId) || null;
+    },
+    // Called for each deposit webhook so used order addresses can rotate
+    recordDeposit(event) {
+      if (!event.orderId || event.status !== "Success") return null;
+
+      const record = store
+        .all()
+        .find((candidate) => candidate.orderId === event.orderId);
+      if (!record) return null;
+
+      const updated = store.put({
+        ...record,
+        deposits: (record.deposits || 0) + 1,
+        lastDepositAt: new Date().toISOString(),
+      });
+      if (rotateOnDeposit && updated.status === "active") {
+        return retire(updated, "used");
+      }
+      return updated;
+    },
+  };
+}
+
+module.exports = {
+  createDepositAddressBook,
+};
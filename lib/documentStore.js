@@ -0,0 +1,95 @@
+const fs = require("fs");
+const { logger } = require("./logger");
+const { createFileStore } = require("./fileStore");
+
+// The same get/put/delete/all interface as lib/fileStore.js, kept in the
+// storage layer (SQLite or Postgres) so workflow state outlives the disk.
+// Reads are served from memory, which load() fills before the app takes
+// requests; writes reach the database in the order they were made. Meant
+// for one proxy instance per database.
+//
+// legacyFile is the JSON-lines file the store used before; its records
+// are imported once, while the collection is still empty.
+function createDocumentStore({ storage, collection, legacyFile }) {
+  const records = new Map();
+  let loaded = false;
+  let writes = Promise.resolve();
+  let failure = null;
+
+  function assertLoaded() {
+    if (!loaded) {
+      throw new Error(`Document store ${collection} used before load()`);
+    }
+  }
+
+  function enqueue(write) {
+    writes = writes.then(write).catch((error) => {
+      failure = failure || error;
+      logger.error("Document store write failed", { collection, error });
+    });
+  }
+
+  async function importLegacy() {
+    const legacy = createFileStore(legacyFile).all();
+    for (const record of legacy) {
+      records.set(record.id, record);
+      await storage.saveDocument(collection, record.id, JSON.stringify(record));
+    }
+    logger.info("Imported document store from file", {
+      collection,
+      file: legacyFile,
+      records: legacy.length,
+    });
+  }
+
+  return {
+    collection,
+    async load() {
+      records.clear();
+      for (const record of await storage.loadDocuments(collection)) {
+        records.set(record.id, record);
+      }
+      if (records.size === 0 && legacyFile && fs.existsSync(legacyFile)) {
+        await importLegacy();
+      }
+      loaded = true;
+      return records.size;
+    },
+    get(id) {
+      assertLoaded();
+      return records.get(id) || null;
+    },
+    put(record) {
+      assertLoaded();
+      const data = JSON.stringify(record);
+      records.set(record.id, record);
+      enqueue(() => storage.saveDocument(collection, record.id, data));
+      return record;
+    },
+    delete(id) {
+      assertLoaded();
+      if (!records.has(id)) return false;
+      records.delete(id);
+      enqueue(() => storage.deleteDocument(collection, id));
+      return true;
+    },
+    all() {
+      assertLoaded();
+      return Array.from(records.values());
+    },
+    // Resolves once every write so far is in the database; rejects (once)
+    // if any of them failed since the last flush
+    async flush() {
+      await writes;
+      if (failure) {
+        const error = failure;
+        failure = null;
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createDocumentStore,
+};
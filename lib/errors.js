@@ -0,0 +1,46 @@
+// Every error the proxy itself answers with has the same shape:
+//   { success: false, error: "<message>", code: "<code>", details?, requestId }
+// `code` is stable and meant for callers to branch on; `error` is for
+// people and may change.
+
+// Used when a call site doesn't name a more specific code
+const STATUS_CODES = {
+  400: "invalid_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  408: "timeout",
+  409: "conflict",
+  413: "payload_too_large",
+  422: "unprocessable",
+  429: "rate_limited",
+  500: "internal_error",
+  502: "upstream_unavailable",
+  503: "unavailable",
+  504: "upstream_timeout",
+};
+
+function codeForStatus(status) {
+  return STATUS_CODES[status] || (status >= 500 ? "internal_error" : "error");
+}
+
+function errorBody(req, status, message, { code, details } = {}) {
+  const body = {
+    success: false,
+    error: message,
+    code: code || codeForStatus(status),
+  };
+  if (details !== undefined) body.details = details;
+  if (req && req.id) body.requestId = req.id;
+  return body;
+}
+
+function sendError(res, status, message, options) {
+  return res.status(status).json(errorBody(res.req, status, message, options));
+}
+
+module.exports = {
+  STATUS_CODES,
+  codeForStatus,
+  sendError,
+};
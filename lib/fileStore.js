@@ -0,0 +1,68 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+// Append-only JSON-lines store: every change is a line, state is rebuilt on load
+function createFileStore(filePath) {
+  const records = new Map();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.op === "put") {
+          records.set(entry.record.id, entry.record);
+        } else if (entry.op === "del") {
+          records.delete(entry.id);
+        }
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line
+        logger.warn("Skipping corrupt store line", { filePath, error });
+      }
+    }
+
+    // Compact on load so the log doesn't grow forever
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(
+      tmpPath,
+      Array.from(records.values())
+        .map((record) => JSON.stringify({ op: "put", record }) + "\n")
+        .join("")
+    );
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function append(entry) {
+    fs.appendFileSync(filePath, JSON.stringify(entry) + "\n");
+  }
+
+  return {
+    get(id) {
+      return records.get(id) || null;
+    },
+    put(record) {
+      append({ op: "put", record });
+      records.set(record.id, record);
+      return record;
+    },
+    delete(id) {
+      if (!records.has(id)) return false;
+      append({ op: "del", id });
+      records.delete(id);
+      return true;
+    },
+    all() {
+      return Array.from(records.values());
+    },
+    // Writes are synchronous, so there is never anything to wait for
+    async flush() {},
+  };
+}
+
+module.exports = {
+  createFileStore,
+};
@@ -0,0 +1,154 @@
+const { CCPaymentError } = require("./ccpaymentClient");
+const { logger } = require("./logger");
+
+const IP_ERROR_PATTERN = /white\s*list|\bip\b/i;
+
+// Runs named checks and caches the combined result for cacheMs so that
+// frequent probes don't turn into frequent CCPayment calls. Each check
+// resolves to { status: "ok" | "warn" | "fail" | "skipped", ...details };
+// a check that throws counts as "fail".
+function createReadinessProbe({ checks, cacheMs = 30000 }) {
+  let cached = null;
+  let running = null;
+
+  async function runCheck(name, check) {
+    const startedAt = Date.now();
+    try {
+      const result = await check();
+      return { ...result, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      logger.warn("Readiness check failed", { check: name, error });
+      return {
+        status: "fail",
+        error: error.message,
+        durationMs: Date.now() - startedAt,
+      };
+    }
+  }
+
+  async function evaluate() {
+    const names = Object.keys(checks);
+    const results = await Promise.all(
+      names.map((name) => runCheck(name, checks[name]))
+    );
+
+    const report = {};
+    names.forEach((name, index) => {
+      report[name] = results[index];
+    });
+
+    return {
+      status: results.some((result) => result.status === "fail")
+        ? "not_ready"
+        : "ready",
+      checkedAt: new Date().toISOString(),
+      checks: report,
+    };
+  }
+
+  return {
+    async run() {
+      if (cached && Date.now() - cached.at < cacheMs) {
+        return { ...cached.result, cached: true };
+      }
+      if (!running) {
+        running = evaluate()
+          .then((result) => {
+            cached = { at: Date.now(), result };
+            return result;
+          })
+          .finally(() => {
+            running = null;
+          });
+      }
+      return { ...(await running), cached: false };
+    },
+  };
+}
+
+// Signed getCoinList call. ipErrorCodes are the CCPayment codes that mean
+// our outbound IP isn't whitelisted; messages mentioning the whitelist are
+// treated the same way. It makes one attempt with a short timeout, so a
+// CCPayment outage fails the probe instead of outlasting it.
+function ccpaymentCheck({ getClient, timeoutMs = 3000, ipErrorCodes = [] }) {
+  return async () => {
+    const ccpayment = getClient();
+    if (!ccpayment) {
+      return { status: "fail", error: "CCPayment credentials not configured" };
+    }
+
+    try {
+      const response = await ccpayment.request(
+        "getCoinList",
+        {},
+        { timeout: timeoutMs, maxRetries: 0 }
+      );
+      return { status: "ok", coins: response.data?.coins?.length || 0 };
+    } catch (error) {
+      if (!(error instanceof CCPaymentError)) throw error;
+
+      const ipRejected =
+        ipErrorCodes.includes(Number(error.ccpaymentCode)) ||
+        (error.ccpaymentCode !== undefined &&
+          IP_ERROR_PATTERN.test(error.message));
+
+      return {
+        status: "fail",
+        reason: ipRejected ? "ip_not_whitelisted" : error.type,
+        ccpaymentCode: error.ccpaymentCode,
+        error: error.message,
+      };
+    }
+  };
+}
+
+// Only checks that the settings are present. Like supabaseAuth, user
+// tokens can be verified with the JWT secret, or with the URL and anon key
+// (JWKS and /auth/v1/user); either is enough.
+function supabaseConfigCheck({ url, anonKey, jwtSecret, webhookFunctionUrl }) {
+  return async () => {
+    const verification = [];
+    if (jwtSecret) verification.push("hs256");
+    if (url && anonKey) verification.push("jwks");
+
+    if (verification.length === 0) {
+      const missing = ["SUPABASE_JWT_SECRET"];
+      if (!url) missing.push("SUPABASE_URL");
+      if (!anonKey) missing.push("SUPABASE_ANON_KEY");
+      return {
+        status: "fail",
+        missing,
+        reason:
+          "needs SUPABASE_JWT_SECRET, or SUPABASE_URL and SUPABASE_ANON_KEY",
+      };
+    }
+
+    return {
+      status: "ok",
+      tokenVerification: verification.join("+"),
+      webhookForwarding: !!webhookFunctionUrl,
+    };
+  };
+}
+
+// Compares the IP CCPayment will see with the one whitelisted there
+function outboundIpCheck({ expectedIp, resolveIp }) {
+  return async () => {
+    const ip = await resolveIp();
+
+    if (!expectedIp) {
+      return { status: "skipped", ip, reason: "EXPECTED_OUTBOUND_IP not set" };
+    }
+
+    return ip === expectedIp
+      ? { status: "ok", ip }
+      : { status: "fail", ip, expectedIp, reason: "ip_mismatch" };
+  };
+}
+
+module.exports = {
+  createReadinessProbe,
+  ccpaymentCheck,
+  supabaseConfigCheck,
+  outboundIpCheck,
+};
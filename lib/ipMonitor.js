@@ -0,0 +1,226 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { logger } = require("./logger");
+const { sendError } = require("./errors");
+const { outboundIpMismatch } = require("./metrics");
+
+const DEFAULT_RESOLVERS = [
+  "https://api.ipify.org?format=json",
+  "https://httpbin.org/ip",
+  "https://api.myip.com",
+];
+
+const IP_PATTERN = /^[0-9a-f.:]+$/i;
+
+// A resolver is an async function returning the egress IP. URLs are turned
+// into resolvers that accept {"ip": ...}, {"origin": ...} or plain text.
+function urlResolver(url, timeoutMs = 5000) {
+  const resolve = async () => {
+    const { data } = await axios.get(url, { timeout: timeoutMs });
+    const ip = String(
+      typeof data === "string" ? data : data.ip || data.origin || ""
+    )
+      .split(",")[0]
+      .trim();
+    if (!IP_PATTERN.test(ip)) {
+      throw new Error(`No IP address in response from ${url}`);
+    }
+    return ip;
+  };
+  resolve.resolverName = new URL(url).host;
+  return resolve;
+}
+
+// Watches the IP CCPayment sees. Resolvers are tried in order until one
+// answers; each distinct IP is kept in the history store, and alertUrl is
+// notified when the IP stops (or starts again) matching expectedIp.
+function createIpMonitor({
+  resolvers = DEFAULT_RESOLVERS.map((url) => urlResolver(url)),
+  expectedIp,
+  store,
+  intervalMs = 60000,
+  historySize = 100,
+  alertUrl,
+  alertTimeoutMs = 10000,
+}) {
+  let current = null;
+  let lastResults = [];
+  let timer = null;
+  let checking = null;
+
+  function history() {
+    return store
+      .all()
+      .sort((a, b) => Date.parse(b.firstSeenAt) - Date.parse(a.firstSeenAt));
+  }
+
+  function remember(ip, at) {
+    const [latest] = history();
+    if (latest && latest.ip === ip) {
+      store.put({ ...latest, lastSeenAt: at, checks: latest.checks + 1 });
+      return;
+    }
+
+    store.put({
+      id: crypto.randomUUID(),
+      ip,
+      firstSeenAt: at,
+      lastSeenAt: at,
+      checks: 1,
+    });
+    for (const old of history().slice(historySize)) {
+      store.delete(old.id);
+    }
+  }
+
+  async function alert(event) {
+    if (!alertUrl) return;
+    try {
+      await axios.post(alertUrl, event, { timeout: alertTimeoutMs });
+    } catch (error) {
+      logger.error("IP alert webhook failed", { type: event.type, error });
+    }
+  }
+
+  async function resolve() {
+    const results = [];
+    for (const resolver of resolvers) {
+      const name = resolver.resolverName || resolver.name || "custom";
+      try {
+        const ip = await resolver();
+        results.push({ resolver: name, ip, status: "success" });
+        return { ip, resolver: name, results };
+      } catch (error) {
+        results.push({
+          resolver: name,
+          error: error.message,
+          status: "failed",
+        });
+      }
+    }
+    return { ip: null, resolver: null, results };
+  }
+
+  async function check() {
+    const { ip, resolver, results } = await resolve();
+    const checkedAt = new Date().toISOString();
+    lastResults = results;
+
+    if (!ip) {
+      logger.warn("Could not determine outbound IP", { results });
+      return current;
+    }
+
+    const previous = current;
+    const matches = expectedIp ? ip === expectedIp : null;
+    current = {
+      ip,
+      resolver,
+      checkedAt,
+      expectedIp: expectedIp || null,
+      matches,
+    };
+    remember(ip, checkedAt);
+    outboundIpMismatch.set(matches === false ? 1 : 0);
+
+    if (previous && previous.ip !== ip) {
+      logger.warn("Outbound IP changed", { from: previous.ip, to: ip });
+    }
+
+    const wasMismatched = previous ? previous.matches === false : false;
+    if (matches === false && !wasMismatched) {
+      logger.error("Outbound IP does not match the whitelisted IP", {
+        ip,
+        expectedIp,
+      });
+      await alert({
+        type: "ip_mismatch",
+        ip,
+        expectedIp,
+        previousIp: previous?.ip || null,
+        detectedAt: checkedAt,
+      });
+    } else if (matches === true && wasMismatched) {
+      logger.info("Outbound IP matches the whitelisted IP again", { ip });
+      await alert({
+        type: "ip_restored",
+        ip,
+        expectedIp,
+        detectedAt: checkedAt,
+      });
+    }
+
+    return current;
+  }
+
+  function schedule() {
+    timer = setTimeout(async () => {
+      try {
+        await monitor.check();
+      } catch (error) {
+        logger.error("IP monitor error", { error });
+      }
+      if (timer) schedule();
+    }, intervalMs);
+    timer.unref();
+  }
+
+  const monitor = {
+    // Concurrent callers share one round of resolver calls
+    check() {
+      if (!checking) {
+        checking = check().finally(() => {
+          checking = null;
+        });
+      }
+      return checking;
+    },
+    current() {
+      return current;
+    },
+    lastResults() {
+      return lastResults;
+    },
+    history,
+    mismatched() {
+      return current?.matches === false;
+    },
+    // Express middleware that refuses CCPayment-bound requests while the
+    // last observed IP is known to be wrong
+    guard() {
+      return (req, res, next) => {
+        if (!monitor.mismatched()) return next();
+
+        req.log.warn("Blocked CCPayment request, outbound IP mismatch", {
+          ip: current.ip,
+          expectedIp,
+        });
+        sendError(
+          res,
+          503,
+          "Outbound IP does not match the IP whitelisted in CCPayment",
+          { code: "ip_mismatch" }
+        );
+      };
+    },
+    start() {
+      if (timer) return;
+      monitor.check().catch((error) => {
+        logger.error("IP monitor error", { error });
+      });
+      schedule();
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+
+  return monitor;
+}
+
+module.exports = {
+  DEFAULT_RESOLVERS,
+  urlResolver,
+  createIpMonitor,
+};
@@ -0,0 +1,136 @@
+const client = require("prom-client");
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 30];
+
+const httpRequests = new client.Counter({
+  name: "http_requests_total",
+  help: "Requests handled by the proxy",
+  labelNames: ["route", "method", "status"],
+  registers: [register],
+});
+
+const httpDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "Time to respond to a request",
+  labelNames: ["route", "method"],
+  buckets: LATENCY_BUCKETS,
+  registers: [register],
+});
+
+const upstreamRequests = new client.Counter({
+  name: "upstream_requests_total",
+  help: "Calls made to CCPayment hosts, by outcome",
+  labelNames: ["upstream", "endpoint", "outcome"],
+  registers: [register],
+});
+
+const upstreamDuration = new client.Histogram({
+  name: "upstream_request_duration_seconds",
+  help: "Time for a CCPayment host to respond",
+  labelNames: ["upstream", "endpoint"],
+  buckets: LATENCY_BUCKETS,
+  registers: [register],
+});
+
+const ccpaymentCodes = new client.Counter({
+  name: "ccpayment_response_codes_total",
+  help: "Business codes returned by CCPayment (10000 is success)",
+  labelNames: ["endpoint", "code"],
+  registers: [register],
+});
+
+const withdrawalRetries = new client.Counter({
+  name: "withdrawal_retries_total",
+  help: "Withdrawal submissions retried after an ambiguous failure",
+  labelNames: ["reason"],
+  registers: [register],
+});
+
+const withdrawalAmount = new client.Histogram({
+  name: "withdrawal_amount",
+  help: "Amounts of withdrawals accepted by CCPayment",
+  labelNames: ["chain", "coinId"],
+  buckets: [1, 10, 100, 1000, 10000, 100000, 1000000],
+  registers: [register],
+});
+
+const circuitOpen = new client.Gauge({
+  name: "circuit_breaker_open",
+  help: "1 while the circuit breaker for an upstream is open or half-open",
+  labelNames: ["breaker"],
+  registers: [register],
+});
+
+const rateLimited = new client.Counter({
+  name: "rate_limited_requests_total",
+  help: "Requests refused with 429, by budget and the identity that ran out",
+  labelNames: ["budget", "identity"],
+  registers: [register],
+});
+
+const outboundIpMismatch = new client.Gauge({
+  name: "outbound_ip_mismatch",
+  help: "1 while the outbound IP differs from the whitelisted IP",
+  registers: [register],
+});
+
+const reconciliationFindings = new client.Gauge({
+  name: "reconciliation_findings",
+  help: "Findings in the latest reconciliation report, by type",
+  labelNames: ["type"],
+  registers: [register],
+});
+
+// Records one call to a CCPayment host. outcome is the HTTP status, or
+// "timeout"/"network" when there was no response.
+function observeUpstream({ upstream, endpoint, outcome, durationMs, code }) {
+  upstreamRequests.inc({ upstream, endpoint, outcome: String(outcome) });
+  upstreamDuration.observe({ upstream, endpoint }, durationMs / 1000);
+  if (code !== undefined && code !== null) {
+    ccpaymentCodes.inc({ endpoint, code: String(code) });
+  }
+}
+
+// Express middleware timing every request. Labels use the matched route
+// pattern (or the proxy mount point) so IDs in paths don't explode the
+// series count.
+function httpMetrics() {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    res.on("finish", () => {
+      const route = req.route?.path || req.metricsRoute || "unmatched";
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      httpRequests.inc({
+        route,
+        method: req.method,
+        status: String(res.statusCode),
+      });
+      httpDuration.observe({ route, method: req.method }, seconds);
+    });
+    next();
+  };
+}
+
+// Names routes that aren't app.get/app.post handlers, such as proxy mounts
+function labelRoute(route) {
+  return (req, res, next) => {
+    req.metricsRoute = route;
+    next();
+  };
+}
+
+module.exports = {
+  register,
+  httpMetrics,
+  labelRoute,
+  observeUpstream,
+  withdrawalRetries,
+  withdrawalAmount,
+  outboundIpMismatch,
+  rateLimited,
+  circuitOpen,
+  reconciliationFindings,
+};
@@ -0,0 +1,91 @@
+// Schema changes, applied in order and recorded in proxy_schema_migrations.
+// Never edit a migration that has shipped; add a new one. The SQL must run
+// on both SQLite and Postgres, so JSON is kept in TEXT columns and times
+// as ISO strings. Tables are prefixed so they can share the Supabase
+// database with the app's own.
+const MIGRATIONS = [
+  {
+    id: "001_initial",
+    sql: `
+      CREATE TABLE proxy_orders (
+        id TEXT PRIMARY KEY,
+        order_id TEXT UNIQUE,
+        user_id TEXT NOT NULL,
+        chain TEXT NOT NULL,
+        currency TEXT NOT NULL,
+        coin_id INTEGER,
+        mode TEXT NOT NULL,
+        address TEXT NOT NULL,
+        memo TEXT,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX proxy_orders_user_id ON proxy_orders (user_id);
+
+      CREATE TABLE proxy_withdrawals (
+        order_id TEXT PRIMARY KEY,
+        withdrawal_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        chain TEXT NOT NULL,
+        address TEXT NOT NULL,
+        memo TEXT,
+        amount TEXT NOT NULL,
+        currency TEXT NOT NULL,
+        status TEXT NOT NULL,
+        record_id TEXT,
+        ccpayment_code INTEGER,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX proxy_withdrawals_user_id ON proxy_withdrawals (user_id);
+      CREATE INDEX proxy_withdrawals_status ON proxy_withdrawals (status);
+
+      CREATE TABLE proxy_ccpayment_records (
+        kind TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        order_id TEXT,
+        status TEXT,
+        data TEXT NOT NULL,
+        fetched_at TEXT NOT NULL,
+        PRIMARY KEY (kind, record_id)
+      );
+      CREATE INDEX proxy_ccpayment_records_order_id
+        ON proxy_ccpayment_records (order_id);
+
+      CREATE TABLE proxy_webhook_events (
+        id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        type TEXT NOT NULL,
+        record_id TEXT,
+        order_id TEXT,
+        user_id TEXT,
+        status TEXT,
+        data TEXT NOT NULL,
+        received_at TEXT NOT NULL
+      );
+      CREATE INDEX proxy_webhook_events_record_id
+        ON proxy_webhook_events (record_id);
+      CREATE INDEX proxy_webhook_events_order_id
+        ON proxy_webhook_events (order_id);
+    `,
+  },
+  {
+    // Workflow state kept by lib/documentStore.js: one row per record,
+    // grouped by the store it belongs to
+    id: "002_documents",
+    sql: `
+      CREATE TABLE proxy_documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+    `,
+  },
+];
+
+module.exports = {
+  MIGRATIONS,
+};
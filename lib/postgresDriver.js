@@ -0,0 +1,62 @@
+// Arbitrary constant identifying the migration lock among advisory locks
+const MIGRATION_LOCK_ID = 4827160311;
+
+// Statements are written with ? placeholders for SQLite; Postgres wants
+// $1, $2, ...
+function numberPlaceholders(sql) {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+function wrap(queryable) {
+  return {
+    name: "postgres",
+    async exec(sql) {
+      await queryable.query(sql);
+    },
+    async run(sql, params = []) {
+      await queryable.query(numberPlaceholders(sql), params);
+    },
+    async all(sql, params = []) {
+      const result = await queryable.query(numberPlaceholders(sql), params);
+      return result.rows;
+    },
+  };
+}
+
+// Postgres through pg (an optional dependency, loaded only when this driver
+// is chosen), e.g. the Supabase database's connection string
+function createPostgresDriver({ connectionString, max = 5 }) {
+  const { Pool } = require("pg");
+  const pool = new Pool({ connectionString, max });
+
+  return {
+    ...wrap(pool),
+    // Runs fn on one connection inside a transaction. An advisory lock
+    // keeps instances starting together from migrating at the same time.
+    async migrationTransaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        await client.query("SELECT pg_advisory_xact_lock($1)", [
+          MIGRATION_LOCK_ID,
+        ]);
+        const result = await fn(wrap(client));
+        await client.query("COMMIT");
+        return result;
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+module.exports = {
+  createPostgresDriver,
+};
@@ -0,0 +1,167 @@
+const { logger } = require("./logger");
+const { sendError } = require("./errors");
+const { rateLimited } = require("./metrics");
+
+// Per-window request budgets. Each identity kind has its own limit; 0 or
+// null turns that kind off for the budget.
+const DEFAULT_BUDGETS = {
+  wallet: { windowSeconds: 60, user: 5, apiKey: 120, ip: 20 },
+  withdrawal: { windowSeconds: 60, user: 5, apiKey: 60, ip: 10 },
+  proxy: { windowSeconds: 60, user: 60, apiKey: 600, ip: 120 },
+  // Admin approvals, kept apart so a busy reviewer doesn't use up their
+  // own withdrawal budget
+  approval: { windowSeconds: 60, user: 30, apiKey: 0, ip: 60 },
+};
+
+const IDENTITY_KINDS = ["user", "apiKey", "ip"];
+
+// RATE_LIMITS (JSON) is merged over the defaults, e.g.
+// {"wallet": {"user": 3}, "proxy": {"windowSeconds": 10, "ip": 50}}
+function loadBudgets(json) {
+  const raw = json ? JSON.parse(json) : {};
+  const budgets = {};
+
+  for (const name of Object.keys(raw)) {
+    if (!DEFAULT_BUDGETS[name]) {
+      throw new Error(`Unknown rate limit budget: ${name}`);
+    }
+  }
+
+  for (const [name, defaults] of Object.entries(DEFAULT_BUDGETS)) {
+    const budget = { ...defaults, ...raw[name] };
+    if (!(Number(budget.windowSeconds) > 0)) {
+      throw new Error(`windowSeconds for ${name} must be a positive number`);
+    }
+    budgets[name] = budget;
+  }
+  return budgets;
+}
+
+// Fixed-window counters kept in this process
+function createMemoryStore({ sweepIntervalMs = 60000 } = {}) {
+  const windows = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, sweepIntervalMs).unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+}
+
+const REDIS_HIT_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then redis.call("PEXPIRE", KEYS[1], ARGV[1]) end
+return {count, redis.call("PTTL", KEYS[1])}
+`;
+
+// Counters shared by every instance through Redis. The redis package is an
+// optional dependency and is only loaded when this store is chosen.
+function createRedisStore({ url, prefix = "ratelimit:" }) {
+  const { createClient } = require("redis");
+  // Fail fast while disconnected rather than queueing behind a reconnect
+  const client = createClient({ url, disableOfflineQueue: true });
+  client.on("error", (error) => {
+    logger.error("Redis rate limit store error", { error });
+  });
+  client.connect().catch(() => {});
+
+  return {
+    async hit(key, windowMs) {
+      if (!client.isReady) {
+        throw new Error("Redis rate limit store is not connected");
+      }
+      const [count, ttl] = await client.eval(REDIS_HIT_SCRIPT, {
+        keys: [prefix + key],
+        arguments: [String(windowMs)],
+      });
+      return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+  };
+}
+
+// Who is calling, for each identity kind. Service-called routes such as
+// /generate-wallet name the user in the body, so they must validate it
+// before limiting; otherwise any string becomes a key. req.ip is the client's
+// address only when "trust proxy" covers the load balancer (TRUST_PROXY).
+function identities(req) {
+  return {
+    user: req.user?.id || req.body?.userId,
+    apiKey: req.serviceClient?.name || req.selfSign?.client,
+    ip: req.ip,
+  };
+}
+
+function createRateLimiter({ store, budgets }) {
+  return {
+    // Express middleware; place it after authentication so users and API
+    // keys are known
+    limit(name) {
+      const budget = budgets[name];
+      const windowMs = budget.windowSeconds * 1000;
+
+      return async (req, res, next) => {
+        const ids = identities(req);
+        let retryAfterMs = 0;
+        let exceeded = null;
+
+        try {
+          for (const kind of IDENTITY_KINDS) {
+            const max = budget[kind];
+            if (!max || !ids[kind]) continue;
+
+            const { count, resetAt } = await store.hit(
+              `${name}:${kind}:${ids[kind]}`,
+              windowMs
+            );
+            const waitMs = Math.max(resetAt - Date.now(), 0);
+            if (count > max && (!exceeded || waitMs > retryAfterMs)) {
+              retryAfterMs = waitMs;
+              exceeded = kind;
+            }
+          }
+        } catch (error) {
+          // A broken counter store shouldn't take the payment routes down
+          req.log.error("Rate limit store unavailable, allowing request", {
+            budget: name,
+            error,
+          });
+          return next();
+        }
+
+        if (!exceeded) return next();
+
+        const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+        rateLimited.inc({ budget: name, identity: exceeded });
+        req.log.warn("Rate limit exceeded", {
+          budget: name,
+          identity: exceeded,
+          retryAfter,
+        });
+        res.set("Retry-After", String(retryAfter));
+        sendError(res, 429, "Too many requests", { details: { retryAfter } });
+      };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_BUDGETS,
+  loadBudgets,
+  createMemoryStore,
+  createRedisStore,
+  createRateLimiter,
+};
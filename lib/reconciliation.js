@@ -0,0 +1,404 @@
+const crypto = require("crypto");
+const { CCPaymentError } = require("./ccpaymentClient");
+const { logger } = require("./logger");
+const { reconciliationFindings } = require("./metrics");
+const { parseDepositOrderId } = require("./webhooks");
+
+const FINDING_TYPES = [
+  "missing_credit",
+  "stuck_withdrawal",
+  "amount_mismatch",
+  "orphaned_order_id",
+];
+
+// Requests that have left our hands but that CCPayment hasn't settled
+const OPEN_WITHDRAWAL_STATUSES = ["approved", "submitted"];
+
+const CSV_COLUMNS = [
+  "type",
+  "kind",
+  "orderId",
+  "recordId",
+  "userId",
+  "expected",
+  "actual",
+  "detail",
+];
+
+// CCPayment's business code for a record it doesn't have
+const RECORD_NOT_FOUND = 12002;
+
+// Only "record not found" means the record is missing; other business
+// errors (IP whitelist, signature, rate limit) fail the step instead
+function isNotFound(error) {
+  return (
+    error instanceof CCPaymentError &&
+    error.type === "business" &&
+    Number(error.ccpaymentCode) === RECORD_NOT_FOUND
+  );
+}
+
+// Pages through a record list endpoint until CCPayment stops returning a
+// nextId
+async function fetchAll(fetchPage, { startAt, endAt, maxPages }) {
+  const records = [];
+  let nextId;
+  for (let page = 0; page < maxPages; page++) {
+    const params = { startAt, endAt };
+    if (nextId) params.nextId = nextId;
+    const response = await fetchPage(params);
+    records.push(...(response.data?.records || []));
+    nextId = response.data?.nextId;
+    if (!nextId) return { records, complete: true };
+  }
+  return { records, complete: false };
+}
+
+// Values come from CCPayment and users; a leading =, +, - or @ would make
+// a spreadsheet run them as a formula, so those get a ' in front
+function csvValue(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per finding
+function reportToCsv(report) {
+  return [
+    CSV_COLUMNS.join(","),
+    ...report.findings.map((finding) =>
+      CSV_COLUMNS.map((column) => csvValue(finding[column])).join(",")
+    ),
+  ].join("\n");
+}
+
+// Compares CCPayment's deposit and withdrawal records for the last
+// lookbackHours with the proxy's own orders, withdrawal requests and the
+// webhook events it received, and keeps the last keepReports reports.
+function createReconciler({
+  getClient,
+  withdrawalRequests,
+  withdrawalLedger,
+  depositAddresses,
+  storage,
+  webhookForwarder,
+  store,
+  lookbackHours = 24,
+  stuckAfterMinutes = 60,
+  maxPages = 50,
+  keepReports = 20,
+  intervalMs = 0,
+}) {
+  let running = null;
+  let timer = null;
+
+  async function reconcileDeposits(ccpayment, window, finding, errors) {
+    const { records, complete } = await fetchAll(
+      (params) => ccpayment.getAppDepositRecordList(params),
+      { ...window, maxPages }
+    );
+    if (!complete) {
+      errors.push(`Deposit records truncated at ${maxPages} pages`);
+    }
+
+    // Oldest first, so each record ends up with its latest webhook
+    const received = await storage.listEvents({
+      kind: "deposit",
+      since: new Date(window.startAt * 1000).toISOString(),
+    });
+    const events = new Map(
+      received
+        .filter((event) => event.recordId)
+        .map((event) => [event.recordId, event])
+    );
+    const listed = new Set(records.map((record) => record.recordId));
+
+    // Webhooks in the window for records the list didn't return are looked
+    // up one by one
+    for (const event of events.values()) {
+      if (listed.has(event.recordId)) continue;
+      try {
+        const response = await ccpayment.getAppDepositRecord({
+          recordId: event.recordId,
+        });
+        if (response.data?.record) records.push(response.data.record);
+      } catch (error) {
+        if (!isNotFound(error)) throw error;
+        finding("orphaned_order_id", {
+          kind: "deposit",
+          orderId: event.orderId,
+          recordId: event.recordId,
+          userId: event.userId,
+          detail: "Deposit webhook for a record CCPayment doesn't know",
+        });
+      }
+    }
+
+    for (const record of records) {
+      const event = events.get(record.recordId);
+      const userId =
+        event?.userId ||
+        parseDepositOrderId(record.orderId)?.userId ||
+        record.referenceId ||
+        null;
+
+      if (record.orderId && !depositAddresses.findByOrderId(record.orderId)) {
+        finding("orphaned_order_id", {
+          kind: "deposit",
+          orderId: record.orderId,
+          recordId: record.recordId,
+          userId,
+          actual: record.amount,
+          detail: "CCPayment deposit to an orderId the proxy never issued",
+        });
+      }
+
+      if (record.status === "Success" && event?.status !== "Success") {
+        finding("missing_credit", {
+          kind: "deposit",
+          orderId: record.orderId,
+          recordId: record.recordId,
+          userId,
+          actual: record.amount,
+          detail: event
+            ? `Last webhook reported ${event.status}`
+            : "No webhook received for a successful deposit",
+        });
+      }
+    }
+
+    // Received but never delivered to Supabase, so never credited
+    for (const job of webhookForwarder ? webhookForwarder.deadLetters() : []) {
+      if (job.event.kind !== "deposit") continue;
+      finding("missing_credit", {
+        kind: "deposit",
+        orderId: job.event.orderId,
+        recordId: job.event.recordId,
+        userId: job.event.userId,
+        detail: `Webhook not delivered to Supabase: ${job.lastError}`,
+      });
+    }
+
+    return records.length;
+  }
+
+  async function reconcileWithdrawals(ccpayment, window, finding, errors) {
+    const { records, complete } = await fetchAll(
+      (params) => ccpayment.getAppWithdrawRecordList(params),
+      { ...window, maxPages }
+    );
+    if (!complete) {
+      errors.push(`Withdrawal records truncated at ${maxPages} pages`);
+    }
+
+    const byOrderId = new Map(
+      records
+        .filter((record) => record.orderId)
+        .map((record) => [record.orderId, record])
+    );
+
+    const stuckBefore = Date.now() - stuckAfterMinutes * 60 * 1000;
+    for (const request of withdrawalRequests.list()) {
+      if (
+        !OPEN_WITHDRAWAL_STATUSES.includes(request.status) ||
+        byOrderId.has(request.orderId) ||
+        Date.parse(request.updatedAt) > stuckBefore
+      ) {
+        continue;
+      }
+      // Open for too long and outside the listed window: ask directly
+      try {
+        const response = await ccpayment.getAppWithdrawRecord({
+          orderId: request.orderId,
+        });
+        if (response.data?.record) {
+          byOrderId.set(request.orderId, response.data.record);
+          continue;
+        }
+      } catch (error) {
+        if (!isNotFound(error)) throw error;
+      }
+      finding(
+        request.status === "submitted"
+          ? "orphaned_order_id"
+          : "stuck_withdrawal",
+        {
+          kind: "withdrawal",
+          orderId: request.orderId,
+          userId: request.userId,
+          expected: request.amount,
+          detail:
+            request.status === "submitted"
+              ? "Submitted, but CCPayment has no withdrawal with this orderId"
+              : `Approved at ${request.updatedAt} but never submitted`,
+        }
+      );
+    }
+
+    for (const record of byOrderId.values()) {
+      const request = withdrawalRequests.findByOrderId(record.orderId);
+      if (!request) {
+        if (!withdrawalLedger.get(record.orderId)) {
+          finding("orphaned_order_id", {
+            kind: "withdrawal",
+            orderId: record.orderId,
+            recordId: record.recordId,
+            actual: record.amount,
+            detail: "CCPayment withdrawal with no matching request",
+          });
+        }
+        continue;
+      }
+
+      if (Number(record.amount) !== Number(request.amount)) {
+        finding("amount_mismatch", {
+          kind: "withdrawal",
+          orderId: record.orderId,
+          recordId: record.recordId,
+          userId: request.userId,
+          expected: request.amount,
+          actual: record.amount,
+          detail: "CCPayment amount differs from the requested amount",
+        });
+      }
+
+      if (!OPEN_WITHDRAWAL_STATUSES.includes(request.status)) continue;
+      if (record.status === "Success" || record.status === "Failed") {
+        finding("stuck_withdrawal", {
+          kind: "withdrawal",
+          orderId: record.orderId,
+          recordId: record.recordId,
+          userId: request.userId,
+          expected: record.status,
+          actual: request.status,
+          detail: `CCPayment reports ${record.status} but the request is still ${request.status}`,
+        });
+      } else if (Date.parse(request.updatedAt) <= stuckBefore) {
+        finding("stuck_withdrawal", {
+          kind: "withdrawal",
+          orderId: record.orderId,
+          recordId: record.recordId,
+          userId: request.userId,
+          actual: record.status,
+          detail: `Still ${record.status} at CCPayment since ${request.updatedAt}`,
+        });
+      }
+    }
+
+    return records.length;
+  }
+
+  async function reconcile(options = {}) {
+    const hours = options.lookbackHours || lookbackHours;
+    const startedAt = new Date();
+    const endAt = Math.floor(startedAt.getTime() / 1000);
+    const window = { startAt: endAt - Math.round(hours * 3600), endAt };
+
+    const findings = [];
+    const seen = new Set();
+    const errors = [];
+    function finding(type, details) {
+      const key = `${type}:${details.kind}:${details.orderId}:${details.recordId}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      findings.push({ type, ...details });
+    }
+
+    const ccpayment = getClient();
+    if (!ccpayment) throw new Error("CCPayment credentials not configured");
+
+    const counts = {};
+    for (const [kind, check] of [
+      ["deposits", reconcileDeposits],
+      ["withdrawals", reconcileWithdrawals],
+    ]) {
+      try {
+        counts[kind] = await check(ccpayment, window, finding, errors);
+      } catch (error) {
+        logger.error("Reconciliation step failed", { kind, error });
+        errors.push(`${kind}: ${error.message}`);
+      }
+    }
+
+    const summary = Object.fromEntries(
+      FINDING_TYPES.map((type) => [
+        type,
+        findings.filter((item) => item.type === type).length,
+      ])
+    );
+    for (const [type, count] of Object.entries(summary)) {
+      reconciliationFindings.set({ type }, count);
+    }
+
+    const report = store.put({
+      id: crypto.randomUUID(),
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      window: {
+        from: new Date(window.startAt * 1000).toISOString(),
+        to: new Date(window.endAt * 1000).toISOString(),
+      },
+      records: counts,
+      summary,
+      findings,
+      errors,
+    });
+
+    const reports = store
+      .all()
+      .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+    for (const old of reports.slice(keepReports)) store.delete(old.id);
+
+    logger[findings.length || errors.length ? "warn" : "info"](
+      "Reconciliation finished",
+      { reportId: report.id, summary, errors: errors.length }
+    );
+    return report;
+  }
+
+  function list() {
+    return store
+      .all()
+      .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+  }
+
+  const reconciler = {
+    // Runs now; a run already in progress is shared
+    run(options) {
+      if (!running) {
+        running = reconcile(options).finally(() => {
+          running = null;
+        });
+      }
+      return running;
+    },
+    latest() {
+      return list()[0] || null;
+    },
+    get(id) {
+      return store.get(id);
+    },
+    list,
+    start() {
+      if (timer || !(intervalMs > 0)) return;
+      timer = setInterval(() => {
+        reconciler.run().catch((error) => {
+          logger.error("Scheduled reconciliation failed", { error });
+        });
+      }, intervalMs);
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+
+  return reconciler;
+}
+
+module.exports = {
+  FINDING_TYPES,
+  reportToCsv,
+  createReconciler,
+};
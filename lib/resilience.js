@@ -0,0 +1,125 @@
+const http = require("http");
+const https = require("https");
+const { logger } = require("./logger");
+const { sendError } = require("./errors");
+const { circuitOpen } = require("./metrics");
+
+// Shared keep-alive agents so calls to CCPayment reuse TLS connections
+// instead of handshaking every time
+const httpAgent = new http.Agent({ keepAlive: true, maxSockets: 50 });
+const httpsAgent = new https.Agent({ keepAlive: true, maxSockets: 50 });
+
+// The agent matching a URL's protocol, e.g. for a proxy target
+function agentFor(url) {
+  return new URL(url).protocol === "https:" ? httpsAgent : httpAgent;
+}
+
+// Exponential backoff with full jitter: a random delay between 0 and
+// baseMs * 2^(attempt - 1), capped at maxMs
+function backoffDelay(attempt, { baseMs = 200, maxMs = 5000 } = {}) {
+  return Math.floor(
+    Math.random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1))
+  );
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Opens after failureThreshold consecutive failures and fails fast until
+// resetTimeoutMs has passed, then lets a single trial call through
+// (half-open). A success closes it again. A trial that never reports back
+// is given up on after another resetTimeoutMs.
+function createCircuitBreaker({
+  name,
+  failureThreshold = 5,
+  resetTimeoutMs = 30000,
+}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = null;
+  let trialStartedAt = null;
+
+  function setState(next) {
+    if (state === next) return;
+    logger[next === "open" ? "error" : "info"]("Circuit breaker state change", {
+      breaker: name,
+      from: state,
+      to: next,
+      failures,
+    });
+    state = next;
+    circuitOpen.set({ breaker: name }, next === "open" ? 1 : 0);
+  }
+
+  circuitOpen.set({ breaker: name }, 0);
+
+  const breaker = {
+    name,
+    // Whether a call may go ahead now
+    allow() {
+      if (state === "closed") return true;
+      if (state === "open" && Date.now() - openedAt >= resetTimeoutMs) {
+        setState("half-open");
+      }
+      if (
+        state === "half-open" &&
+        (!trialStartedAt || Date.now() - trialStartedAt >= resetTimeoutMs)
+      ) {
+        trialStartedAt = Date.now();
+        return true;
+      }
+      return false;
+    },
+    success() {
+      failures = 0;
+      trialStartedAt = null;
+      setState("closed");
+    },
+    failure() {
+      failures += 1;
+      trialStartedAt = null;
+      if (state === "half-open" || failures >= failureThreshold) {
+        openedAt = Date.now();
+        setState("open");
+      }
+    },
+    // Express middleware that answers 503 instead of calling the upstream
+    // while the breaker is open
+    guard() {
+      return (req, res, next) => {
+        if (breaker.allow()) return next();
+
+        req.log.warn("Circuit open, failing fast", { breaker: name });
+        sendError(res, 503, `${name} is unavailable, try again later`, {
+          code: "circuit_open",
+        });
+      };
+    },
+    status() {
+      return {
+        state,
+        failures,
+        openedAt:
+          openedAt && state !== "closed"
+            ? new Date(openedAt).toISOString()
+            : null,
+        retryAt:
+          state === "open"
+            ? new Date(openedAt + resetTimeoutMs).toISOString()
+            : null,
+      };
+    },
+  };
+
+  return breaker;
+}
+
+module.exports = {
+  httpAgent,
+  httpsAgent,
+  agentFor,
+  backoffDelay,
+  sleep,
+  createCircuitBreaker,
+};
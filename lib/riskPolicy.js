@@ -0,0 +1,220 @@
+const fs = require("fs");
+
+// Every reason a withdrawal can break the policy, and what happens by
+// default: "reject" refuses it outright, "review" holds it for an admin
+const REASONS = {
+  amount_below_minimum: "reject",
+  amount_above_maximum: "review",
+  user_daily_cap_exceeded: "review",
+  user_rolling_cap_exceeded: "review",
+  global_daily_cap_exceeded: "review",
+  address_cooling_off: "review",
+  address_not_allowlisted: "reject",
+};
+
+// Requests in these states have been (or may yet be) paid out, so they
+// count towards the caps
+const COUNTED_STATUSES = ["pending", "approved", "submitted", "confirmed"];
+
+// Policy comes from RISK_POLICY (JSON) or RISK_POLICY_FILE, e.g.
+// {"currencies": {"USDT": {"minAmount": 5, "maxAmount": 5000,
+//   "userDailyCap": 10000, "userRollingCap": 25000, "globalDailyCap": 200000}},
+//  "rollingWindowHours": 168, "newAddressCoolingHours": 24,
+//  "allowlist": ["user-id"], "actions": {"amount_above_maximum": "reject"}}
+// Amounts are in units of the withdrawn currency; "*" applies to
+// currencies without their own entry. allowlist is true (every user) or a
+// list of user IDs who may only withdraw to addresses they have added.
+// Requests that pass are only approved without an admin when
+// "autoApprove": true.
+function loadRiskPolicy({ json, file } = {}) {
+  let raw;
+  if (file) {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } else if (json) {
+    raw = JSON.parse(json);
+  } else {
+    return null;
+  }
+
+  const actions = { ...REASONS };
+  for (const [reason, action] of Object.entries(raw.actions || {})) {
+    if (!REASONS[reason]) {
+      throw new Error(`Unknown risk policy reason: ${reason}`);
+    }
+    if (action !== "reject" && action !== "review") {
+      throw new Error(
+        `Risk policy action for ${reason} must be reject or review`
+      );
+    }
+    actions[reason] = action;
+  }
+
+  const allowlist = raw.allowlist || false;
+  if (allowlist !== true && allowlist !== false && !Array.isArray(allowlist)) {
+    throw new Error(
+      "Risk policy allowlist must be true, false or a list of user IDs"
+    );
+  }
+
+  return {
+    currencies: raw.currencies || {},
+    rollingWindowHours: Number(raw.rollingWindowHours) || 168,
+    newAddressCoolingHours: Number(raw.newAddressCoolingHours) || 0,
+    allowlist,
+    autoApprove: raw.autoApprove === true,
+    actions,
+  };
+}
+
+function startOfUtcDay(now) {
+  const day = new Date(now);
+  day.setUTCHours(0, 0, 0, 0);
+  return day.getTime();
+}
+
+// Checks a withdrawal against the policy before it is stored. Returns
+// { decision: "approve" | "review" | "reject", violations: [...] } where
+// each violation carries its machine-readable reason.
+function createRiskEngine({ policy, withdrawalRequests, addressBook }) {
+  function limitsFor(currency) {
+    return policy.currencies[currency] || policy.currencies["*"] || {};
+  }
+
+  function total(requests) {
+    return requests.reduce((sum, request) => sum + Number(request.amount), 0);
+  }
+
+  return {
+    policy,
+    evaluate({ userId, chain, address, amount, currency }, now = Date.now()) {
+      const violations = [];
+      const value = Number(amount);
+      const limits = limitsFor(currency);
+
+      function violate(reason, details) {
+        violations.push({ reason, action: policy.actions[reason], ...details });
+      }
+
+      if (limits.minAmount !== undefined && value < limits.minAmount) {
+        violate("amount_below_minimum", { limit: limits.minAmount });
+      }
+      if (limits.maxAmount !== undefined && value > limits.maxAmount) {
+        violate("amount_above_maximum", { limit: limits.maxAmount });
+      }
+
+      const counted = withdrawalRequests
+        .list()
+        .filter(
+          (request) =>
+            request.currency === currency &&
+            COUNTED_STATUSES.includes(request.status)
+        );
+      const since = (from) =>
+        counted.filter((request) => Date.parse(request.createdAt) >= from);
+
+      const today = since(startOfUtcDay(now));
+      const mineToday = today.filter((request) => request.userId === userId);
+      const mineRolling = since(
+        now - policy.rollingWindowHours * 3600 * 1000
+      ).filter((request) => request.userId === userId);
+
+      if (
+        limits.userDailyCap !== undefined &&
+        total(mineToday) + value > limits.userDailyCap
+      ) {
+        violate("user_daily_cap_exceeded", {
+          limit: limits.userDailyCap,
+          used: total(mineToday),
+        });
+      }
+      if (
+        limits.userRollingCap !== undefined &&
+        total(mineRolling) + value > limits.userRollingCap
+      ) {
+        violate("user_rolling_cap_exceeded", {
+          limit: limits.userRollingCap,
+          used: total(mineRolling),
+          windowHours: policy.rollingWindowHours,
+        });
+      }
+      if (
+        limits.globalDailyCap !== undefined &&
+        total(today) + value > limits.globalDailyCap
+      ) {
+        violate("global_daily_cap_exceeded", { limit: limits.globalDailyCap });
+      }
+
+      const saved = addressBook.get(userId, chain, address);
+      const allowlisted =
+        policy.allowlist === true ||
+        (Array.isArray(policy.allowlist) && policy.allowlist.includes(userId));
+      if (allowlisted && (!saved || saved.source !== "user")) {
+        violate("address_not_allowlisted", {});
+      }
+
+      const coolingMs = policy.newAddressCoolingHours * 3600 * 1000;
+      const addedAt = saved ? Date.parse(saved.addedAt) : now;
+      if (coolingMs > 0 && now - addedAt < coolingMs) {
+        violate("address_cooling_off", {
+          availableAt: new Date(addedAt + coolingMs).toISOString(),
+        });
+      }
+
+      let decision = "approve";
+      if (violations.some((violation) => violation.action === "reject")) {
+        decision = "reject";
+      } else if (violations.length > 0 || !policy.autoApprove) {
+        decision = "review";
+      }
+      return { decision, violations };
+    },
+  };
+}
+
+// Withdrawal addresses per user. Users add addresses themselves
+// (source "user"); an address first seen on a withdrawal request is
+// recorded too (source "withdrawal") so its cooling-off period starts.
+function createAddressBook({ store }) {
+  function idFor(userId, chain, address) {
+    return `${userId}:${chain}:${address}`;
+  }
+
+  return {
+    get(userId, chain, address) {
+      return store.get(idFor(userId, chain, address));
+    },
+    add({ userId, chain, address, memo, label, source = "user" }) {
+      const id = idFor(userId, chain, address);
+      const existing = store.get(id);
+      if (existing && (existing.source === "user" || source !== "user")) {
+        return existing;
+      }
+
+      // Adding an address the user already withdrew to keeps its original
+      // first-seen time
+      return store.put({
+        id,
+        userId,
+        chain,
+        address,
+        memo: memo || null,
+        label: label || null,
+        source,
+        addedAt: existing ? existing.addedAt : new Date().toISOString(),
+      });
+    },
+    remove(userId, chain, address) {
+      return store.delete(idFor(userId, chain, address));
+    },
+    list(userId) {
+      return store.all().filter((entry) => entry.userId === userId);
+    },
+  };
+}
+
+module.exports = {
+  REASONS,
+  loadRiskPolicy,
+  createRiskEngine,
+  createAddressBook,
+};
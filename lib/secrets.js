@@ -0,0 +1,293 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const PROVIDERS = ["env", "file", "keystore"];
+const ACCOUNT_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+const KEYSTORE_VERSION = 1;
+
+// Checks a {name: {appId, appSecret}} map of CCPayment accounts, the shape
+// of CCPAYMENT_ACCOUNTS and of the secret and keystore files. Throws with
+// every problem found.
+function normalizeAccounts(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Accounts must be a JSON object of accounts");
+  }
+
+  const problems = [];
+  const accounts = {};
+  const names = new Map();
+  for (const [name, account] of Object.entries(raw)) {
+    if (!ACCOUNT_NAME.test(name)) {
+      problems.push(
+        `account name "${name}" may only use letters, digits, _ and -`
+      );
+    } else if (!account || !account.appId || !account.appSecret) {
+      problems.push(`account "${name}" needs an appId and an appSecret`);
+    } else if (names.has(String(account.appId))) {
+      // Webhooks are matched to an account by their Appid header
+      problems.push(
+        `accounts "${names.get(
+          String(account.appId)
+        )}" and "${name}" share an appId`
+      );
+    } else {
+      names.set(String(account.appId), name);
+      accounts[name] = {
+        name,
+        appId: String(account.appId),
+        appSecret: String(account.appSecret),
+      };
+    }
+  }
+
+  if (problems.length > 0) throw new Error(problems.join("; "));
+  if (Object.keys(accounts).length === 0) {
+    throw new Error("No CCPayment account configured");
+  }
+  return accounts;
+}
+
+// The keystore is the accounts JSON encrypted with AES-256-GCM under a key
+// derived from a passphrase with scrypt
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+function encryptKeystore(accounts, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    deriveKey(passphrase, salt),
+    iv
+  );
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(accounts), "utf8"),
+    cipher.final(),
+  ]);
+
+  return JSON.stringify({
+    version: KEYSTORE_VERSION,
+    kdf: "scrypt",
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  });
+}
+
+function decryptKeystore(contents, passphrase) {
+  const keystore = JSON.parse(contents);
+  if (keystore.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore version: ${keystore.version}`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    deriveKey(passphrase, Buffer.from(keystore.salt, "base64")),
+    Buffer.from(keystore.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(keystore.tag, "base64"));
+  try {
+    return JSON.parse(
+      Buffer.concat([
+        decipher.update(Buffer.from(keystore.data, "base64")),
+        decipher.final(),
+      ]).toString("utf8")
+    );
+  } catch (error) {
+    throw new Error("Keystore could not be decrypted (wrong key?)");
+  }
+}
+
+// Writes next to the target and renames over it, so a watcher never reads
+// a half-written file
+function writeFileAtomic(file, contents) {
+  const temp = path.join(
+    path.dirname(file),
+    `.${path.basename(file)}.${process.pid}.tmp`
+  );
+  fs.writeFileSync(temp, contents, { mode: 0o600 });
+  fs.renameSync(temp, file);
+}
+
+// Providers load the raw accounts map; file-backed ones can also watch
+// for changes. watch(onChange) returns a function that stops watching.
+function watchFile(file, intervalMs, onChange) {
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs || current.ino !== previous.ino) {
+      onChange();
+    }
+  };
+  fs.watchFile(file, { interval: intervalMs }, listener).unref();
+  return () => fs.unwatchFile(file, listener);
+}
+
+// CCPAYMENT_APP_ID / CCPAYMENT_APP_SECRET and CCPAYMENT_ACCOUNTS, as read
+// at startup. Changing them needs a restart.
+function createEnvProvider({ accounts }) {
+  return {
+    name: "env",
+    load: () => accounts,
+    watch: () => () => {},
+  };
+}
+
+// A JSON file of accounts, reloaded when it changes
+function createFileProvider({ file, watchIntervalMs = 5000 }) {
+  return {
+    name: "file",
+    load: () => JSON.parse(fs.readFileSync(file, "utf8")),
+    watch: (onChange) => watchFile(file, watchIntervalMs, onChange),
+  };
+}
+
+// The accounts encrypted at rest (see scripts/keystore.js), reloaded when
+// the file changes
+function createKeystoreProvider({ file, passphrase, watchIntervalMs = 5000 }) {
+  return {
+    name: "keystore",
+    load: () => decryptKeystore(fs.readFileSync(file, "utf8"), passphrase),
+    watch: (onChange) => watchFile(file, watchIntervalMs, onChange),
+  };
+}
+
+function createSecretProvider({
+  provider = "env",
+  accounts,
+  file,
+  keystoreFile,
+  keystoreKey,
+  watchIntervalMs,
+}) {
+  if (provider === "file") {
+    return createFileProvider({ file, watchIntervalMs });
+  }
+  if (provider === "keystore") {
+    return createKeystoreProvider({
+      file: keystoreFile,
+      passphrase: keystoreKey,
+      watchIntervalMs,
+    });
+  }
+  if (provider === "env") {
+    return createEnvProvider({ accounts });
+  }
+  throw new Error(`Unknown secret provider: ${provider}`);
+}
+
+// Current CCPayment credentials from a provider. When a reload changes an
+// account's secret, the old one is still accepted for verifying inbound
+// webhooks for rotationWindowMs; outbound calls sign with the new one
+// straight away.
+function createSecretStore({ provider, defaultAccount, rotationWindowMs = 0 }) {
+  // The default account is fixed at startup; a reload may not drop it
+  function check(loaded) {
+    const accounts = normalizeAccounts(loaded);
+    if (!accounts[defaultAccount]) {
+      throw new Error(`Default account "${defaultAccount}" is missing`);
+    }
+    return accounts;
+  }
+
+  let accounts = check(provider.load());
+  // Previous secrets still inside the rotation window, by account name
+  const retiring = new Map();
+  let stopWatching = null;
+
+  function reload() {
+    let next;
+    try {
+      next = check(provider.load());
+    } catch (error) {
+      logger.error("CCPayment secrets reload failed, keeping previous", {
+        provider: provider.name,
+        error,
+      });
+      return false;
+    }
+
+    const rotated = [];
+    const now = Date.now();
+    for (const [name, account] of Object.entries(next)) {
+      const previous = accounts[name];
+      if (previous && previous.appId !== account.appId) {
+        // A different merchant app, not a rotation
+        retiring.delete(name);
+      } else if (previous && previous.appSecret !== account.appSecret) {
+        rotated.push(name);
+        retiring.set(name, {
+          appSecret: previous.appSecret,
+          until: now + rotationWindowMs,
+        });
+      }
+    }
+    for (const name of retiring.keys()) {
+      if (!next[name]) retiring.delete(name);
+    }
+
+    accounts = next;
+    logger.info("CCPayment secrets reloaded", {
+      provider: provider.name,
+      accounts: Object.keys(next),
+      rotated,
+    });
+    return true;
+  }
+
+  return {
+    provider: provider.name,
+    defaultAccount,
+    reload,
+    names: () => Object.keys(accounts),
+    has: (name) => Boolean(accounts[name]),
+    // { name, appId, appSecret } with the current secret
+    get(name = defaultAccount) {
+      const account = accounts[name];
+      if (!account) {
+        throw new Error(`CCPayment account ${name} is not configured`);
+      }
+      return account;
+    },
+    findByAppId(appId) {
+      return (
+        Object.values(accounts).find((account) => account.appId === appId) ||
+        null
+      );
+    },
+    // Secrets an inbound signature for this account may use: the current
+    // one, then the previous one while the rotation window is open
+    verificationSecrets(name) {
+      const secrets = [this.get(name).appSecret];
+      const previous = retiring.get(name);
+      if (previous && previous.until > Date.now()) {
+        secrets.push(previous.appSecret);
+      } else if (previous) {
+        retiring.delete(name);
+      }
+      return secrets;
+    },
+    start() {
+      if (!stopWatching) stopWatching = provider.watch(reload);
+    },
+    stop() {
+      if (stopWatching) stopWatching();
+      stopWatching = null;
+    },
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  normalizeAccounts,
+  encryptKeystore,
+  decryptKeystore,
+  writeFileAtomic,
+  createEnvProvider,
+  createFileProvider,
+  createKeystoreProvider,
+  createSecretProvider,
+  createSecretStore,
+};
@@ -0,0 +1,136 @@
+const crypto = require("crypto");
+const { createSignature } = require("./signature");
+const { logger } = require("./logger");
+const { sendError } = require("./errors");
+
+const PROXY_KEY_HEADER = "x-proxy-key";
+
+// CCPAYMENT_SIGNING_CLIENTS is a JSON object of named callers, e.g.
+// {"deposits-fn": {"key": "...",
+//   "endpoints": ["getCoinList", "getAppDepositRecord"]}}
+// An endpoints entry of "*" allows every v2 endpoint. An optional
+// "accounts" list names the CCPayment accounts the caller may sign for
+// with X-CCPayment-Account; without it only the default account.
+function loadSigningClients(raw) {
+  if (!raw) return [];
+
+  const parsed = JSON.parse(raw);
+  return Object.entries(parsed).map(([name, client]) => {
+    if (!client.key || !Array.isArray(client.endpoints)) {
+      throw new Error(
+        `Signing client "${name}" needs a key and an endpoints array`
+      );
+    }
+    if (client.accounts !== undefined && !Array.isArray(client.accounts)) {
+      throw new Error(`Accounts for signing client "${name}" must be a list`);
+    }
+    return {
+      name,
+      keyDigest: digest(client.key),
+      endpoints: new Set(client.endpoints),
+      accounts: client.accounts ? new Set(client.accounts) : null,
+    };
+  });
+}
+
+function digest(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+function findClient(clients, key) {
+  const candidate = digest(key);
+  return (
+    clients.find((client) =>
+      crypto.timingSafeEqual(client.keyDigest, candidate)
+    ) || null
+  );
+}
+
+// Requests carrying X-Proxy-Key opt into self-signing; others pass through
+// with the caller's own Appid/Sign/Timestamp as before. getCredentials is
+// called with the request so it can pick the CCPayment account, once the
+// caller is known to be allowed req.ccpaymentAccount.
+function createSelfSigningGuard(clients, getCredentials, { defaultAccount }) {
+  return (req, res, next) => {
+    const key = req.headers[PROXY_KEY_HEADER];
+    if (!key) return next();
+
+    const client = findClient(clients, key);
+    if (!client) {
+      return sendError(res, 401, "Invalid proxy key");
+    }
+
+    const match = /^\/v2\/([A-Za-z]+)$/.exec(req.path);
+    if (!match) {
+      return sendError(
+        res,
+        404,
+        "Self-signed requests must target /ccpayment/v2/<endpoint>"
+      );
+    }
+
+    const endpoint = match[1];
+    if (!client.endpoints.has("*") && !client.endpoints.has(endpoint)) {
+      logger.warn("Signing client endpoint denied", {
+        client: client.name,
+        endpoint,
+      });
+      return sendError(
+        res,
+        403,
+        `Endpoint ${endpoint} not allowed for this caller`
+      );
+    }
+
+    const account = req.ccpaymentAccount;
+    const allowed = client.accounts
+      ? client.accounts.has(account)
+      : account === defaultAccount;
+    if (!allowed) {
+      logger.warn("Signing client account denied", {
+        client: client.name,
+        account,
+      });
+      return sendError(
+        res,
+        403,
+        `CCPayment account ${account} not allowed for this caller`,
+        { code: "account_not_allowed" }
+      );
+    }
+
+    const credentials = getCredentials(req);
+    if (!credentials) {
+      logger.error("CCPayment credentials not configured");
+      return sendError(res, 500, "CCPayment credentials not configured");
+    }
+
+    req.selfSign = { client: client.name, endpoint, ...credentials };
+    next();
+  };
+}
+
+// Called from onProxyReq: re-serialize the parsed body and sign it ourselves
+function applySelfSignature(proxyReq, req) {
+  const { appId, appSecret } = req.selfSign;
+  const body = JSON.stringify(req.body || {});
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  proxyReq.removeHeader(PROXY_KEY_HEADER);
+  proxyReq.setHeader("Content-Type", "application/json");
+  proxyReq.setHeader("Content-Length", Buffer.byteLength(body));
+  proxyReq.setHeader("Appid", appId);
+  proxyReq.setHeader(
+    "Sign",
+    createSignature(appId, appSecret, timestamp, body)
+  );
+  proxyReq.setHeader("Timestamp", timestamp);
+  proxyReq.write(body);
+}
+
+module.exports = {
+  PROXY_KEY_HEADER,
+  loadSigningClients,
+  createSelfSigningGuard,
+  applySelfSignature,
+};
@@ -0,0 +1,302 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { logger } = require("./logger");
+const { sendError } = require("./errors");
+
+const SCOPES = [
+  "wallet:generate",
+  "deposits:read",
+  "withdrawals:read",
+  "proxy:ccpayment",
+  "proxy:api",
+  "proxy:admin",
+];
+
+const HEADERS = {
+  apiKey: "x-api-key",
+  clientId: "x-client-id",
+  keyId: "x-key-id",
+  timestamp: "x-signature-timestamp",
+  signature: "x-signature",
+};
+
+function digest(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+// Service clients come from SERVICE_CLIENTS (JSON) or SERVICE_CLIENTS_FILE:
+// {"deposits-fn": {"scopes": ["wallet:generate"], "keys": [{"id": "2026-10", "secret": "...", "expiresAt": "2026-12-01"}]}}
+// A client can hold several keys at once, so a new key can be rolled out
+// before the old one is removed. "accounts" lists the CCPayment accounts
+// the client may pick with X-CCPayment-Account; without it only the
+// default account.
+function parseClients(raw) {
+  const parsed = JSON.parse(raw);
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error("Service clients must be a JSON object of clients");
+  }
+
+  return Object.entries(parsed).map(([name, client]) => {
+    if (!client || !Array.isArray(client.keys) || client.keys.length === 0) {
+      throw new Error(`Service client "${name}" needs at least one key`);
+    }
+
+    if (client.scopes !== undefined && !Array.isArray(client.scopes)) {
+      throw new Error(`Scopes for service client "${name}" must be a list`);
+    }
+    for (const scope of client.scopes || []) {
+      if (!SCOPES.includes(scope)) {
+        throw new Error(
+          `Unknown scope "${scope}" for service client "${name}"`
+        );
+      }
+    }
+
+    if (
+      client.accounts !== undefined &&
+      (!Array.isArray(client.accounts) ||
+        !client.accounts.every((account) => typeof account === "string"))
+    ) {
+      throw new Error(
+        `Accounts for service client "${name}" must be a list of names`
+      );
+    }
+
+    return {
+      name,
+      scopes: new Set(client.scopes || []),
+      accounts: client.accounts ? new Set(client.accounts) : null,
+      keys: client.keys.map((key) => {
+        if (!key || !key.id || !key.secret) {
+          throw new Error(
+            `Keys for service client "${name}" need an id and secret`
+          );
+        }
+        if (key.expiresAt && Number.isNaN(Date.parse(key.expiresAt))) {
+          throw new Error(
+            `Key "${key.id}" of service client "${name}" has an invalid expiresAt`
+          );
+        }
+        return {
+          id: key.id,
+          secret: key.secret,
+          secretDigest: digest(key.secret),
+          expiresAt: key.expiresAt ? Date.parse(key.expiresAt) : null,
+        };
+      }),
+    };
+  });
+}
+
+// The clients from SERVICE_CLIENTS or SERVICE_CLIENTS_FILE, none if
+// neither is set. Throws on anything malformed.
+function loadClients({ json, file } = {}) {
+  const raw = file ? fs.readFileSync(file, "utf8") : json;
+  return raw ? parseClients(raw) : [];
+}
+
+// Remembers recently seen signatures until they fall outside the
+// timestamp window
+function createReplayGuard(ttlSeconds) {
+  const seen = new Map();
+
+  function prune(now) {
+    for (const [key, expiresAt] of seen) {
+      if (expiresAt <= now) {
+        seen.delete(key);
+      }
+    }
+  }
+
+  return {
+    // Returns false if the key was already seen
+    check(key) {
+      const now = Math.floor(Date.now() / 1000);
+      prune(now);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.set(key, now + ttlSeconds);
+      return true;
+    },
+    size() {
+      return seen.size;
+    },
+  };
+}
+
+function signRequest(secret, { timestamp, method, url, body }) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}\n${method}\n${url}\n${body || ""}`)
+    .digest("hex");
+}
+
+// clients are the ones loadClients() returned at startup; file, if set,
+// is watched for changes. Without clients every caller is refused, unless
+// disabled (SERVICE_AUTH_DISABLED) opens the routes on purpose.
+// defaultAccount is the CCPayment account clients without "accounts" use.
+function createServiceAuth({
+  clients: initial = [],
+  file,
+  disabled = false,
+  toleranceSeconds = 300,
+  defaultAccount,
+}) {
+  let clients = initial;
+  const replayGuard = createReplayGuard(toleranceSeconds);
+
+  // Pick up rotated keys from the file without a restart
+  if (file) {
+    fs.watchFile(file, { interval: 5000 }, () => {
+      try {
+        clients = loadClients({ file });
+        logger.info("Reloaded service clients", {
+          file,
+          clients: clients.length,
+        });
+      } catch (error) {
+        logger.error("Service clients reload failed, keeping previous", {
+          file,
+          error,
+        });
+      }
+    }).unref();
+  }
+
+  function allowsAccount(client, account) {
+    return client.accounts
+      ? client.accounts.has(account)
+      : account === defaultAccount;
+  }
+
+  function isActive(key) {
+    return key.expiresAt === null || key.expiresAt > Date.now();
+  }
+
+  function byApiKey(value) {
+    const candidate = digest(value);
+    for (const client of clients) {
+      for (const key of client.keys) {
+        if (
+          isActive(key) &&
+          crypto.timingSafeEqual(key.secretDigest, candidate)
+        ) {
+          return { client, key };
+        }
+      }
+    }
+    return null;
+  }
+
+  function bySignature(req) {
+    const clientId = req.headers[HEADERS.clientId];
+    const keyId = req.headers[HEADERS.keyId];
+    const timestamp = req.headers[HEADERS.timestamp];
+    const signature = req.headers[HEADERS.signature];
+
+    const client = clients.find((candidate) => candidate.name === clientId);
+    const key = client?.keys.find((candidate) => candidate.id === keyId);
+    if (!key || !isActive(key) || !/^[0-9a-f]{64}$/i.test(signature || "")) {
+      return null;
+    }
+
+    const expected = signRequest(key.secret, {
+      timestamp,
+      method: req.method,
+      url: req.originalUrl,
+      body: req.rawBody,
+    });
+    if (
+      !crypto.timingSafeEqual(
+        Buffer.from(expected, "hex"),
+        Buffer.from(signature, "hex")
+      )
+    ) {
+      return null;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (
+      !/^\d+$/.test(timestamp) ||
+      Math.abs(now - Number(timestamp)) > toleranceSeconds
+    ) {
+      return null;
+    }
+
+    if (!replayGuard.check(signature)) {
+      return null;
+    }
+
+    return { client, key };
+  }
+
+  return {
+    enabled() {
+      return !disabled;
+    },
+    clientCount() {
+      return clients.length;
+    },
+    // Express middleware; a no-op only when disabled
+    require(scope) {
+      return (req, res, next) => {
+        if (disabled || req.selfSign) return next();
+
+        let match = null;
+        if (req.headers[HEADERS.apiKey]) {
+          match = byApiKey(req.headers[HEADERS.apiKey]);
+        } else if (req.headers[HEADERS.signature]) {
+          match = bySignature(req);
+        } else {
+          return sendError(res, 401, "Service authentication required");
+        }
+
+        if (!match) {
+          return sendError(res, 401, "Invalid service credentials");
+        }
+
+        if (!match.client.scopes.has(scope)) {
+          logger.warn("Service client scope denied", {
+            client: match.client.name,
+            scope,
+          });
+          return sendError(res, 403, `Scope ${scope} required`);
+        }
+
+        // req.ccpaymentAccount is the X-CCPayment-Account choice
+        const account = req.ccpaymentAccount;
+        if (account && !allowsAccount(match.client, account)) {
+          logger.warn("Service client account denied", {
+            client: match.client.name,
+            account,
+          });
+          return sendError(
+            res,
+            403,
+            `CCPayment account ${account} not allowed for this client`,
+            { code: "account_not_allowed" }
+          );
+        }
+
+        req.serviceClient = { name: match.client.name, keyId: match.key.id };
+        next();
+      };
+    },
+  };
+}
+
+// Our own credentials must never reach CCPayment
+function stripServiceAuthHeaders(proxyReq) {
+  for (const header of Object.values(HEADERS)) {
+    proxyReq.removeHeader(header);
+  }
+}
+
+module.exports = {
+  SCOPES,
+  loadClients,
+  signRequest,
+  createServiceAuth,
+  stripServiceAuthHeaders,
+};
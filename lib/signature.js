@@ -0,0 +1,28 @@
+const crypto = require("crypto");
+
+// CCPayment signs appId + timestamp + body (body omitted when empty)
+function createSignature(appId, appSecret, timestamp, body) {
+  let signText = appId + timestamp;
+  if (body && body.length !== 0) {
+    signText += body;
+  }
+
+  return crypto.createHmac("sha256", appSecret).update(signText).digest("hex");
+}
+
+function verifySignature(appId, appSecret, timestamp, body, sign) {
+  if (typeof sign !== "string" || !/^[0-9a-f]{64}$/i.test(sign)) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    createSignature(appId, appSecret, timestamp, body),
+    "hex"
+  );
+  return crypto.timingSafeEqual(expected, Buffer.from(sign, "hex"));
+}
+
+module.exports = {
+  createSignature,
+  verifySignature,
+};
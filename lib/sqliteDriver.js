@@ -0,0 +1,51 @@
+const fs = require("fs");
+const path = require("path");
+
+// SQLite through better-sqlite3, in one file. Calls are synchronous
+// underneath but exposed as promises so the storage layer works the same
+// on Postgres.
+function createSqliteDriver({ filename }) {
+  const Database = require("better-sqlite3");
+
+  if (filename !== ":memory:") {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+
+  const driver = {
+    name: "sqlite",
+    async exec(sql) {
+      db.exec(sql);
+    },
+    async run(sql, params = []) {
+      db.prepare(sql).run(params);
+    },
+    async all(sql, params = []) {
+      return db.prepare(sql).all(params);
+    },
+    // BEGIN IMMEDIATE takes the write lock up front, so two processes
+    // migrating the same file run one after the other
+    async migrationTransaction(fn) {
+      db.exec("BEGIN IMMEDIATE");
+      try {
+        const result = await fn(driver);
+        db.exec("COMMIT");
+        return result;
+      } catch (error) {
+        db.exec("ROLLBACK");
+        throw error;
+      }
+    },
+    async close() {
+      db.close();
+    },
+  };
+
+  return driver;
+}
+
+module.exports = {
+  createSqliteDriver,
+};
@@ -0,0 +1,285 @@
+const { logger } = require("./logger");
+const { MIGRATIONS } = require("./migrations");
+
+const DRIVERS = ["sqlite", "postgres"];
+
+// Rows keep the full object in data; the other columns are for querying
+function parseRow(row) {
+  return row ? JSON.parse(row.data) : null;
+}
+
+// "WHERE a = ? AND b >= ?" for the filters that are set. Postgres can't
+// type a bare "? IS NULL", so unset filters are left out instead.
+function whereClause(filters) {
+  const set = filters.filter(([, , value]) => value);
+  return {
+    sql: set.length
+      ? `WHERE ${set.map(([column, op]) => `${column} ${op} ?`).join(" AND ")}`
+      : "",
+    params: set.map(([, , value]) => value),
+  };
+}
+
+// Applies every migration not yet recorded, all in one transaction
+async function migrate(driver) {
+  await driver.exec(`
+    CREATE TABLE IF NOT EXISTS proxy_schema_migrations (
+      id TEXT PRIMARY KEY,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  return driver.migrationTransaction(async (tx) => {
+    const applied = new Set(
+      (await tx.all("SELECT id FROM proxy_schema_migrations")).map(
+        (row) => row.id
+      )
+    );
+
+    const pending = MIGRATIONS.filter(({ id }) => !applied.has(id));
+    for (const migration of pending) {
+      await tx.exec(migration.sql);
+      await tx.run(
+        "INSERT INTO proxy_schema_migrations (id, applied_at) VALUES (?, ?)",
+        [migration.id, new Date().toISOString()]
+      );
+      logger.info("Applied storage migration", {
+        driver: driver.name,
+        migration: migration.id,
+      });
+    }
+    return pending.map(({ id }) => id);
+  });
+}
+
+// History of what the proxy did and what CCPayment answered: deposit
+// orders, withdrawals, fetched records and webhook events, plus the
+// documents behind lib/documentStore.js. driver is
+// "sqlite" (filename) or "postgres" (connectionString). Every method waits
+// for migrations to finish first.
+function createStorage({ driver = "sqlite", filename, connectionString }) {
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+
+  const db =
+    driver === "postgres"
+      ? require("./postgresDriver").createPostgresDriver({ connectionString })
+      : require("./sqliteDriver").createSqliteDriver({ filename });
+
+  let migrated = null;
+  function ready() {
+    if (!migrated) {
+      migrated = migrate(db).catch((error) => {
+        // Let the next call try again, e.g. once the database is reachable
+        migrated = null;
+        throw error;
+      });
+    }
+    return migrated;
+  }
+
+  return {
+    driver,
+    // Resolves with the IDs of the migrations it applied
+    migrate: ready,
+    // A deposit address record from the deposit address book
+    async saveOrder(record) {
+      await ready();
+      await db.run(
+        `INSERT INTO proxy_orders
+           (id, order_id, user_id, chain, currency, coin_id, mode, address,
+            memo, data, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET data = excluded.data`,
+        [
+          record.id,
+          record.orderId,
+          record.userId,
+          record.chain,
+          record.currency,
+          record.coinId,
+          record.mode,
+          record.address,
+          record.memo || null,
+          JSON.stringify(record),
+          record.createdAt,
+        ]
+      );
+    },
+    async listOrders({ userId, limit = 100 } = {}) {
+      await ready();
+      const where = whereClause([["user_id", "=", userId]]);
+      const rows = await db.all(
+        `SELECT * FROM proxy_orders ${where.sql}
+         ORDER BY created_at DESC LIMIT ?`,
+        [...where.params, limit]
+      );
+      return rows.map(parseRow);
+    },
+    // The current state of a withdrawal request, stored again on every
+    // state change
+    async saveWithdrawal(request) {
+      await ready();
+      await db.run(
+        `INSERT INTO proxy_withdrawals
+           (order_id, withdrawal_id, user_id, chain, address, memo, amount,
+            currency, status, record_id, ccpayment_code, data, created_at,
+            updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (order_id) DO UPDATE SET
+           status = excluded.status,
+           record_id = excluded.record_id,
+           ccpayment_code = excluded.ccpayment_code,
+           data = excluded.data,
+           updated_at = excluded.updated_at`,
+        [
+          request.orderId,
+          request.id,
+          request.userId,
+          request.chain,
+          request.address,
+          request.memo || null,
+          request.amount,
+          request.currency,
+          request.status,
+          request.recordId || null,
+          request.ccpaymentCode ?? null,
+          JSON.stringify(request),
+          request.createdAt,
+          request.updatedAt,
+        ]
+      );
+    },
+    async getWithdrawal(orderId) {
+      await ready();
+      const [row] = await db.all(
+        "SELECT * FROM proxy_withdrawals WHERE order_id = ?",
+        [orderId]
+      );
+      return parseRow(row);
+    },
+    async listWithdrawals({ userId, status, limit = 100 } = {}) {
+      await ready();
+      const where = whereClause([
+        ["user_id", "=", userId],
+        ["status", "=", status],
+      ]);
+      const rows = await db.all(
+        `SELECT * FROM proxy_withdrawals ${where.sql}
+         ORDER BY created_at DESC LIMIT ?`,
+        [...where.params, limit]
+      );
+      return rows.map(parseRow);
+    },
+    // A deposit or withdrawal record as CCPayment returned it
+    async saveRecord(kind, record) {
+      await ready();
+      await db.run(
+        `INSERT INTO proxy_ccpayment_records
+           (kind, record_id, order_id, status, data, fetched_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT (kind, record_id) DO UPDATE SET
+           order_id = excluded.order_id,
+           status = excluded.status,
+           data = excluded.data,
+           fetched_at = excluded.fetched_at`,
+        [
+          kind,
+          record.recordId,
+          record.orderId || null,
+          record.status || null,
+          JSON.stringify(record),
+          new Date().toISOString(),
+        ]
+      );
+    },
+    async getRecord(kind, recordId) {
+      await ready();
+      const [row] = await db.all(
+        "SELECT * FROM proxy_ccpayment_records WHERE kind = ? AND record_id = ?",
+        [kind, recordId]
+      );
+      return parseRow(row);
+    },
+    // A verified, parsed webhook event with its receivedAt time
+    async saveEvent(id, event) {
+      await ready();
+      await db.run(
+        `INSERT INTO proxy_webhook_events
+           (id, kind, type, record_id, order_id, user_id, status, data,
+            received_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO NOTHING`,
+        [
+          id,
+          event.kind,
+          event.type,
+          event.recordId || null,
+          event.orderId || null,
+          event.userId || null,
+          event.status || null,
+          JSON.stringify(event),
+          event.receivedAt,
+        ]
+      );
+    },
+    async hasEvent(id) {
+      await ready();
+      const rows = await db.all(
+        "SELECT id FROM proxy_webhook_events WHERE id = ?",
+        [id]
+      );
+      return rows.length > 0;
+    },
+    // Oldest first, optionally only one kind and since an ISO time
+    async listEvents({ kind, since } = {}) {
+      await ready();
+      const where = whereClause([
+        ["kind", "=", kind],
+        ["received_at", ">=", since],
+      ]);
+      const rows = await db.all(
+        `SELECT * FROM proxy_webhook_events ${where.sql} ORDER BY received_at`,
+        where.params
+      );
+      return rows.map(parseRow);
+    },
+    // Every record of one document store, in no particular order
+    async loadDocuments(collection) {
+      await ready();
+      const rows = await db.all(
+        "SELECT data FROM proxy_documents WHERE collection = ?",
+        [collection]
+      );
+      return rows.map(parseRow);
+    },
+    // data is the record already serialized, as it was when it was put
+    async saveDocument(collection, id, data) {
+      await ready();
+      await db.run(
+        `INSERT INTO proxy_documents (collection, id, data, updated_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (collection, id) DO UPDATE SET
+           data = excluded.data,
+           updated_at = excluded.updated_at`,
+        [collection, id, data, new Date().toISOString()]
+      );
+    },
+    async deleteDocument(collection, id) {
+      await ready();
+      await db.run(
+        "DELETE FROM proxy_documents WHERE collection = ? AND id = ?",
+        [collection, id]
+      );
+    },
+    close() {
+      return db.close();
+    },
+  };
+}
+
+module.exports = {
+  DRIVERS,
+  createStorage,
+};
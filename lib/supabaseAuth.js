@@ -0,0 +1,291 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { logger } = require("./logger");
+const { sendError } = require("./errors");
+
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+// Signature settings for the JWT algorithms Supabase issues
+const ALGORITHMS = {
+  HS256: { hash: "sha256", hmac: true },
+  RS256: { hash: "sha256" },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+};
+
+// Header and payload must both be JSON objects; `null`, arrays and
+// numbers are valid JSON but not a token
+function decodeSegment(segment) {
+  const value = JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error("Token segment is not a JSON object");
+  }
+  return value;
+}
+
+function decodeToken(token) {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw new AuthError(401, "Invalid authentication token");
+  }
+
+  try {
+    return {
+      header: decodeSegment(parts[0]),
+      payload: decodeSegment(parts[1]),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], "base64url"),
+    };
+  } catch (error) {
+    throw new AuthError(401, "Invalid authentication token");
+  }
+}
+
+// Fetches the project's JWKS, caching keys by kid. An unknown kid forces a
+// refetch (at most once per minRefetchMs) so rotated keys are picked up.
+// A failed refresh keeps the keys already loaded and is retried after
+// minRefetchMs; only a cache that never loaded any keys throws.
+function createJwksCache({ url, cacheMs = 600000, minRefetchMs = 30000 }) {
+  let keys = new Map();
+  let fetchedAt = 0;
+  let failedAt = 0;
+  let fetching = null;
+
+  async function fetchKeys() {
+    if (fetching) return fetching;
+
+    fetching = (async () => {
+      try {
+        const response = await axios.get(url, { timeout: 5000 });
+        const next = new Map();
+        for (const jwk of response.data.keys || []) {
+          if (!jwk.kid) continue;
+          next.set(
+            jwk.kid,
+            crypto.createPublicKey({ key: jwk, format: "jwk" })
+          );
+        }
+        keys = next;
+        fetchedAt = Date.now();
+        logger.info("Loaded JWKS signing keys", { keys: keys.size });
+      } finally {
+        fetching = null;
+      }
+    })();
+
+    return fetching;
+  }
+
+  return {
+    async getKey(kid) {
+      const now = Date.now();
+      const age = now - fetchedAt;
+      const stale = age > cacheMs || (!keys.has(kid) && age > minRefetchMs);
+      const backingOff = fetchedAt > 0 && now - failedAt < minRefetchMs;
+      if (stale && !backingOff) {
+        try {
+          await fetchKeys();
+        } catch (error) {
+          failedAt = Date.now();
+          if (fetchedAt === 0) throw error;
+          logger.warn("JWKS refresh failed, keeping cached keys", {
+            url,
+            keys: keys.size,
+            error,
+          });
+        }
+      }
+      return keys.get(kid) || null;
+    },
+  };
+}
+
+function createSupabaseAuth({
+  supabaseUrl,
+  anonKey,
+  jwtSecret,
+  jwksUrl = supabaseUrl && `${supabaseUrl}/auth/v1/.well-known/jwks.json`,
+  audience = "authenticated",
+  issuer = supabaseUrl && `${supabaseUrl}/auth/v1`,
+  remoteFallback = false,
+  clockToleranceSeconds = 30,
+}) {
+  const jwks = jwksUrl ? createJwksCache({ url: jwksUrl }) : null;
+
+  // Thrown when the token can't be checked locally (as opposed to invalid)
+  class LocalVerificationUnavailable extends Error {}
+
+  async function getVerificationKey(header) {
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new AuthError(401, `Unsupported token algorithm: ${header.alg}`);
+    }
+
+    if (algorithm.hmac) {
+      if (!jwtSecret) {
+        throw new LocalVerificationUnavailable("SUPABASE_JWT_SECRET not set");
+      }
+      return null;
+    }
+
+    if (!jwks) {
+      throw new LocalVerificationUnavailable("No JWKS URL configured");
+    }
+
+    let key;
+    try {
+      key = await jwks.getKey(header.kid);
+    } catch (error) {
+      throw new LocalVerificationUnavailable(
+        `JWKS fetch failed: ${error.message}`
+      );
+    }
+    if (!key) {
+      throw new AuthError(401, "Unknown token signing key");
+    }
+    return key;
+  }
+
+  function checkSignature({ header, signingInput, signature }, key) {
+    const algorithm = ALGORITHMS[header.alg];
+
+    if (algorithm.hmac) {
+      const expected = crypto
+        .createHmac(algorithm.hash, jwtSecret)
+        .update(signingInput)
+        .digest();
+      return (
+        expected.length === signature.length &&
+        crypto.timingSafeEqual(expected, signature)
+      );
+    }
+
+    return crypto.verify(
+      algorithm.hash,
+      Buffer.from(signingInput),
+      { key, dsaEncoding: algorithm.dsaEncoding },
+      signature
+    );
+  }
+
+  function checkClaims(payload) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (
+      typeof payload.exp !== "number" ||
+      payload.exp + clockToleranceSeconds < now
+    ) {
+      throw new AuthError(401, "Authentication token expired");
+    }
+
+    if (
+      typeof payload.nbf === "number" &&
+      payload.nbf - clockToleranceSeconds > now
+    ) {
+      throw new AuthError(401, "Authentication token not yet valid");
+    }
+
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (audience && !audiences.includes(audience)) {
+      throw new AuthError(401, "Invalid token audience");
+    }
+
+    if (issuer && payload.iss !== issuer) {
+      throw new AuthError(401, "Invalid token issuer");
+    }
+
+    if (!payload.sub) {
+      throw new AuthError(401, "Invalid authentication token");
+    }
+  }
+
+  async function verifyLocally(token) {
+    const decoded = decodeToken(token);
+    const key = await getVerificationKey(decoded.header);
+
+    if (!checkSignature(decoded, key)) {
+      throw new AuthError(401, "Invalid authentication token");
+    }
+
+    checkClaims(decoded.payload);
+
+    // Same shape as the /auth/v1/user response the routes used before
+    const { payload } = decoded;
+    return {
+      id: payload.sub,
+      email: payload.email,
+      role: payload.role,
+      app_metadata: payload.app_metadata || {},
+      user_metadata: payload.user_metadata || {},
+    };
+  }
+
+  async function fetchUser(token) {
+    if (!supabaseUrl || !anonKey) {
+      throw new AuthError(500, "Server configuration error");
+    }
+
+    const userResponse = await fetch(`${supabaseUrl}/auth/v1/user`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        apikey: anonKey,
+      },
+    });
+
+    if (!userResponse.ok) {
+      throw new AuthError(401, "Invalid authentication token");
+    }
+
+    return userResponse.json();
+  }
+
+  async function authenticate(token) {
+    try {
+      return await verifyLocally(token);
+    } catch (error) {
+      if (!(error instanceof LocalVerificationUnavailable)) throw error;
+
+      if (!remoteFallback) {
+        logger.error("Cannot verify token locally", { reason: error.message });
+        throw new AuthError(500, "Server configuration error");
+      }
+
+      logger.debug("Falling back to /auth/v1/user", { reason: error.message });
+      return fetchUser(token);
+    }
+  }
+
+  return {
+    authenticate,
+    // Express middleware that sets req.user
+    middleware() {
+      return async (req, res, next) => {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith("Bearer ")) {
+          return sendError(res, 401, "Authentication required");
+        }
+
+        try {
+          req.user = await authenticate(authHeader.substring(7));
+          next();
+        } catch (error) {
+          if (error instanceof AuthError) {
+            return sendError(res, error.status, error.message);
+          }
+          next(error);
+        }
+      };
+    },
+  };
+}
+
+module.exports = {
+  AuthError,
+  createJwksCache,
+  createSupabaseAuth,
+};
@@ -0,0 +1,171 @@
+const Ajv = require("ajv");
+const { sendError } = require("./errors");
+
+// Decimal strings or plain numbers, no exponents, up to 18 places (the most
+// any CCPayment coin uses)
+const DECIMAL = /^\d{1,20}(\.\d{1,18})?$/;
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+ajv.addKeyword({
+  keyword: "positiveDecimal",
+  type: ["string", "number"],
+  schemaType: "boolean",
+  error: { message: "must be a positive decimal" },
+  validate: (enabled, value) =>
+    !enabled || (DECIMAL.test(String(value)) && Number(value) > 0),
+});
+
+const id = (maxLength = 128) => ({ type: "string", minLength: 1, maxLength });
+const text = (maxLength) => ({ type: "string", maxLength });
+
+// CCPayment accepts orderIds of 3 to 64 of these characters
+const orderId = { type: "string", pattern: "^[A-Za-z0-9_.:-]{3,64}$" };
+const chain = { type: "string", minLength: 1, maxLength: 32 };
+// Goes into the `deposit_${userId}_${seconds}_${suffix}` orderId (24
+// characters besides the userId), so it has to keep that within the
+// orderId rules above
+const userId = {
+  type: ["string", "integer"],
+  pattern: "^[A-Za-z0-9_.:-]{1,40}$",
+  minimum: -Number.MAX_SAFE_INTEGER,
+  maximum: Number.MAX_SAFE_INTEGER,
+};
+const address = { type: "string", minLength: 1, maxLength: 256 };
+
+// Request body schemas, by name. Unknown properties are allowed so older
+// clients sending extra fields keep working.
+const SCHEMAS = {
+  generateWallet: {
+    type: "object",
+    required: ["userId", "chain", "currency"],
+    properties: {
+      userId,
+      chain,
+      currency: id(32),
+    },
+  },
+  getDepositRecord: {
+    type: "object",
+    required: ["recordId"],
+    properties: { recordId: id() },
+  },
+  getWithdrawalRecord: {
+    type: "object",
+    anyOf: [{ required: ["recordId"] }, { required: ["orderId"] }],
+    properties: { recordId: id(), orderId },
+  },
+  createWithdrawal: {
+    type: "object",
+    required: ["chain", "address", "amount", "orderId"],
+    properties: {
+      chain,
+      address,
+      amount: { type: ["string", "number"], positiveDecimal: true },
+      orderId,
+      memo: text(128),
+      currency: id(32),
+    },
+  },
+  approveWithdrawal: {
+    type: "object",
+    required: ["withdrawalId"],
+    properties: { withdrawalId: id() },
+  },
+  rejectWithdrawal: {
+    type: "object",
+    required: ["withdrawalId"],
+    properties: { withdrawalId: id(), reason: text(500) },
+  },
+  saveWithdrawalAddress: {
+    type: "object",
+    required: ["chain", "address"],
+    properties: { chain, address, memo: text(128), label: text(100) },
+  },
+  removeWithdrawalAddress: {
+    type: "object",
+    required: ["chain", "address"],
+    properties: { chain, address },
+  },
+  runReconciliation: {
+    type: "object",
+    properties: {
+      lookbackHours: { type: "number", exclusiveMinimum: 0, maximum: 24 * 90 },
+    },
+  },
+  replayWebhook: {
+    type: "object",
+    required: ["eventId"],
+    properties: { eventId: id() },
+  },
+  ccpaymentWebhook: {
+    type: "object",
+    required: ["type"],
+    properties: { type: id(64), msg: { type: "object" } },
+  },
+};
+
+const validators = Object.fromEntries(
+  Object.entries(SCHEMAS).map(([name, schema]) => [name, ajv.compile(schema)])
+);
+
+// ajv errors as [{ field, message }], one per problem
+function describe(errors) {
+  // A failed anyOf reports each branch as well as itself; name the
+  // alternatives once instead
+  const alternatives = errors
+    .filter((error) => error.schemaPath.startsWith("#/anyOf/"))
+    .map((error) => error.params.missingProperty);
+
+  return errors
+    .filter((error) => !error.schemaPath.startsWith("#/anyOf/"))
+    .map((error) => {
+      if (error.keyword === "anyOf") {
+        return { field: "", message: `needs ${alternatives.join(" or ")}` };
+      }
+      if (error.keyword === "required") {
+        return { field: error.params.missingProperty, message: "is required" };
+      }
+      return {
+        field: error.instancePath.slice(1).replace(/\//g, "."),
+        message: error.message,
+      };
+    });
+}
+
+// The problems with body under the named schema, empty if it is valid
+function validate(name, body) {
+  const validator = validators[name];
+  if (!validator) throw new Error(`Unknown schema: ${name}`);
+  return validator(body === undefined ? {} : body)
+    ? []
+    : describe(validator.errors);
+}
+
+// Refuses a request whose body doesn't match the named schema with 400
+// validation_failed, listing every problem in details
+function validateBody(name) {
+  return (req, res, next) => {
+    const problems = validate(name, req.body);
+    if (problems.length === 0) return next();
+
+    req.log.warn("Invalid request body", { schema: name, problems });
+    sendError(res, 400, invalidBodyMessage(problems), {
+      code: "validation_failed",
+      details: problems,
+    });
+  };
+}
+
+function invalidBodyMessage(problems) {
+  return `Invalid request body: ${problems
+    .map(({ field, message }) => (field ? `${field} ${message}` : message))
+    .join("; ")}`;
+}
+
+module.exports = {
+  SCHEMAS,
+  validate,
+  validateBody,
+  invalidBodyMessage,
+};
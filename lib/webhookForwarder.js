@@ -0,0 +1,158 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { logger } = require("./logger");
+
+// Delivers verified webhook events to a Supabase Edge Function.
+// Jobs are persisted before CCPayment is acknowledged, retried with
+// exponential backoff and parked as dead letters once attempts run out.
+function createWebhookForwarder({
+  store,
+  url,
+  apiKey,
+  maxAttempts = 8,
+  baseDelayMs = 1000,
+  maxDelayMs = 15 * 60 * 1000,
+  pollIntervalMs = 1000,
+  timeoutMs = 15000,
+}) {
+  let timer = null;
+  let running = false;
+
+  function backoff(attempts) {
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+  }
+
+  async function deliver(job) {
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Webhook-Event-Id": job.id,
+    };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+      headers.apikey = apiKey;
+    }
+
+    try {
+      await axios.post(url, job.event, { headers, timeout: timeoutMs });
+      store.delete(job.id);
+      logger.info("Forwarded webhook", {
+        eventId: job.id,
+        type: job.event.type,
+      });
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      const lastError = error.response
+        ? `HTTP ${error.response.status}`
+        : error.message;
+
+      if (attempts >= maxAttempts) {
+        store.put({
+          ...job,
+          attempts,
+          lastError,
+          status: "dead",
+          deadAt: new Date().toISOString(),
+        });
+        logger.error("Webhook moved to dead letters", {
+          eventId: job.id,
+          attempts,
+          lastError,
+        });
+        return;
+      }
+
+      const delay = backoff(attempts);
+      store.put({
+        ...job,
+        attempts,
+        lastError,
+        nextAttemptAt: Date.now() + delay,
+      });
+      logger.warn("Webhook delivery failed, will retry", {
+        eventId: job.id,
+        attempts,
+        lastError,
+        retryInMs: delay,
+      });
+    }
+  }
+
+  async function processDue() {
+    if (running) return;
+    running = true;
+    try {
+      const now = Date.now();
+      const due = store
+        .all()
+        .filter((job) => job.status === "pending" && job.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+
+      for (const job of due) {
+        await deliver(job);
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function schedule() {
+    timer = setTimeout(async () => {
+      try {
+        await processDue();
+      } catch (error) {
+        logger.error("Webhook forwarder error", { error });
+      }
+      if (timer) schedule();
+    }, pollIntervalMs);
+    timer.unref();
+  }
+
+  return {
+    // id is sent as X-Webhook-Event-Id; an event already queued under it
+    // isn't queued again
+    enqueue(event, id = crypto.randomUUID()) {
+      const queued = store.get(id);
+      if (queued) return queued;
+      return store.put({
+        id,
+        event,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        createdAt: new Date().toISOString(),
+      });
+    },
+    start() {
+      if (!timer) schedule();
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+    processDue,
+    pending() {
+      return store.all().filter((job) => job.status === "pending");
+    },
+    deadLetters() {
+      return store.all().filter((job) => job.status === "dead");
+    },
+    // Put a dead letter back on the queue with a fresh attempt budget
+    replay(id) {
+      const job = store.get(id);
+      if (!job || job.status !== "dead") {
+        return null;
+      }
+      return store.put({
+        ...job,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        replayedAt: new Date().toISOString(),
+      });
+    },
+  };
+}
+
+module.exports = {
+  createWebhookForwarder,
+};
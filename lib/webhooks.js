@@ -0,0 +1,138 @@
+const crypto = require("crypto");
+const { verifySignature } = require("./signature");
+
+// CCPayment expects exactly this body (with HTTP 200) to stop redelivering
+const WEBHOOK_ACK = "Success";
+
+const DEPOSIT_TYPES = ["ApiDeposit", "DirectDeposit", "UserDeposit"];
+const WITHDRAWAL_TYPES = ["ApiWithdrawal", "UserWithdrawal"];
+
+class WebhookError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "WebhookError";
+    this.status = status;
+  }
+}
+
+// Deposit orderIds from lib/depositAddresses.js, and the older form
+// without the random suffix
+const DEPOSIT_ORDER_ID = /^deposit_(.+)_(\d+)_[0-9a-f]{4}$/;
+const LEGACY_DEPOSIT_ORDER_ID = /^deposit_(.+)_(\d+)$/;
+
+// Split a `deposit_${userId}_${seconds}_${suffix}` orderId
+function parseDepositOrderId(orderId) {
+  const match =
+    DEPOSIT_ORDER_ID.exec(orderId || "") ||
+    LEGACY_DEPOSIT_ORDER_ID.exec(orderId || "");
+  if (!match) {
+    return null;
+  }
+
+  return {
+    userId: match[1],
+    createdAt: Number(match[2]),
+  };
+}
+
+// previousSecrets are also accepted, for a secret being rotated out.
+// Redeliveries pass; the receiver deduplicates them by webhookEventId().
+function verifyWebhookRequest(
+  { headers, rawBody },
+  { appId, appSecret, previousSecrets = [], toleranceSeconds }
+) {
+  const requestAppId = headers.appid;
+  const sign = headers.sign;
+  const timestamp = headers.timestamp;
+
+  if (!requestAppId || !sign || !timestamp) {
+    throw new WebhookError(401, "Missing Appid, Sign or Timestamp header");
+  }
+
+  if (requestAppId !== appId) {
+    throw new WebhookError(401, "Unknown Appid");
+  }
+
+  const signed = [appSecret, ...previousSecrets].some((secret) =>
+    verifySignature(appId, secret, timestamp, rawBody, sign)
+  );
+  if (!signed) {
+    throw new WebhookError(401, "Invalid signature");
+  }
+
+  // Only checked after the signature so the timestamp can't be forged
+  const now = Math.floor(Date.now() / 1000);
+  if (
+    !/^\d+$/.test(timestamp) ||
+    Math.abs(now - Number(timestamp)) > toleranceSeconds
+  ) {
+    throw new WebhookError(401, "Stale webhook timestamp");
+  }
+}
+
+// The same notification gets the same id however often CCPayment sends it,
+// whatever its timestamp and signature. Null for events without a recordId,
+// which can't be told apart.
+function webhookEventId({ type, recordId, status }) {
+  if (!recordId) return null;
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([type, recordId, status || null]))
+    .digest("hex")
+    .slice(0, 32);
+}
+
+// Normalize a CCPayment v2 notification into a flat event
+function parseWebhookEvent(body) {
+  if (!body || typeof body.type !== "string") {
+    throw new WebhookError(400, "Webhook type is required");
+  }
+
+  const { type } = body;
+  const msg = body.msg || {};
+
+  if (type === "ActivateWebhookURL") {
+    return { type, kind: "activation" };
+  }
+
+  if (DEPOSIT_TYPES.includes(type)) {
+    const order = parseDepositOrderId(msg.orderId);
+    return {
+      type,
+      kind: "deposit",
+      recordId: msg.recordId,
+      orderId: msg.orderId || null,
+      referenceId: msg.referenceId || msg.userId || null,
+      // Permanent addresses are created with the userId as referenceId
+      userId: order ? order.userId : msg.userId || msg.referenceId || null,
+      coinId: msg.coinId,
+      coinSymbol: msg.coinSymbol,
+      status: msg.status,
+      isFlaggedAsRisky: !!msg.isFlaggedAsRisky,
+    };
+  }
+
+  if (WITHDRAWAL_TYPES.includes(type)) {
+    return {
+      type,
+      kind: "withdrawal",
+      recordId: msg.recordId,
+      orderId: msg.orderId || null,
+      userId: msg.userId || null,
+      coinId: msg.coinId,
+      coinSymbol: msg.coinSymbol,
+      status: msg.status,
+    };
+  }
+
+  throw new WebhookError(400, `Unsupported webhook type: ${type}`);
+}
+
+module.exports = {
+  WEBHOOK_ACK,
+  WebhookError,
+  parseDepositOrderId,
+  verifyWebhookRequest,
+  webhookEventId,
+  parseWebhookEvent,
+};
@@ -0,0 +1,266 @@
+const crypto = require("crypto");
+const { CCPaymentError } = require("./ccpaymentClient");
+const { logger } = require("./logger");
+const { withdrawalRetries, withdrawalAmount } = require("./metrics");
+
+// CCPayment business codes the ledger acts on
+const RECORD_NOT_FOUND = 12002;
+const DUPLICATE_ORDER_ID = 12003;
+
+class IdempotencyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "IdempotencyError";
+    this.status = status;
+  }
+}
+
+function hashRequest(payload) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(payload))
+    .digest("hex");
+}
+
+// A timeout, network error or 5xx leaves us not knowing whether CCPayment
+// accepted the withdrawal. So does "duplicate orderId" on a resend: the
+// earlier attempt may have been accepted late.
+function isAmbiguous(error, resend) {
+  return (
+    error instanceof CCPaymentError &&
+    (error.type === "timeout" ||
+      error.type === "network" ||
+      (error.type === "http" && error.status >= 500) ||
+      (resend &&
+        error.type === "business" &&
+        error.ccpaymentCode === DUPLICATE_ORDER_ID))
+  );
+}
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    type: error.type,
+    status: error.status,
+    ccpaymentCode: error.ccpaymentCode,
+    ccpaymentResponse: error.ccpaymentResponse,
+  };
+}
+
+// Persistent record of every withdrawal keyed on orderId. Repeats return the
+// stored outcome, and an ambiguous submission is looked up with
+// getAppWithdrawRecord before anything is sent again. An order CCPayment
+// doesn't show yet stays pending rather than being resent in the same
+// call; the next submit (or reconciliation) checks again.
+function createWithdrawalLedger({ store }) {
+  const inFlight = new Map();
+
+  function save(entry, changes) {
+    return store.put({
+      ...entry,
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  function recordAccepted(entry) {
+    const { chain, coinId, amount } = entry.request;
+    withdrawalAmount.observe(
+      { chain, coinId: String(coinId) },
+      Number(amount) || 0
+    );
+  }
+
+  function outcome(entry, replayed) {
+    if (entry.status === "succeeded") {
+      return { response: entry.response, replayed };
+    }
+
+    throw new CCPaymentError(entry.error.message, entry.error);
+  }
+
+  // Returns the record if CCPayment has the order, null if it definitely
+  // doesn't, and throws if we still can't tell
+  async function lookup(ccpayment, orderId) {
+    try {
+      const response = await ccpayment.getAppWithdrawRecord({ orderId });
+      return response.data?.record || null;
+    } catch (error) {
+      if (
+        error instanceof CCPaymentError &&
+        error.type === "business" &&
+        error.ccpaymentCode === RECORD_NOT_FOUND
+      ) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function resolveAmbiguous(ccpayment, entry) {
+    const record = await lookup(ccpayment, entry.id);
+    if (!record) return null;
+
+    logger.info("Withdrawal found on CCPayment, not resending", {
+      orderId: entry.id,
+    });
+    recordAccepted(entry);
+    return save(entry, {
+      status: "succeeded",
+      resolvedBy: "lookup",
+      response: {
+        code: 10000,
+        msg: "success",
+        data: { recordId: record.recordId },
+      },
+    });
+  }
+
+  async function submit(ccpayment, payload) {
+    const requestHash = hashRequest(payload);
+    let entry = store.get(payload.orderId);
+
+    if (entry && entry.requestHash !== requestHash) {
+      throw new IdempotencyError(
+        409,
+        `orderId ${payload.orderId} was already used for a different withdrawal`
+      );
+    }
+
+    if (entry && (entry.status === "succeeded" || entry.status === "failed")) {
+      logger.info("Returning stored withdrawal outcome", { orderId: entry.id });
+      return outcome(entry, true);
+    }
+
+    if (entry) {
+      // Left pending by a timeout or crash: find out before resending
+      const resolved = await resolveAmbiguous(ccpayment, entry);
+      if (resolved) return outcome(resolved, true);
+
+      const last = entry.attempts[entry.attempts.length - 1];
+      if (last) withdrawalRetries.inc({ reason: last.result });
+    } else {
+      entry = save(
+        {
+          id: payload.orderId,
+          requestHash,
+          request: payload,
+          attempts: [],
+          createdAt: new Date().toISOString(),
+        },
+        { status: "pending" }
+      );
+    }
+
+    // The pending entry must be stored before anything reaches CCPayment,
+    // or after a restart the proxy wouldn't know the order may exist
+    await store.flush();
+
+    const resend = entry.attempts.some(
+      (attempt) => attempt.result !== "circuit_open"
+    );
+    const attemptedAt = new Date().toISOString();
+
+    try {
+      const response = await ccpayment.applyAppWithdrawToNetwork(payload);
+      entry = save(entry, {
+        status: "succeeded",
+        response,
+        attempts: [...entry.attempts, { at: attemptedAt, result: "success" }],
+      });
+      recordAccepted(entry);
+      return outcome(entry, false);
+    } catch (error) {
+      // Nothing was sent, so the order stays open for a later attempt
+      if (error.type === "circuit_open") {
+        save(entry, {
+          attempts: [
+            ...entry.attempts,
+            { at: attemptedAt, result: "circuit_open" },
+          ],
+        });
+        throw error;
+      }
+
+      if (!isAmbiguous(error, resend)) {
+        entry = save(entry, {
+          status: "failed",
+          error: serializeError(error),
+          attempts: [...entry.attempts, { at: attemptedAt, result: "failed" }],
+        });
+        return outcome(entry, false);
+      }
+
+      const reason =
+        error.type === "business" ? "duplicate_order_id" : error.type;
+      entry = save(entry, {
+        status: "pending",
+        attempts: [...entry.attempts, { at: attemptedAt, result: reason }],
+      });
+
+      logger.warn("Withdrawal outcome unknown, checking CCPayment", {
+        orderId: entry.id,
+        reason,
+      });
+
+      let resolved;
+      try {
+        resolved = await resolveAmbiguous(ccpayment, entry);
+      } catch (lookupError) {
+        logger.error("Could not confirm withdrawal", {
+          orderId: entry.id,
+          error: lookupError,
+        });
+      }
+      if (resolved) return outcome(resolved, false);
+
+      if (error.type === "business") {
+        // CCPayment has the orderId but can't show it yet; never a failure
+        throw new CCPaymentError(
+          "Withdrawal may already be on CCPayment; submitting again will check before resending",
+          {
+            type: "unconfirmed",
+            status: 409,
+            ccpaymentCode: error.ccpaymentCode,
+            ccpaymentResponse: error.ccpaymentResponse,
+          }
+        );
+      }
+      throw error;
+    }
+  }
+
+  return {
+    // Concurrent calls for the same orderId share one submission
+    submit(ccpayment, payload) {
+      const key = payload.orderId;
+      const requestHash = hashRequest(payload);
+      const running = inFlight.get(key);
+      if (running) {
+        if (running.requestHash !== requestHash) {
+          return Promise.reject(
+            new IdempotencyError(
+              409,
+              `orderId ${key} was already used for a different withdrawal`
+            )
+          );
+        }
+        return running.promise;
+      }
+
+      const promise = submit(ccpayment, payload).finally(() => {
+        inFlight.delete(key);
+      });
+      inFlight.set(key, { requestHash, promise });
+      return promise;
+    },
+    get(orderId) {
+      return store.get(orderId);
+    },
+  };
+}
+
+module.exports = {
+  IdempotencyError,
+  createWithdrawalLedger,
+};
@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+class WithdrawalStateError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "WithdrawalStateError";
+    this.status = status;
+  }
+}
+
+// pending -> approved | rejected
+// approved -> submitted | failed
+// submitted -> confirmed | failed
+const TRANSITIONS = {
+  pending: ["approved", "rejected"],
+  approved: ["submitted", "failed"],
+  submitted: ["confirmed", "failed"],
+  rejected: [],
+  confirmed: [],
+  failed: [],
+};
+
+const DETAIL_FIELDS = ["chain", "address", "memo", "amount", "currency"];
+
+function actorOf(user) {
+  return user ? { id: user.id, email: user.email || null } : { id: "system" };
+}
+
+// Withdrawal requests as the user submitted them. Admins act on a
+// withdrawalId only; every state change is appended to the request's
+// history together with who made it, and to the audit log if one is given.
+// onChange is called with the request after it is created or changed.
+function createWithdrawalRequests({ store, audit, onChange = () => {} }) {
+  function findByOrderId(orderId) {
+    return store.all().find((request) => request.orderId === orderId) || null;
+  }
+
+  // The details CCPayment is asked to pay out, hashed into audit entries
+  function auditPayload(request) {
+    return {
+      orderId: request.orderId,
+      ...Object.fromEntries(
+        DETAIL_FIELDS.map((field) => [field, request[field]])
+      ),
+    };
+  }
+
+  function record(request, action, { actor, reason, details = {} }) {
+    if (!audit) return;
+    audit.record({
+      action: `withdrawal.${action}`,
+      actor: actorOf(actor),
+      userId: request.userId,
+      orderId: request.orderId,
+      withdrawalId: request.id,
+      payload: auditPayload(request),
+      ccpaymentCode: details.ccpaymentCode,
+      reason,
+    });
+  }
+
+  return {
+    // Re-submitting the same orderId with the same details returns the
+    // existing request. risk is the risk engine's verdict, if any, and
+    // account the CCPayment account that pays it out.
+    create({
+      userId,
+      email,
+      orderId,
+      chain,
+      address,
+      memo,
+      amount,
+      currency,
+      risk,
+      account,
+    }) {
+      const details = {
+        chain,
+        address,
+        memo: memo || null,
+        amount: String(amount),
+        currency,
+      };
+
+      const existing = findByOrderId(orderId);
+      if (existing) {
+        const same =
+          existing.userId === userId &&
+          DETAIL_FIELDS.every((field) => existing[field] === details[field]);
+        if (!same) {
+          throw new WithdrawalStateError(
+            409,
+            `orderId ${orderId} was already used for a different withdrawal`
+          );
+        }
+        return { request: existing, created: false };
+      }
+
+      const now = new Date().toISOString();
+      const request = store.put({
+        id: crypto.randomUUID(),
+        userId,
+        email: email || null,
+        orderId,
+        ...details,
+        account: account || null,
+        risk: risk || null,
+        status: "pending",
+        createdAt: now,
+        updatedAt: now,
+        history: [
+          {
+            from: null,
+            to: "pending",
+            at: now,
+            actor: { id: userId, email: email || null },
+          },
+        ],
+      });
+      record(request, "requested", {
+        actor: { id: userId, email },
+      });
+      onChange(request);
+      return { request, created: true };
+    },
+    // Moves a request to the next state; details (e.g. recordId, error)
+    // are merged into the request and kept on the history entry
+    transition(id, to, { actor, reason, details = {} } = {}) {
+      const request = store.get(id);
+      if (!request) {
+        throw new WithdrawalStateError(404, `Unknown withdrawal ${id}`);
+      }
+      if (!TRANSITIONS[request.status].includes(to)) {
+        throw new WithdrawalStateError(
+          409,
+          `Withdrawal ${id} is ${request.status} and cannot become ${to}`
+        );
+      }
+
+      const now = new Date().toISOString();
+      logger.info("Withdrawal state change", {
+        withdrawalId: id,
+        orderId: request.orderId,
+        from: request.status,
+        to,
+        actor: actorOf(actor).id,
+      });
+
+      const updated = store.put({
+        ...request,
+        ...details,
+        status: to,
+        updatedAt: now,
+        history: [
+          ...request.history,
+          {
+            from: request.status,
+            to,
+            at: now,
+            actor: actorOf(actor),
+            reason: reason || null,
+            ...(Object.keys(details).length > 0 ? { details } : {}),
+          },
+        ],
+      });
+      record(updated, to, { actor, reason, details });
+      onChange(updated);
+      return updated;
+    },
+    get(id) {
+      return store.get(id);
+    },
+    findByOrderId,
+    list({ status, userId } = {}) {
+      return store
+        .all()
+        .filter(
+          (request) =>
+            (!status || request.status === status) &&
+            (!userId || request.userId === userId)
+        )
+        .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+    },
+  };
+}
+
+module.exports = {
+  TRANSITIONS,
+  WithdrawalStateError,
+  createWithdrawalRequests,
+};
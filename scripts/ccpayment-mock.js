@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+// Runs the CCPayment mock for local development. Point the proxy at it with
+// CCPAYMENT_BASE_URL (and CCPAYMENT_API_URL / CCPAYMENT_ADMIN_URL) and use
+// the same CCPAYMENT_APP_ID / CCPAYMENT_APP_SECRET on both sides.
+// Usage: npm run mock:ccpayment
+const { logger } = require("../lib/logger");
+const { createCCPaymentMock } = require("../lib/ccpaymentMock");
+
+const mock = createCCPaymentMock({
+  appId: process.env.CCPAYMENT_APP_ID || "test-app-id",
+  appSecret: process.env.CCPAYMENT_APP_SECRET || "test-app-secret",
+  webhookUrl:
+    process.env.MOCK_WEBHOOK_URL || "http://localhost:3000/webhooks/ccpayment",
+  ipWhitelist: process.env.MOCK_IP_WHITELIST
+    ? process.env.MOCK_IP_WHITELIST.split(",").map((ip) => ip.trim())
+    : null,
+});
+
+mock.listen(parseInt(process.env.MOCK_PORT, 10) || 4100).then((url) => {
+  logger.info("CCPayment mock listening", { url, appId: mock.appId });
+});
+
+process.on("SIGINT", () => mock.close().then(() => process.exit(0)));
+process.on("SIGTERM", () => mock.close().then(() => process.exit(0)));
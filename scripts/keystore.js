@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// Edits the encrypted CCPayment keystore (SECRET_PROVIDER=keystore). A
+// running proxy picks up the change on its next poll, so this is how a
+// secret is rotated without a restart.
+// Usage (uses SECRET_KEYSTORE_FILE and SECRET_KEYSTORE_KEY):
+//   npm run keystore -- list
+//   npm run keystore -- set <account> <appId>   (app secret on stdin)
+//   npm run keystore -- remove <account>
+const fs = require("fs");
+const {
+  decryptKeystore,
+  encryptKeystore,
+  normalizeAccounts,
+  writeFileAtomic,
+} = require("../lib/secrets");
+
+const file = process.env.SECRET_KEYSTORE_FILE;
+const passphrase = process.env.SECRET_KEYSTORE_KEY;
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let input = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", (chunk) => (input += chunk));
+    process.stdin.on("end", () => resolve(input.trim()));
+    process.stdin.on("error", reject);
+  });
+}
+
+async function main([command, name, appId]) {
+  if (!file || !passphrase) {
+    fail("SECRET_KEYSTORE_FILE and SECRET_KEYSTORE_KEY are required");
+  }
+
+  const accounts = fs.existsSync(file)
+    ? decryptKeystore(fs.readFileSync(file, "utf8"), passphrase)
+    : {};
+
+  if (command === "list") {
+    for (const [account, { appId: id }] of Object.entries(accounts)) {
+      console.log(`${account}\t${id}`);
+    }
+    return;
+  }
+
+  if (command === "set" && name && appId) {
+    const appSecret = await readStdin();
+    if (!appSecret) fail("Pass the app secret on stdin");
+    accounts[name] = { appId, appSecret };
+  } else if (command === "remove" && name) {
+    if (!accounts[name]) fail(`No account named ${name}`);
+    delete accounts[name];
+  } else {
+    fail(
+      "Usage: keystore list | set <account> <appId> (secret on stdin) | remove <account>"
+    );
+  }
+
+  normalizeAccounts(accounts);
+  writeFileAtomic(file, encryptKeystore(accounts, passphrase));
+  console.log(`Saved ${Object.keys(accounts).length} account(s) to ${file}`);
+}
+
+main(process.argv.slice(2)).catch((error) => fail(error.message));
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+// Applies pending storage migrations and exits. The server also migrates
+// on startup; this is for running them ahead of a deploy.
+// Usage: npm run migrate (uses STORAGE_DRIVER, SQLITE_PATH, DATABASE_URL)
+const path = require("path");
+const { createStorage } = require("../lib/storage");
+
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER || "sqlite",
+  filename:
+    process.env.SQLITE_PATH ||
+    path.join(
+      process.env.DATA_DIR || path.join(__dirname, "..", "data"),
+      "ccpayment.db"
+    ),
+  connectionString: process.env.DATABASE_URL,
+});
+
+storage
+  .migrate()
+  .then(async (applied) => {
+    console.log(
+      applied.length
+        ? `Applied ${applied.join(", ")}`
+        : "Storage schema is up to date"
+    );
+    await storage.close();
+  })
+  .catch((error) => {
+    console.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// Checks the audit log's hash chain and exits non-zero if it was tampered
+// with. Usage: npm run audit:verify -- [file] [--head <hash>]
+// Pass a head hash recorded earlier (see /admin-audit-log) to also catch
+// entries removed from the end.
+const path = require("path");
+const { verifyAuditLog } = require("../lib/auditLog");
+
+const args = process.argv.slice(2);
+let knownHead = null;
+let file = null;
+for (let index = 0; index < args.length; index++) {
+  if (args[index] === "--head") {
+    knownHead = args[++index];
+  } else {
+    file = args[index];
+  }
+}
+file =
+  file ||
+  process.env.AUDIT_LOG_FILE ||
+  path.join(
+    process.env.DATA_DIR || path.join(__dirname, "..", "data"),
+    "audit.jsonl"
+  );
+
+const result = verifyAuditLog(file, { knownHead });
+
+if (!result.ok) {
+  const where = result.line ? ` at line ${result.line}` : "";
+  console.error(
+    `Audit log ${file} failed verification${where}: ${result.reason} (${result.entries} entries verified)`
+  );
+  process.exit(1);
+}
+
+console.log(
+  `Audit log ${file} is intact: ${result.entries} entries, head ${result.head}`
+);
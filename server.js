@@ -1,22 +1,292 @@
 const express = require("express");
 const { createProxyMiddleware } = require("http-proxy-middleware");
 const cors = require("cors");
-const axios = require("axios");
+const path = require("path");
 const crypto = require("crypto");
+const { logger } = require("./lib/logger");
+const {
+  register: metricsRegister,
+  httpMetrics,
+  labelRoute,
+  observeUpstream,
+} = require("./lib/metrics");
+const {
+  KNOWN_ENDPOINTS,
+  CCPaymentClient,
+  CCPaymentError,
+} = require("./lib/ccpaymentClient");
+const { CoinRegistryError, createCoinRegistry } = require("./lib/coinRegistry");
+const { normalizeChain, validateAddress } = require("./lib/chains");
+const {
+  IdempotencyError,
+  createWithdrawalLedger,
+} = require("./lib/withdrawalLedger");
+const { createAuthorizer } = require("./lib/authorization");
+const { createSupabaseAuth } = require("./lib/supabaseAuth");
+const {
+  createServiceAuth,
+  stripServiceAuthHeaders,
+} = require("./lib/serviceAuth");
+const { ApprovalError, createApprovalTracker } = require("./lib/approvals");
+const { createFileStore } = require("./lib/fileStore");
+const { createIpMonitor, urlResolver } = require("./lib/ipMonitor");
+const { createDepositAddressBook } = require("./lib/depositAddresses");
+const { agentFor, createCircuitBreaker } = require("./lib/resilience");
+const {
+  WithdrawalStateError,
+  createWithdrawalRequests,
+} = require("./lib/withdrawalRequests");
+const { AuditQueryError, createAuditLog } = require("./lib/auditLog");
+const { reportToCsv, createReconciler } = require("./lib/reconciliation");
+const { createStorage } = require("./lib/storage");
+const { createDocumentStore } = require("./lib/documentStore");
+const { createRiskEngine, createAddressBook } = require("./lib/riskPolicy");
+const {
+  createMemoryStore,
+  createRedisStore,
+  createRateLimiter,
+} = require("./lib/rateLimit");
+const {
+  createReadinessProbe,
+  ccpaymentCheck,
+  supabaseConfigCheck,
+  outboundIpCheck,
+} = require("./lib/health");
+const { createWebhookForwarder } = require("./lib/webhookForwarder");
+const { createSecretProvider, createSecretStore } = require("./lib/secrets");
+const {
+  createSelfSigningGuard,
+  applySelfSignature,
+} = require("./lib/selfSigning");
+const {
+  WEBHOOK_ACK,
+  WebhookError,
+  verifyWebhookRequest,
+  webhookEventId,
+  parseWebhookEvent,
+} = require("./lib/webhooks");
+const { ConfigError, loadConfig } = require("./lib/config");
+const { sendError } = require("./lib/errors");
+const {
+  validate,
+  validateBody,
+  invalidBodyMessage,
+} = require("./lib/validation");
+
+// Every setting, read and validated once. Run directly, a bad config logs
+// each problem and exits; required (e.g. by tests), it throws.
+function loadConfigOrExit() {
+  try {
+    return loadConfig(process.env);
+  } catch (error) {
+    if (!(error instanceof ConfigError) || require.main !== module) {
+      throw error;
+    }
+    logger.error("Invalid configuration", { problems: error.problems });
+    process.exit(1);
+  }
+}
+const config = loadConfigOrExit();
+logger.configure({
+  level: config.logging.level,
+  rules: config.logging.redactRules,
+});
 
 const app = express();
 
+// Behind Render's load balancer req.ip is only the client's address if
+// the proxy hops are trusted (TRUST_PROXY, one hop by default); otherwise
+// every caller would share the balancer's IP budget
+app.set("trust proxy", config.trustProxy);
+
+const DATA_DIR = config.dataDir;
+
+// CCPayment credentials, from SECRET_PROVIDER. File and keystore secrets
+// are reloaded when they change; a rotated secret's predecessor is still
+// accepted on webhooks for SECRET_ROTATION_WINDOW_SECONDS.
+const secrets = createSecretStore({
+  provider: createSecretProvider({
+    ...config.ccpayment.secrets,
+    accounts: config.ccpayment.accounts,
+  }),
+  defaultAccount: config.ccpayment.defaultAccount,
+  rotationWindowMs: config.ccpayment.secrets.rotationWindowMs,
+});
+
+// Queryable history of orders, withdrawals, CCPayment records and webhook
+// events, and the workflow state below: SQLite in DATA_DIR by default, or
+// Postgres (e.g. the Supabase database) with STORAGE_DRIVER=postgres
+const storage = createStorage({
+  driver: config.storage.driver,
+  filename: config.storage.sqlitePath,
+  connectionString: config.storage.databaseUrl,
+});
+
+// Workflow state lives in storage so it survives a redeploy onto a fresh
+// disk. Each store is loaded by ready(); the JSON-lines file it used to
+// live in is imported the first time.
+const documentStores = [];
+function documentStore(collection) {
+  const store = createDocumentStore({
+    storage,
+    collection,
+    legacyFile: path.join(DATA_DIR, `${collection}.jsonl`),
+  });
+  documentStores.push(store);
+  return store;
+}
+
+// Every withdrawal submitted to CCPayment, keyed on orderId
+const withdrawalLedger = createWithdrawalLedger({
+  store: documentStore("withdrawals"),
+});
+
+// Verifies Supabase access tokens locally (HS256 secret or JWKS), with an
+// optional fallback to the remote /auth/v1/user lookup
+const supabaseAuth = createSupabaseAuth({
+  supabaseUrl: config.supabase.url,
+  anonKey: config.supabase.anonKey,
+  jwtSecret: config.supabase.jwtSecret,
+  jwksUrl: config.supabase.jwksUrl,
+  audience: config.supabase.audience,
+  issuer: config.supabase.issuer,
+  remoteFallback: config.supabase.remoteFallback,
+});
+const authenticateUser = supabaseAuth.middleware();
+
+// API keys or HMAC-signed requests from our Supabase functions, with
+// per-client scopes
+const serviceAuth = createServiceAuth({
+  ...config.serviceClients,
+  defaultAccount: config.ccpayment.defaultAccount,
+});
+
+// Which roles may use each admin route, and when two approvers are needed
+const authorizer = createAuthorizer({
+  policy: config.adminPolicy,
+  claimPath: config.adminRolesClaim,
+});
+
+// History writes shouldn't fail the request whose result they record
+async function persist(log, what, write) {
+  try {
+    await write();
+  } catch (error) {
+    log.error("Failed to persist to storage", { what, error });
+  }
+}
+
+let withdrawalWrites = Promise.resolve();
+
+// Hash-chained record of every money-moving action
+const auditLog = createAuditLog({ filePath: config.auditLogFile });
+
+// Withdrawal requests awaiting or past admin review
+const withdrawalRequests = createWithdrawalRequests({
+  store: documentStore("withdrawal-requests"),
+  audit: auditLog,
+  // Saved one after another so an older state can't land after a newer one
+  onChange: (request) => {
+    withdrawalWrites = withdrawalWrites.then(() =>
+      persist(logger, "withdrawal", () => storage.saveWithdrawal(request))
+    );
+  },
+});
+
+// Saved withdrawal addresses, and the risk checks run on each new request.
+// Without RISK_POLICY every request waits for an admin.
+const addressBook = createAddressBook({
+  store: documentStore("withdrawal-addresses"),
+});
+const riskPolicy = config.riskPolicy;
+const riskEngine =
+  riskPolicy &&
+  createRiskEngine({ policy: riskPolicy, withdrawalRequests, addressBook });
+// Recorded as the actor on state changes the risk policy makes
+const RISK_POLICY_ACTOR = { id: "risk-policy" };
+
+// The service client behind a service-authenticated request, as an audit
+// actor; unknown when SERVICE_AUTH_DISABLED lets anyone call
+function serviceActor(req) {
+  return {
+    id: req.serviceClient
+      ? `service:${req.serviceClient.name}`
+      : "service:unauthenticated",
+  };
+}
+
+// CCPayment base URLs, overridable so the proxy can run against the local
+// mock (npm run mock:ccpayment)
+const UPSTREAMS = config.upstreams;
+// Hosts name the breakers and the upstream metric label
+const UPSTREAM_HOSTS = Object.fromEntries(
+  Object.entries(UPSTREAMS).map(([name, url]) => [name, new URL(url).host])
+);
+
+// One breaker per CCPayment host, shared by the signed client and the
+// passthrough proxies
+const breakers = Object.fromEntries(
+  Object.entries(UPSTREAM_HOSTS).map(([name, host]) => [
+    name,
+    createCircuitBreaker({ name: host, ...config.circuitBreaker }),
+  ])
+);
+
+// Deposit addresses handed out per (userId, chain, coin) and account
+const depositAddresses = createDepositAddressBook({
+  store: documentStore("deposit-addresses"),
+  ...config.depositAddresses,
+  defaultAccount: config.ccpayment.defaultAccount,
+});
+const approvalTracker = createApprovalTracker({
+  store: documentStore("approvals"),
+});
+
+// Verified webhooks are forwarded to this Supabase Edge Function
+const webhookForwarder = config.supabase.webhookFunctionUrl
+  ? createWebhookForwarder({
+      store: createFileStore(path.join(DATA_DIR, "webhook-queue.jsonl")),
+      url: config.supabase.webhookFunctionUrl,
+      apiKey: config.supabase.serviceRoleKey || config.supabase.anonKey,
+      maxAttempts: config.supabase.webhookForwardMaxAttempts,
+    })
+  : null;
+
+// Scheduled comparison of CCPayment's records with our own, for the
+// default account
+const reconciler = createReconciler({
+  getClient: () => getCCPaymentClient(),
+  withdrawalRequests,
+  withdrawalLedger,
+  depositAddresses,
+  storage,
+  webhookForwarder,
+  store: createFileStore(path.join(DATA_DIR, "reconciliation-reports.jsonl")),
+  ...config.reconciliation,
+});
+
+// Background check of the IP CCPayment sees against the whitelisted one
+const ipMonitor = createIpMonitor({
+  resolvers: config.ipMonitor.resolvers?.map((url) => urlResolver(url)),
+  expectedIp: config.ipMonitor.expectedIp,
+  store: createFileStore(path.join(DATA_DIR, "ip-history.jsonl")),
+  intervalMs: config.ipMonitor.intervalMs,
+  alertUrl: config.ipMonitor.alertUrl,
+});
+
+// Per-user, per-API-key and per-IP budgets for the expensive routes
+const rateLimiter = createRateLimiter({
+  store:
+    config.limits.store === "redis"
+      ? createRedisStore({ url: config.limits.redisUrl })
+      : createMemoryStore(),
+  budgets: config.limits.budgets,
+});
+
 // Enable CORS for all routes
 app.use(
   cors({
-    origin: [
-      "http://localhost:8080",
-      "https://localhost:8080",
-      "https://invest.fluxel.app",
-      "https://www.invest.fluxel.app",
-      "https://lovable.dev",
-      "https://www.lovable.dev",
-    ],
+    origin: config.cors.origins,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
     allowedHeaders: [
       "Content-Type",
@@ -24,19 +294,165 @@ app.use(
       "Appid",
       "Sign",
       "Timestamp",
+      "X-CCPayment-Account",
     ],
   })
 );
 
-// Parse JSON bodies
-app.use(express.json());
+// Correlation ID: reuse a sane incoming X-Request-Id or mint one, and
+// return it so callers can quote it. Set before body parsing so even a
+// malformed body's error carries it.
+app.use((req, res, next) => {
+  const incoming = req.headers["x-request-id"];
+  req.id = /^[A-Za-z0-9._-]{8,128}$/.test(incoming || "")
+    ? incoming
+    : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.setHeader("X-Request-Id", req.id);
+
+  const startedAt = Date.now();
+  res.on("finish", () => {
+    req.log.info("Request completed", {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+    });
+  });
+  next();
+});
+
+// Parse JSON bodies, keeping the raw text for webhook signature checks
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString("utf8");
+    },
+  })
+);
 
-// Logging middleware
+// X-CCPayment-Account picks the merchant account a request is made for;
+// without it the default account is used. Service and signing clients are
+// checked against their allowed accounts; end users get defaultAccountOnly.
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+  const name =
+    req.headers["x-ccpayment-account"] || config.ccpayment.defaultAccount;
+  if (!secrets.has(name)) {
+    return sendError(res, 400, `Unknown CCPayment account: ${name}`, {
+      code: "unknown_account",
+    });
+  }
+  req.ccpaymentAccount = name;
+  next();
+});
+
+app.use(httpMetrics());
+
+// End users can't choose which merchant account pays them out
+function defaultAccountOnly(req, res, next) {
+  if (req.ccpaymentAccount !== config.ccpayment.defaultAccount) {
+    return sendError(
+      res,
+      400,
+      "X-CCPayment-Account is not accepted on this route",
+      { code: "account_not_allowed" }
+    );
+  }
   next();
+}
+
+// Optionally refuse CCPayment-bound requests while the outbound IP is wrong,
+// since CCPayment would reject them anyway
+if (config.ipMonitor.blockOnMismatch) {
+  app.use(
+    [
+      "/generate-wallet",
+      "/get-deposit-record",
+      "/create-withdrawal",
+      "/admin-approve-withdrawal",
+      "/get-withdrawal-record",
+      "/ccpayment",
+      "/api",
+      "/admin",
+    ],
+    ipMonitor.guard()
+  );
+}
+
+// The named CCPayment account, else the request's, else the default
+function accountFor(req, accountName) {
+  return secrets.get(accountName || req?.ccpaymentAccount);
+}
+
+// Signed CCPayment client for accountFor(req, accountName). Pass the
+// request to tag CCPayment calls with its correlation ID.
+function getCCPaymentClient(req, accountName) {
+  const { appId, appSecret } = accountFor(req, accountName);
+
+  return new CCPaymentClient({
+    appId,
+    appSecret,
+    timeouts: config.ccpayment.timeouts,
+    maxRetries: config.ccpayment.maxRetries,
+    baseUrl: `${UPSTREAMS.ccpayment}/ccpayment/v2`,
+    breaker: breakers.ccpayment,
+    requestId: req?.id,
+    logger: req?.log,
+  });
+}
+
+// Supported coins and chains, loaded from CCPayment's getCoinList
+const coinRegistry = createCoinRegistry({
+  fetchCoinList: () => getCCPaymentClient().getCoinList(),
+  refreshIntervalMs: config.ccpayment.coinListRefreshMs,
 });
 
+// Error envelope codes for CCPaymentError types
+const CCPAYMENT_ERROR_CODES = {
+  business: "ccpayment_error",
+  http: "ccpayment_error",
+  timeout: "upstream_timeout",
+  network: "upstream_unavailable",
+  circuit_open: "circuit_open",
+  unconfirmed: "withdrawal_unconfirmed",
+};
+
+// Map CCPayment client errors (and anything unexpected) to the error
+// envelope. Unexpected errors are logged by the caller, not returned.
+function sendCCPaymentError(res, error) {
+  if (error instanceof CoinRegistryError) {
+    return sendError(res, error.status, error.message, {
+      code: error.status === 400 ? "unsupported_coin" : undefined,
+    });
+  }
+
+  if (
+    error instanceof IdempotencyError ||
+    error instanceof ApprovalError ||
+    error instanceof WithdrawalStateError ||
+    error instanceof AuditQueryError
+  ) {
+    return sendError(res, error.status, error.message);
+  }
+
+  if (error instanceof CCPaymentError) {
+    return sendError(res, error.status, error.message, {
+      code: CCPAYMENT_ERROR_CODES[error.type],
+      details: {
+        ccpaymentCode: error.ccpaymentCode ?? null,
+        ccpaymentResponse: error.ccpaymentResponse ?? null,
+      },
+    });
+  }
+
+  sendError(res, 500, "Unexpected error occurred");
+}
+
+// validateAddress() refusals
+function sendAddressError(res, message) {
+  return sendError(res, 400, message, { code: "invalid_address" });
+}
+
 // Health check endpoint
 app.get("/", (req, res) => {
   res.json({
@@ -54,849 +470,1089 @@ app.get("/health", (req, res) => {
   });
 });
 
-// Get outbound IP endpoint
+// Deep readiness: credentials, CCPayment reachability (default account)
+// and outbound IP
+const readiness = createReadinessProbe({
+  cacheMs: config.healthReadyCacheMs,
+  checks: {
+    ccpayment: ccpaymentCheck({
+      getClient: () => getCCPaymentClient(),
+      ipErrorCodes: config.ccpayment.ipErrorCodes,
+    }),
+    supabase: supabaseConfigCheck({
+      url: config.supabase.url,
+      anonKey: config.supabase.anonKey,
+      jwtSecret: config.supabase.jwtSecret,
+      webhookFunctionUrl: config.supabase.webhookFunctionUrl,
+    }),
+    circuitBreakers: async () => {
+      const states = {};
+      for (const breaker of Object.values(breakers)) {
+        states[breaker.name] = breaker.status();
+      }
+      const open = Object.values(states).some(
+        (state) => state.state !== "closed"
+      );
+      return { status: open ? "fail" : "ok", breakers: states };
+    },
+    outboundIp: outboundIpCheck({
+      expectedIp: config.ipMonitor.expectedIp,
+      // Uses the monitor's last observation rather than a fresh lookup
+      resolveIp: async () => {
+        const observed = ipMonitor.current() || (await ipMonitor.check());
+        if (!observed) throw new Error("Outbound IP unknown");
+        return observed.ip;
+      },
+    }),
+  },
+});
+
+app.get("/health/ready", async (req, res) => {
+  const result = await readiness.run();
+  res.status(result.status === "ready" ? 200 : 503).json(result);
+});
+
+// Prometheus metrics. Set METRICS_TOKEN to require it as a bearer token.
+app.get("/metrics", async (req, res) => {
+  const token = config.metricsToken;
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return sendError(res, 401, "Metrics token required");
+  }
+
+  res.set("Content-Type", metricsRegister.contentType);
+  res.send(await metricsRegister.metrics());
+});
+
+// Supported coins and the chains each can be deposited or withdrawn on
+app.get("/coins", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await coinRegistry.list(),
+      updatedAt: coinRegistry.loadedAt(),
+    });
+  } catch (error) {
+    req.log.error("Error in coins", { error });
+    sendCCPaymentError(res, error);
+  }
+});
+
+// Outbound IP as last seen by the IP monitor
 app.get("/get-ip", async (req, res) => {
   try {
-    const response = await axios.get("https://api.ipify.org?format=json");
+    const observed = ipMonitor.current() || (await ipMonitor.check());
+    if (!observed) {
+      return sendError(res, 503, "No IP resolver has answered yet");
+    }
+
     res.json({
-      outbound_ip: response.data.ip,
+      outbound_ip: observed.ip,
+      expected_ip: observed.expectedIp,
+      matches_expected: observed.matches,
+      checked_at: observed.checkedAt,
+      resolver: observed.resolver,
       timestamp: new Date().toISOString(),
       message: "This is the IP address that CCPayment will see",
     });
   } catch (error) {
-    res.status(500).json({
-      error: "Failed to get IP",
-      message: error.message,
-    });
+    req.log.error("Error in get-ip", { error });
+    sendError(res, 500, "Failed to get IP");
   }
 });
 
 // CCPayment wallet generation endpoint
-app.post("/generate-wallet", async (req, res) => {
-  try {
-    console.log("🔥 CCPayment proxy /generate-wallet endpoint hit");
-    console.log("📦 Request body received:", JSON.stringify(req.body, null, 2));
-
-    const { userId, chain, currency } = req.body;
-    console.log("📋 Extracted parameters:", { userId, chain, currency });
-
-    if (!userId || !chain || !currency) {
-      console.log("❌ Missing required parameters:", {
-        hasUserId: !!userId,
-        hasChain: !!chain,
-        hasCurrency: !!currency,
-      });
-      return res.status(400).json({
-        success: false,
-        error: "User ID, chain, and currency are required",
+app.post(
+  "/generate-wallet",
+  serviceAuth.require("wallet:generate"),
+  // Validated first: the per-user budget is keyed on the body's userId
+  validateBody("generateWallet"),
+  rateLimiter.limit("wallet"),
+  async (req, res) => {
+    try {
+      req.log.debug("Generate wallet request", { body: req.body });
+
+      const { userId, currency } = req.body;
+      const chain = normalizeChain(req.body.chain);
+
+      const ccpayment = getCCPaymentClient(req);
+
+      const { coinId } = await coinRegistry.resolve(currency, chain, {
+        purpose: "deposit",
       });
-    }
 
-    // Get CCPayment credentials from environment variables
-    const appId = process.env.CCPAYMENT_APP_ID;
-    const appSecret = process.env.CCPAYMENT_APP_SECRET;
-
-    if (!appId || !appSecret) {
-      console.error("Missing CCPayment credentials");
-      return res.status(500).json({
-        success: false,
-        error: "CCPayment credentials not configured",
+      // Hand back the user's active address if there is one
+      const { record, reused } = await depositAddresses.getOrCreate(ccpayment, {
+        userId,
+        chain,
+        currency,
+        coinId,
+        account: req.ccpaymentAccount,
       });
-    }
-
-    // Generate orderId that includes userId for webhook processing
-    const orderId = `deposit_${userId}_${Math.floor(Date.now() / 1000)}`;
 
-    // Get coinId based on currency (USDT = 1280 according to your API response)
-    const coinId = currency === "USDT" ? 1280 : 1280; // Default to USDT for now
-
-    // Prepare request data for createAppOrderDepositAddress
-    const args = JSON.stringify({
-      coinId: coinId,
-      price: "1", // Minimum price as per CCPayment docs
-      orderId: orderId,
-      chain: chain,
-    });
-    const timestamp = Math.floor(Date.now() / 1000);
-
-    // Create signature
-    let signText = appId + timestamp;
-    if (args) {
-      signText += args;
-    }
-
-    const sign = crypto
-      .createHmac("sha256", appSecret)
-      .update(signText)
-      .digest("hex");
-
-    console.log("Making CCPayment request with:", {
-      userId,
-      chain,
-      currency,
-      coinId,
-      orderId,
-      timestamp,
-      appId: appId.substring(0, 8) + "...", // Log partial appId for debugging
-    });
+      req.log.info(
+        reused ? "Reusing deposit address" : "Generated deposit address",
+        {
+          userId,
+          chain,
+          currency,
+          coinId,
+          orderId: record.orderId,
+          mode: record.mode,
+        }
+      );
 
-    // Make request to CCPayment
-    const ccpaymentResponse = await axios.post(
-      "https://ccpayment.com/ccpayment/v2/createAppOrderDepositAddress",
-      args,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Appid: appId,
-          Sign: sign,
-          Timestamp: timestamp.toString(),
-        },
-        timeout: 30000, // 30 second timeout
+      if (!reused) {
+        await persist(req.log, "deposit order", () =>
+          storage.saveOrder(record)
+        );
+        auditLog.record({
+          action: "wallet.generated",
+          actor: serviceActor(req),
+          userId: String(userId),
+          orderId: record.orderId,
+          payload: { userId: String(userId), chain, currency, coinId },
+          ccpaymentCode: 10000,
+        });
       }
-    );
-
-    console.log("CCPayment response:", ccpaymentResponse.data);
 
-    if (ccpaymentResponse.data.code === 10000) {
       res.json({
         success: true,
         data: {
-          address: ccpaymentResponse.data.data.address,
-          memo: ccpaymentResponse.data.data.memo || "",
-          amount: ccpaymentResponse.data.data.amount,
-          checkoutUrl: ccpaymentResponse.data.data.checkoutUrl,
-          confirmsNeeded: ccpaymentResponse.data.data.confirmsNeeded,
+          address: record.address,
+          memo: record.memo,
+          amount: record.amount,
+          checkoutUrl: record.checkoutUrl,
+          confirmsNeeded: record.confirmsNeeded,
           chain,
           currency,
           userId,
-          orderId,
+          orderId: record.orderId,
+          expiresAt: record.expiresAt,
         },
-        message: "Wallet address generated successfully",
-      });
-    } else {
-      console.error("CCPayment error:", ccpaymentResponse.data);
-      res.status(400).json({
-        success: false,
-        error:
-          ccpaymentResponse.data.msg || "Failed to generate wallet address",
-        code: ccpaymentResponse.data.code,
-      });
-    }
-  } catch (error) {
-    console.error("Error generating wallet:", error);
-
-    if (error.response) {
-      console.error("CCPayment API response error:", error.response.data);
-      res.status(error.response.status || 500).json({
-        success: false,
-        error: error.response.data?.msg || "CCPayment API error",
-        details: error.response.data,
-      });
-    } else if (error.request) {
-      console.error("Network error:", error.message);
-      res.status(500).json({
-        success: false,
-        error: "Network error connecting to CCPayment",
-        details: error.message,
-      });
-    } else {
-      console.error("Unexpected error:", error.message);
-      res.status(500).json({
-        success: false,
-        error: "Unexpected error occurred",
-        details: error.message,
+        reused,
+        message: reused
+          ? "Existing wallet address returned"
+          : "Wallet address generated successfully",
       });
+    } catch (error) {
+      req.log.error("Error generating wallet", { error });
+      sendCCPaymentError(res, error);
     }
   }
-});
+);
 
-// Test IP endpoint - makes actual request to see what IP is used
+// IP monitor state and history. ?refresh=true runs a check now instead
+// of waiting for the next scheduled one.
 app.get("/test-ip", async (req, res) => {
   try {
-    console.log("Testing actual outbound IP by making external request...");
-
-    // Make multiple requests to different IP detection services
-    const ipServices = [
-      "https://api.ipify.org?format=json",
-      "https://httpbin.org/ip",
-      "https://api.myip.com",
-    ];
-
-    const results = [];
-
-    for (const service of ipServices) {
-      try {
-        const response = await axios.get(service, { timeout: 5000 });
-        console.log(`IP from ${service}:`, response.data);
-        results.push({
-          service,
-          data: response.data,
-          status: "success",
-        });
-      } catch (error) {
-        console.log(`Failed to get IP from ${service}:`, error.message);
-        results.push({
-          service,
-          error: error.message,
-          status: "failed",
-        });
-      }
+    if (req.query.refresh === "true") {
+      await ipMonitor.check();
     }
 
     res.json({
       message: "IP detection test results",
       timestamp: new Date().toISOString(),
-      results,
+      current: ipMonitor.current(),
+      results: ipMonitor.lastResults(),
+      history: ipMonitor.history(),
     });
   } catch (error) {
-    res.status(500).json({
-      error: "Failed to test IP",
-      message: error.message,
-    });
+    req.log.error("Error in test-ip", { error });
+    sendError(res, 500, "Failed to test IP");
   }
 });
 
 // Get deposit record endpoint - for webhooks to fetch deposit details
-app.post("/get-deposit-record", async (req, res) => {
-  try {
-    const { recordId } = req.body;
+app.post(
+  "/get-deposit-record",
+  serviceAuth.require("deposits:read"),
+  validateBody("getDepositRecord"),
+  async (req, res) => {
+    try {
+      const { recordId } = req.body;
+
+      req.log.info("Fetching deposit record", { recordId });
+
+      const ccpayment = getCCPaymentClient(req);
+
+      const response = await ccpayment.getAppDepositRecord({ recordId });
+      if (response.data?.record) {
+        await persist(req.log, "deposit record", () =>
+          storage.saveRecord("deposit", response.data.record)
+        );
+      }
 
-    if (!recordId) {
-      return res.status(400).json({
-        success: false,
-        error: "recordId is required",
+      res.json({
+        success: true,
+        data: response.data?.record || null,
+        ccpaymentResponse: response,
       });
+    } catch (error) {
+      req.log.error("Error in get-deposit-record", { error });
+      sendCCPaymentError(res, error);
     }
+  }
+);
 
-    console.log(`🔍 Fetching deposit record for recordId: ${recordId}`);
+// Create withdrawal endpoint - stores the request for admin review
+app.post(
+  "/create-withdrawal",
+  authenticateUser,
+  defaultAccountOnly,
+  rateLimiter.limit("withdrawal"),
+  validateBody("createWithdrawal"),
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      req.log.info("Authenticated user", { userId });
+
+      const { chain, address, amount, orderId, memo } = req.body;
+      const currency = req.body.currency || "USDT";
+
+      // Reject malformed addresses before anything is stored
+      const newChain = normalizeChain(chain);
+      const addressError = validateAddress(newChain, address, memo);
+      if (addressError) {
+        return sendAddressError(res, addressError);
+      }
 
-    const appId = process.env.CCPAYMENT_APP_ID;
-    const appSecret = process.env.CCPAYMENT_APP_SECRET;
+      // Fails early if the coin can't be withdrawn on this chain
+      await coinRegistry.resolve(currency, newChain, { purpose: "withdraw" });
+
+      const details = {
+        userId,
+        email: req.user.email,
+        orderId,
+        chain: newChain,
+        address,
+        memo,
+        amount: amount.toString(),
+        currency,
+        account: config.ccpayment.defaultAccount,
+      };
+
+      // Replays of an existing orderId skip the risk checks; create()
+      // returns the stored request or refuses different details
+      let risk = null;
+      if (riskEngine && !withdrawalRequests.findByOrderId(orderId)) {
+        risk = riskEngine.evaluate(details);
+        // Auto-approval never bypasses dual approval
+        if (
+          risk.decision === "approve" &&
+          authorizer.requiresDualApproval(details.amount, details.currency)
+        ) {
+          risk = { ...risk, decision: "review" };
+        }
+        // Starts the cooling-off period for addresses seen for the first time
+        addressBook.add({
+          userId,
+          chain: newChain,
+          address,
+          memo,
+          source: "withdrawal",
+        });
+      }
 
-    if (!appId || !appSecret) {
-      console.error("❌ CCPayment credentials not configured");
-      return res.status(500).json({
-        success: false,
-        error: "CCPayment credentials not configured",
+      let { request, created } = withdrawalRequests.create({
+        ...details,
+        risk,
       });
-    }
 
-    // Prepare the request payload
-    const args = JSON.stringify({ recordId });
+      req.log.info(
+        created ? "Withdrawal request stored" : "Withdrawal request exists",
+        {
+          userId,
+          withdrawalId: request.id,
+          orderId,
+          address,
+          amount,
+          currency,
+          chain: newChain,
+          risk: risk && risk.decision,
+          violations: risk ? risk.violations.map((v) => v.reason) : undefined,
+        }
+      );
 
-    // Create signature
-    const timestamp = Math.floor(Date.now() / 1000);
-    let signText = appId + timestamp;
-    if (args.length !== 0) {
-      signText += args;
-    }
+      if (created && risk && risk.decision === "reject") {
+        request = withdrawalRequests.transition(request.id, "rejected", {
+          actor: RISK_POLICY_ACTOR,
+          reason: riskRejectReason(risk),
+        });
+      }
 
-    const sign = crypto
-      .createHmac("sha256", appSecret)
-      .update(signText)
-      .digest("hex");
+      // Replays of a rejected orderId get the same answer as the first call
+      if (
+        request.status === "rejected" &&
+        request.risk?.decision === "reject"
+      ) {
+        return sendError(res, 422, "Withdrawal rejected by risk policy", {
+          code: "risk_rejected",
+          details: {
+            reason: riskRejectReason(request.risk),
+            violations: request.risk.violations,
+            withdrawalId: request.id,
+            orderId,
+            status: "rejected",
+          },
+        });
+      }
 
-    console.log(`📝 Making request to CCPayment API with signature`);
+      if (created && risk && risk.decision === "approve") {
+        request = withdrawalRequests.transition(request.id, "approved", {
+          actor: RISK_POLICY_ACTOR,
+        });
 
-    // Make the API request
-    const response = await axios.post(
-      "https://ccpayment.com/ccpayment/v2/getAppDepositRecord",
-      { recordId },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Appid: appId,
-          Sign: sign,
-          Timestamp: timestamp.toString(),
-        },
+        try {
+          ({ request } = await submitApprovedWithdrawal(
+            req,
+            getCCPaymentClient(req, request.account),
+            request,
+            RISK_POLICY_ACTOR
+          ));
+        } catch (error) {
+          // The request stays approved (or failed) and an admin can
+          // resume it; the user's request itself was accepted
+          req.log.error("Auto-approved withdrawal not submitted", {
+            withdrawalId: request.id,
+            error,
+          });
+          request = withdrawalRequests.get(request.id);
+        }
       }
-    );
 
-    console.log(`✅ CCPayment API response:`, response.data);
-
-    if (response.data.code !== 10000) {
-      return res.status(400).json({
-        success: false,
-        error: response.data.msg || "CCPayment API error",
-        ccpaymentResponse: response.data,
+      res.status(created ? 202 : 200).json({
+        success: true,
+        withdrawalId: request.id,
+        orderId,
+        status: request.status,
+        violations: request.risk ? request.risk.violations : [],
+        replayed: !created,
       });
+    } catch (error) {
+      req.log.error("Error in create-withdrawal", { error });
+      sendCCPaymentError(res, error);
     }
-
-    res.json({
-      success: true,
-      data: response.data.data?.record || null,
-      ccpaymentResponse: response.data,
-    });
-  } catch (error) {
-    console.error("❌ Error in get-deposit-record:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      details: error.response?.data || "Unknown error",
-    });
   }
-});
+);
 
-// Create withdrawal to blockchain network endpoint
-app.post("/create-withdrawal", async (req, res) => {
+// The first violation that made the risk policy reject a request
+function riskRejectReason(risk) {
+  return risk.violations.find((violation) => violation.action === "reject")
+    .reason;
+}
+
+// The signed applyAppWithdrawToNetwork payload for a stored request
+async function withdrawalPayload(request) {
+  const { coinId } = await coinRegistry.resolve(
+    request.currency,
+    request.chain,
+    { purpose: "withdraw" }
+  );
+
+  const payload = {
+    coinId: coinId,
+    chain: request.chain,
+    address: request.address,
+    amount: request.amount,
+    orderId: request.orderId,
+    merchantPayNetworkFee: false, // Always false
+  };
+  if (request.memo) payload.memo = request.memo;
+  return payload;
+}
+
+// Submits an approved request to CCPayment and moves it to submitted, or
+// to failed when CCPayment definitely refused it
+async function submitApprovedWithdrawal(req, ccpayment, request, actor) {
+  const payload = await withdrawalPayload(request);
+
+  let response;
+  let replayed;
   try {
-    // Extract and validate auth token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({
-        success: false,
-        error: "Authentication required",
+    // Submit once per orderId; repeats get the stored outcome
+    ({ response, replayed } = await withdrawalLedger.submit(
+      ccpayment,
+      payload
+    ));
+  } catch (error) {
+    // A definite rejection ends the request; anything ambiguous leaves
+    // it approved so approving again resumes it
+    if (
+      error instanceof CCPaymentError &&
+      !CCPaymentClient.isTransient(error) &&
+      error.type !== "circuit_open" &&
+      error.type !== "unconfirmed"
+    ) {
+      withdrawalRequests.transition(request.id, "failed", {
+        actor,
+        reason: error.message,
+        details: { ccpaymentCode: error.ccpaymentCode || null },
       });
     }
+    throw error;
+  }
 
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-
-    // Validate token with Supabase
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseKey = process.env.SUPABASE_ANON_KEY;
-
-    if (!supabaseUrl || !supabaseKey) {
-      console.error("❌ Supabase configuration missing");
-      return res.status(500).json({
-        success: false,
-        error: "Server configuration error",
-      });
-    }
+  const submitted = withdrawalRequests.transition(request.id, "submitted", {
+    actor,
+    details: {
+      recordId: response.data?.recordId || null,
+      ccpaymentCode: response.code,
+    },
+  });
 
-    // Verify user authentication
-    const userResponse = await fetch(`${supabaseUrl}/auth/v1/user`, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        apikey: supabaseKey,
-      },
-    });
+  req.log.info("Withdrawal submitted", {
+    withdrawalId: request.id,
+    orderId: request.orderId,
+    recordId: response.data?.recordId,
+    replayed,
+  });
 
-    if (!userResponse.ok) {
-      return res.status(401).json({
-        success: false,
-        error: "Invalid authentication token",
-      });
-    }
+  return { response, replayed, request: submitted };
+}
+
+// Admin approve withdrawal endpoint - submits the stored request to
+// CCPayment. Calling it again for an approved request that didn't reach
+// CCPayment (e.g. after a timeout) resumes the submission.
+app.post(
+  "/admin-approve-withdrawal",
+  authenticateUser,
+  authorizer.require("withdrawal:approve"),
+  rateLimiter.limit("approval"),
+  validateBody("approveWithdrawal"),
+  async (req, res) => {
+    try {
+      const userData = req.user;
+      req.log.info("Authenticated admin", { userId: userData.id });
+
+      const { withdrawalId } = req.body;
+
+      let request = withdrawalRequests.get(withdrawalId);
+      if (!request) {
+        return sendError(res, 404, `Unknown withdrawal ${withdrawalId}`);
+      }
 
-    const userData = await userResponse.json();
-    const userId = userData.id;
+      if (request.status !== "pending" && request.status !== "approved") {
+        return sendError(res, 409, `Withdrawal is already ${request.status}`, {
+          details: { withdrawalId, status: request.status },
+        });
+      }
 
-    console.log(`🔐 Authenticated user: ${userId}`);
+      // An admin's own withdrawals need someone else's sign-off
+      if (request.userId === userData.id) {
+        req.log.warn("Admin tried to approve own withdrawal", {
+          withdrawalId,
+        });
+        return sendError(res, 403, "You can't approve your own withdrawal", {
+          code: "self_approval",
+          details: { withdrawalId },
+        });
+      }
 
-    const { chain, address, amount, orderId, memo } = req.body;
+      const ccpayment = getCCPaymentClient(req, request.account);
+
+      if (request.status === "pending") {
+        // Large withdrawals need sign-off from two different admins
+        if (authorizer.requiresDualApproval(request.amount, request.currency)) {
+          const details = {
+            chain: request.chain,
+            address: request.address,
+            amount: request.amount,
+            orderId: request.orderId,
+            memo: request.memo,
+            currency: request.currency,
+          };
+          const { complete, approvals } = approvalTracker.record(
+            withdrawalId,
+            details,
+            userData
+          );
 
-    // coinId is always 1280 (constant)
-    const coinId = 1280;
+          // Each sign-off is audited, not only the one that completes it
+          auditLog.record({
+            action: "withdrawal.approval_recorded",
+            actor: userData,
+            userId: request.userId,
+            orderId: request.orderId,
+            withdrawalId,
+            payload: details,
+            reason: `Approval ${approvals.length} of 2`,
+          });
+
+          if (!complete) {
+            req.log.info("Withdrawal awaiting second approver", {
+              withdrawalId,
+              threshold: authorizer.dualApprovalThreshold(request.currency),
+            });
+            return res.status(202).json({
+              success: true,
+              withdrawalId: withdrawalId,
+              status: "awaiting_second_approval",
+              approvals,
+            });
+          }
+        }
 
-    // merchantPayNetworkFee is always false
-    const merchantPayNetworkFee = false;
+        request = withdrawalRequests.transition(withdrawalId, "approved", {
+          actor: userData,
+        });
+      }
 
-    if (!chain || !address || !amount || !orderId) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required parameters: chain, address, amount, orderId",
+      req.log.info("Admin approving withdrawal", {
+        withdrawalId,
+        orderId: request.orderId,
+        address: request.address,
+        amount: request.amount,
+        chain: request.chain,
       });
-    }
 
-    console.log(
-      `💸 Creating network withdrawal: address=${address}, amount=${amount}, coinId=${coinId}, chain=${chain}`
-    );
+      const { response, replayed } = await submitApprovedWithdrawal(
+        req,
+        ccpayment,
+        request,
+        userData
+      );
 
-    const appId = process.env.CCPAYMENT_APP_ID;
-    const appSecret = process.env.CCPAYMENT_APP_SECRET;
-    let newChain;
-    if (chain === "TRC20") {
-      newChain = "TRX";
-    } else if (chain === "BEP20") {
-      newChain = "BSC";
-    } else if (chain === "ERC20") {
-      newChain = "ETH";
-    } else {
-      newChain = chain; // Use as-is for other chains
-    }
-
-    if (!appId || !appSecret) {
-      console.error("❌ CCPayment credentials not configured");
-      return res.status(500).json({
-        success: false,
-        error: "CCPayment credentials not configured",
+      res.json({
+        success: true,
+        data: response.data,
+        recordId: response.data?.recordId,
+        ccpaymentResponse: response,
+        withdrawalId: withdrawalId,
+        status: "submitted",
+        replayed,
       });
-    }
-
-    // Prepare the request payload
-    const payload = {
-      coinId: coinId, // Always 1280
-      chain: newChain,
-      address: address,
-      amount: amount.toString(),
-      orderId: orderId,
-      merchantPayNetworkFee: merchantPayNetworkFee, // Always false
-    };
-
-    // Add optional parameters if provided
-    if (memo) payload.memo = memo;
-
-    const args = JSON.stringify(payload);
-
-    // Create signature
-    const timestamp = Math.floor(Date.now() / 1000);
-    let signText = appId + timestamp;
-    if (args.length !== 0) {
-      signText += args;
-    }
-
-    const sign = crypto
-      .createHmac("sha256", appSecret)
-      .update(signText)
-      .digest("hex");
-
-    console.log(`📝 Making network withdrawal request to CCPayment API`);
-
-    // Make the API request with retry logic for timeout handling
-    let response;
-    let retryCount = 3;
-
-    while (retryCount > 0) {
-      try {
-        response = await axios.post(
-          "https://ccpayment.com/ccpayment/v2/applyAppWithdrawToNetwork",
-          payload,
+    } catch (error) {
+      req.log.error("Error in admin-approve-withdrawal", { error });
+
+      if (error.code === "ECONNABORTED") {
+        return sendError(
+          res,
+          408,
+          "Request timeout - withdrawal may still be processing. Approving again will check CCPayment before resubmitting",
           {
-            headers: {
-              "Content-Type": "application/json",
-              Appid: appId,
-              Sign: sign,
-              Timestamp: timestamp.toString(),
-            },
-            timeout: 15000, // 15 second timeout
+            code: "withdrawal_timeout",
+            details: { withdrawalId: req.body.withdrawalId },
           }
         );
-        break; // Success, exit retry loop
-      } catch (error) {
-        if (error.code === "ECONNABORTED" && retryCount > 1) {
-          console.log(
-            `⏰ Request timeout, retrying... (${retryCount - 1} attempts left)`
-          );
-          retryCount--;
-          await new Promise((resolve) => setTimeout(resolve, 200)); // Wait 200ms before retry
-          continue;
-        }
-        throw error; // Re-throw if not a timeout or no retries left
       }
+
+      sendCCPaymentError(res, error);
     }
+  }
+);
 
-    console.log(`✅ CCPayment withdrawal response:`, response.data);
+// Admin reject withdrawal endpoint - no external processing needed
+app.post(
+  "/admin-reject-withdrawal",
+  authenticateUser,
+  authorizer.require("withdrawal:reject"),
+  validateBody("rejectWithdrawal"),
+  async (req, res) => {
+    try {
+      const userData = req.user;
+      req.log.info("Authenticated admin", { userId: userData.id });
+
+      const { withdrawalId, reason } = req.body;
+
+      const request = withdrawalRequests.transition(withdrawalId, "rejected", {
+        actor: userData,
+        reason: reason || "Rejected by admin",
+      });
 
-    if (response.data.code !== 10000) {
-      return res.status(400).json({
-        success: false,
-        error: response.data.msg || "CCPayment withdrawal error",
-        ccpaymentResponse: response.data,
+      req.log.info("Admin rejected withdrawal", {
+        withdrawalId,
+        orderId: request.orderId,
+        reason: reason || "No reason provided",
       });
-    }
 
-    res.json({
-      success: true,
-      data: response.data.data,
-      recordId: response.data.data?.recordId,
-      ccpaymentResponse: response.data,
-    });
-  } catch (error) {
-    console.error("❌ Error in create-withdrawal:", error);
-
-    // Handle timeout errors specially
-    if (error.code === "ECONNABORTED") {
-      return res.status(408).json({
-        success: false,
-        error:
-          "Request timeout - please check withdrawal status using the orderId",
-        orderId: req.body.orderId,
-        details: "Network timeout occurred, withdrawal may still be processing",
+      // The edge function handles database updates and refunds
+      res.json({
+        success: true,
+        withdrawalId: withdrawalId,
+        action: "rejected",
+        status: request.status,
+        reason: reason || "Rejected by admin",
       });
+    } catch (error) {
+      req.log.error("Error in admin-reject-withdrawal", { error });
+      sendCCPaymentError(res, error);
     }
+  }
+);
 
-    return res.status(500).json({
-      success: false,
-      error: error.message,
-      details: error.response?.data || "Unknown error",
+// Withdrawal requests for review, optionally filtered by ?status=&userId=
+app.get(
+  "/admin-withdrawal-requests",
+  authenticateUser,
+  authorizer.require("withdrawal:view"),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: withdrawalRequests.list({
+        status: req.query.status,
+        userId: req.query.userId,
+      }),
     });
   }
-});
-
+);
 
-// Admin approve withdrawal endpoint - processes the actual withdrawal
-app.post("/admin-approve-withdrawal", async (req, res) => {
-  try {
-    // Extract and validate admin auth token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({
-        success: false,
-        error: "Authentication required",
-      });
+// Reconciliation reports: the latest by default, ?id= for an older one,
+// ?format=csv for its findings as CSV
+app.get(
+  "/admin-reconciliation",
+  authenticateUser,
+  authorizer.require("reconciliation:view"),
+  (req, res) => {
+    const report = req.query.id
+      ? reconciler.get(req.query.id)
+      : reconciler.latest();
+    if (!report) {
+      return sendError(res, 404, "No reconciliation report found");
     }
 
-    const token = authHeader.substring(7);
-
-    // Validate token with Supabase
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseKey = process.env.SUPABASE_ANON_KEY;
-
-    if (!supabaseUrl || !supabaseKey) {
-      console.error("❌ Supabase configuration missing");
-      return res.status(500).json({
-        success: false,
-        error: "Server configuration error",
-      });
+    if (req.query.format === "csv") {
+      return res
+        .type("text/csv")
+        .attachment(`reconciliation-${report.startedAt.slice(0, 10)}.csv`)
+        .send(reportToCsv(report));
     }
 
-    // Verify admin authentication
-    const userResponse = await fetch(`${supabaseUrl}/auth/v1/user`, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        apikey: supabaseKey,
-      },
+    res.json({
+      success: true,
+      data: report,
+      reports: reconciler.list().map(({ id, startedAt, summary }) => ({
+        id,
+        startedAt,
+        summary,
+      })),
     });
+  }
+);
 
-    if (!userResponse.ok) {
-      return res.status(401).json({
-        success: false,
-        error: "Invalid authentication token",
-      });
-    }
-
-    const userData = await userResponse.json();
-
-    // Check if user is admin
-    if (userData.role !== "admin") {
-      return res.status(403).json({
-        success: false,
-        error: "Admin access required",
+// Runs reconciliation now, optionally over { lookbackHours }
+app.post(
+  "/admin-reconciliation/run",
+  authenticateUser,
+  authorizer.require("reconciliation:run"),
+  validateBody("runReconciliation"),
+  async (req, res) => {
+    try {
+      const report = await reconciler.run({
+        lookbackHours: req.body.lookbackHours,
       });
+      res.json({ success: true, data: report });
+    } catch (error) {
+      req.log.error("Error in admin-reconciliation/run", { error });
+      sendCCPaymentError(res, error);
     }
+  }
+);
 
-    console.log(`🔐 Authenticated admin: ${userData.email}`);
-
-    console.log("Body:",req.body);
-    const { chain, address, amount, orderId, memo, withdrawalId } = req.body;
-
-    if (!chain || !address || !amount || !orderId || !withdrawalId) {
-      return res.status(400).json({
-        success: false,
-        error:
-          "Missing required parameters: chain, address, amount, orderId, withdrawalId",
+// Audit log entries, newest first, filtered by ?userId=&orderId=&action=
+// and a ?from=&to= date range
+app.get(
+  "/admin-audit-log",
+  authenticateUser,
+  authorizer.require("audit:view"),
+  (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+      res.json({
+        success: true,
+        head: auditLog.head(),
+        data: auditLog.query({
+          userId: req.query.userId,
+          orderId: req.query.orderId,
+          action: req.query.action,
+          from: req.query.from,
+          to: req.query.to,
+          limit,
+        }),
       });
+    } catch (error) {
+      req.log.error("Error in admin-audit-log", { error });
+      sendCCPaymentError(res, error);
     }
+  }
+);
 
-    console.log(
-      `💸 Admin approving withdrawal: withdrawalId=${withdrawalId}, address=${address}, amount=${amount}, chain=${chain}`
-    );
+// The signed-in user's own withdrawal requests and their history
+app.get("/withdrawal-requests", authenticateUser, (req, res) => {
+  res.json({
+    success: true,
+    data: withdrawalRequests.list({ userId: req.user.id }),
+  });
+});
 
-    const appId = process.env.CCPAYMENT_APP_ID;
-    const appSecret = process.env.CCPAYMENT_APP_SECRET;
-    let newChain;
-    if (chain === "TRC20") {
-      newChain = "TRX";
-    } else if (chain === "BEP20") {
-      newChain = "BSC";
-    } else if (chain === "ERC20") {
-      newChain = "ETH";
-    } else {
-      newChain = chain; // Use as-is for other chains
-    }
+// The caller's saved withdrawal addresses. Under an allowlist policy only
+// addresses added here (source "user") can be withdrawn to.
+app.get("/withdrawal-addresses", authenticateUser, (req, res) => {
+  res.json({
+    success: true,
+    data: addressBook.list(req.user.id),
+  });
+});
 
-    if (!appId || !appSecret) {
-      console.error("❌ CCPayment credentials not configured");
-      return res.status(500).json({
-        success: false,
-        error: "CCPayment credentials not configured",
-      });
+app.post(
+  "/withdrawal-addresses",
+  authenticateUser,
+  validateBody("saveWithdrawalAddress"),
+  (req, res) => {
+    const { chain, address, memo, label } = req.body;
+
+    const newChain = normalizeChain(chain);
+    const addressError = validateAddress(newChain, address, memo);
+    if (addressError) {
+      return sendAddressError(res, addressError);
     }
 
-    const payload = {
-      coinId: 1280, // Always USDT
+    const entry = addressBook.add({
+      userId: req.user.id,
       chain: newChain,
-      address: address,
-      amount: amount.toString(),
-      orderId: orderId,
-      merchantPayNetworkFee: false,
-    };
-
-    // Add optional parameters
-    if (memo) payload.memo = memo;
-
-    const args = JSON.stringify(payload);
-
-    // Create signature
-    const timestamp = Math.floor(Date.now() / 1000);
-    let signText = appId + timestamp;
-    if (args.length !== 0) {
-      signText += args;
-    }
-
-    const sign = crypto
-      .createHmac("sha256", appSecret)
-      .update(signText)
-      .digest("hex");
-
-    console.log(`📝 Making CCPayment API request for admin approval`);
+      address,
+      memo,
+      label,
+    });
+    req.log.info("Withdrawal address saved", {
+      userId: req.user.id,
+      chain: newChain,
+      address,
+    });
+    res.status(201).json({ success: true, data: entry });
+  }
+);
 
-    // Make the API request with retry logic
-    let response;
-    let retryCount = 3;
+app.delete(
+  "/withdrawal-addresses",
+  authenticateUser,
+  validateBody("removeWithdrawalAddress"),
+  (req, res) => {
+    const { chain, address } = req.body;
+
+    const removed = addressBook.remove(
+      req.user.id,
+      normalizeChain(chain),
+      address
+    );
+    if (!removed) {
+      return sendError(res, 404, "Address not found");
+    }
+    res.json({ success: true });
+  }
+);
 
-    while (retryCount > 0) {
-      try {
-        response = await axios.post(
-          "https://ccpayment.com/ccpayment/v2/applyAppWithdrawToNetwork",
-          payload,
-          {
-            headers: {
-              "Content-Type": "application/json",
-              Appid: appId,
-              Sign: sign,
-              Timestamp: timestamp.toString(),
-            },
-            timeout: 15000,
-          }
+// Get withdrawal record endpoint
+app.post(
+  "/get-withdrawal-record",
+  serviceAuth.require("withdrawals:read"),
+  validateBody("getWithdrawalRecord"),
+  async (req, res) => {
+    try {
+      const { recordId, orderId } = req.body;
+
+      req.log.info("Fetching withdrawal record", { recordId, orderId });
+
+      const ccpayment = getCCPaymentClient(req);
+
+      const payload = {};
+      if (recordId) payload.recordId = recordId;
+      if (orderId) payload.orderId = orderId;
+
+      const response = await ccpayment.getAppWithdrawRecord(payload);
+      if (response.data?.record) {
+        await persist(req.log, "withdrawal record", () =>
+          storage.saveRecord("withdrawal", response.data.record)
         );
-        break;
-      } catch (error) {
-        if (error.code === "ECONNABORTED" && retryCount > 1) {
-          console.log(
-            `⏰ Request timeout, retrying... (${retryCount - 1} attempts left)`
-          );
-          retryCount--;
-          await new Promise((resolve) => setTimeout(resolve, 200));
-          continue;
-        }
-        throw error;
       }
-    }
-
-    console.log(`✅ CCPayment admin approval response:`, response.data);
-
-    if (response.data.code !== 10000) {
-      return res.status(400).json({
-        success: false,
-        error: response.data.msg || "CCPayment withdrawal error",
-        ccpaymentResponse: response.data,
-      });
-    }
 
-    res.json({
-      success: true,
-      data: response.data.data,
-      recordId: response.data.data?.recordId,
-      ccpaymentResponse: response.data,
-      withdrawalId: withdrawalId,
-    });
-  } catch (error) {
-    console.error("❌ Error in admin-approve-withdrawal:", error);
-
-    if (error.code === "ECONNABORTED") {
-      return res.status(408).json({
-        success: false,
-        error: "Request timeout - withdrawal may still be processing",
-        withdrawalId: req.body.withdrawalId,
-        details: "Network timeout occurred",
+      res.json({
+        success: true,
+        data: response.data?.record || null,
+        ccpaymentResponse: response,
       });
+    } catch (error) {
+      req.log.error("Error in get-withdrawal-record", { error });
+      sendCCPaymentError(res, error);
     }
-
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      details: error.response?.data || "Unknown error",
-    });
   }
-});
+);
 
-// Admin reject withdrawal endpoint - no external processing needed
-app.post("/admin-reject-withdrawal", async (req, res) => {
-  try {
-    // Extract and validate admin auth token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({
-        success: false,
-        error: "Authentication required",
-      });
-    }
+// Reject webhooks older than this many seconds (also the replay window)
+const WEBHOOK_TOLERANCE_SECONDS = config.ccpayment.webhookToleranceSeconds;
 
-    const token = authHeader.substring(7);
+// CCPayment webhook receiver - deposit and withdrawal notifications
+app.post("/webhooks/ccpayment", async (req, res) => {
+  try {
+    // The account is found by Appid; an unknown Appid fails verification
+    const account = secrets.findByAppId(req.headers.appid) || accountFor();
+    const [appSecret, ...previousSecrets] = secrets.verificationSecrets(
+      account.name
+    );
 
-    // Validate token with Supabase
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseKey = process.env.SUPABASE_ANON_KEY;
+    verifyWebhookRequest(
+      { headers: req.headers, rawBody: req.rawBody || "" },
+      {
+        appId: account.appId,
+        appSecret,
+        previousSecrets,
+        toleranceSeconds: WEBHOOK_TOLERANCE_SECONDS,
+      }
+    );
 
-    if (!supabaseUrl || !supabaseKey) {
-      console.error("❌ Supabase configuration missing");
-      return res.status(500).json({
-        success: false,
-        error: "Server configuration error",
-      });
+    // Checked after the signature, so unsigned callers learn nothing
+    const problems = validate("ccpaymentWebhook", req.body);
+    if (problems.length > 0) {
+      throw new WebhookError(400, invalidBodyMessage(problems));
     }
 
-    // Verify admin authentication
-    const userResponse = await fetch(`${supabaseUrl}/auth/v1/user`, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        apikey: supabaseKey,
-      },
-    });
-
-    if (!userResponse.ok) {
-      return res.status(401).json({
-        success: false,
-        error: "Invalid authentication token",
-      });
-    }
+    const event = { ...parseWebhookEvent(req.body), account: account.name };
 
-    const userData = await userResponse.json();
+    req.log.info("CCPayment webhook received", { event });
 
-    // Check if user is admin
-    if (userData.email !== "admin@3beetex.com") {
-      return res.status(403).json({
-        success: false,
-        error: "Admin access required",
-      });
+    if (event.kind === "activation") {
+      return res.status(200).type("text/plain").send(WEBHOOK_ACK);
     }
 
-    console.log(`🔐 Admin rejecting withdrawal: ${userData.email}`);
+    // CCPayment redelivers until it sees the ACK, so anything already
+    // stored is acknowledged again without being processed or forwarded
+    const eventId = webhookEventId(event) || crypto.randomUUID();
+    if (await isKnownEvent(req.log, eventId)) {
+      req.log.info("Duplicate CCPayment webhook acknowledged", { eventId });
+      return res.status(200).type("text/plain").send(WEBHOOK_ACK);
+    }
 
-    const { withdrawalId, reason } = req.body;
+    if (event.kind === "deposit") {
+      depositAddresses.recordDeposit(event);
+    } else if (event.kind === "withdrawal") {
+      settleWithdrawal(event, req.log);
+    }
 
-    if (!withdrawalId) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required parameter: withdrawalId",
-      });
+    // Persist before acknowledging so a crash can't lose the event
+    if (webhookForwarder) {
+      webhookForwarder.enqueue(event, eventId);
+      req.log.info("Queued webhook for Supabase delivery", { eventId });
     }
 
-    console.log(
-      `❌ Admin rejecting withdrawal: withdrawalId=${withdrawalId}, reason=${
-        reason || "No reason provided"
-      }`
+    // Stored last: a crash before this means the redelivery is processed
+    await persist(req.log, "webhook event", () =>
+      storage.saveEvent(eventId, {
+        ...event,
+        receivedAt: new Date().toISOString(),
+      })
     );
 
-    // No external processing needed for rejection - just return success
-    // The edge function will handle database updates and refunds
-    res.json({
-      success: true,
-      withdrawalId: withdrawalId,
-      action: "rejected",
-      reason: reason || "Rejected by admin",
-    });
+    res.status(200).type("text/plain").send(WEBHOOK_ACK);
   } catch (error) {
-    console.error("❌ Error in admin-reject-withdrawal:", error);
+    if (error instanceof WebhookError) {
+      req.log.warn("Rejected CCPayment webhook", { reason: error.message });
+      return sendError(res, error.status, error.message);
+    }
 
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      details: "Failed to process rejection",
-    });
+    req.log.error("Error in ccpayment webhook", { error });
+    sendError(res, 500, "Webhook processing failed");
   }
 });
 
-// Get withdrawal record endpoint
-app.post("/get-withdrawal-record", async (req, res) => {
+// Whether an event with this id was already stored. If storage can't say,
+// the event is treated as new: forwarding twice beats losing it.
+async function isKnownEvent(log, eventId) {
   try {
-    const { recordId, orderId } = req.body;
+    return await storage.hasEvent(eventId);
+  } catch (error) {
+    log.error("Failed to check webhook event history", { eventId, error });
+    return false;
+  }
+}
+
+// Moves a submitted withdrawal request to confirmed or failed when
+// CCPayment reports the outcome
+function settleWithdrawal(event, log) {
+  const request =
+    event.orderId && withdrawalRequests.findByOrderId(event.orderId);
+  if (!request) return;
+
+  const to =
+    event.status === "Success"
+      ? "confirmed"
+      : event.status === "Failed"
+      ? "failed"
+      : null;
+  if (!to) return;
 
-    if (!recordId && !orderId) {
-      return res.status(400).json({
-        success: false,
-        error: "Either recordId or orderId is required",
+  try {
+    if (request.status === "approved") {
+      // The webhook beat our own record of the submission
+      withdrawalRequests.transition(request.id, "submitted", {
+        details: { recordId: event.recordId || null },
       });
     }
-
-    console.log(`🔍 Fetching withdrawal record for:`, { recordId, orderId });
-
-    const appId = process.env.CCPAYMENT_APP_ID;
-    const appSecret = process.env.CCPAYMENT_APP_SECRET;
-
-    if (!appId || !appSecret) {
-      console.error("❌ CCPayment credentials not configured");
-      return res.status(500).json({
-        success: false,
-        error: "CCPayment credentials not configured",
+    withdrawalRequests.transition(request.id, to, {
+      reason: `CCPayment webhook ${event.type}`,
+      details: { recordId: event.recordId || null },
+    });
+  } catch (error) {
+    if (!(error instanceof WithdrawalStateError)) throw error;
+    log.warn("Ignoring withdrawal webhook for request", {
+      withdrawalId: request.id,
+      status: request.status,
+      webhookStatus: event.status,
+    });
+  }
+}
+
+// List webhooks that exhausted their delivery attempts
+app.get(
+  "/admin-webhook-dead-letters",
+  authenticateUser,
+  authorizer.require("webhooks:view"),
+  (req, res) => {
+    if (!webhookForwarder) {
+      return sendError(res, 503, "Webhook forwarding not configured", {
+        code: "not_configured",
       });
     }
 
-    // Prepare the request payload
-    const payload = {};
-    if (recordId) payload.recordId = recordId;
-    if (orderId) payload.orderId = orderId;
-
-    const args = JSON.stringify(payload);
+    res.json({
+      success: true,
+      pending: webhookForwarder.pending().length,
+      deadLetters: webhookForwarder.deadLetters(),
+    });
+  }
+);
 
-    // Create signature
-    const timestamp = Math.floor(Date.now() / 1000);
-    let signText = appId + timestamp;
-    if (args.length !== 0) {
-      signText += args;
+// Requeue a dead-lettered webhook for delivery
+app.post(
+  "/admin-replay-webhook",
+  authenticateUser,
+  authorizer.require("webhooks:replay"),
+  validateBody("replayWebhook"),
+  (req, res) => {
+    if (!webhookForwarder) {
+      return sendError(res, 503, "Webhook forwarding not configured", {
+        code: "not_configured",
+      });
     }
 
-    const sign = crypto
-      .createHmac("sha256", appSecret)
-      .update(signText)
-      .digest("hex");
+    const { eventId } = req.body;
 
-    console.log(`📝 Making request to CCPayment withdrawal record API`);
+    const job = webhookForwarder.replay(eventId);
 
-    // Make the API request
-    const response = await axios.post(
-      "https://ccpayment.com/ccpayment/v2/getAppWithdrawRecord",
-      payload,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Appid: appId,
-          Sign: sign,
-          Timestamp: timestamp.toString(),
-        },
-      }
-    );
-
-    console.log(`✅ CCPayment withdrawal record response:`, response.data);
-
-    if (response.data.code !== 10000) {
-      return res.status(400).json({
-        success: false,
-        error: response.data.msg || "CCPayment API error",
-        ccpaymentResponse: response.data,
-      });
+    if (!job) {
+      return sendError(res, 404, "Dead letter not found");
     }
 
+    req.log.info("Admin replayed webhook", { userId: req.user.id, eventId });
+
     res.json({
       success: true,
-      data: response.data.data?.record || null,
-      ccpaymentResponse: response.data,
-    });
-  } catch (error) {
-    console.error("❌ Error in get-withdrawal-record:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      details: error.response?.data || "Unknown error",
+      eventId: job.id,
+      status: job.status,
     });
   }
+);
+
+// Callers allowed to have /ccpayment/v2/* requests signed by the proxy
+const selfSigningGuard = createSelfSigningGuard(
+  config.ccpayment.signingClients,
+  (req) => {
+    const { appId, appSecret } = accountFor(req);
+    return { appId, appSecret };
+  },
+  { defaultAccount: config.ccpayment.defaultAccount }
+);
+
+// Redirects aren't followed: follow-redirects swallows the abort on
+// proxyTimeout, so a hung upstream left the caller waiting forever
+const PROXY_TIMEOUT_MS = config.ccpayment.proxyTimeoutMs;
+
+// Upstream metrics for the passthrough proxies, by UPSTREAMS name. Only
+// KNOWN_ENDPOINTS become labels; anything else is counted as "other".
+function observeProxy(req, name, outcome, code) {
+  const breaker = breakers[name];
+  if (typeof outcome === "number" && outcome < 500) breaker.success();
+  else breaker.failure();
+
+  const endpoint = /\/v2\/([A-Za-z]+)$/.exec(req.path)?.[1];
+  observeUpstream({
+    upstream: UPSTREAM_HOSTS[name],
+    endpoint:
+      name !== "ccpayment"
+        ? "passthrough"
+        : KNOWN_ENDPOINTS.has(endpoint)
+        ? endpoint
+        : "other",
+    outcome,
+    durationMs: Date.now() - req.proxyStartedAt,
+    code,
+  });
+}
+
+// proxyTimeout aborts the upstream request, which surfaces as a plain
+// ECONNRESET; the flag set on the request's timeout event tells them apart
+function proxyErrorOutcome(err, req) {
+  return req.proxyTimedOut ||
+    err.code === "ETIMEDOUT" ||
+    err.code === "ECONNABORTED"
+    ? "timeout"
+    : "network";
+}
+
+function watchProxyTimeout(proxyReq, req) {
+  proxyReq.on("timeout", () => {
+    req.proxyTimedOut = true;
+  });
+}
+
+// A passthrough request that didn't get an upstream answer: 504 if it
+// timed out, 502 otherwise
+function sendProxyError(err, req, res, name, message) {
+  const outcome = proxyErrorOutcome(err, req);
+  observeProxy(req, name, outcome);
+  req.log.error("Proxy error", {
+    upstream: UPSTREAM_HOSTS[name],
+    error: err,
+  });
+  if (res.headersSent) return res.end();
+
+  sendError(res, outcome === "timeout" ? 504 : 502, message, {
+    details: { upstream: UPSTREAM_HOSTS[name], reason: err.code || null },
+  });
+}
+
+// http-proxy-middleware writes "[HPM] ..." lines to the console unless
+// given a log provider; route them through our logger so LOG_LEVEL and
+// the JSON format apply
+const hpmLog = logger.child({ component: "http-proxy-middleware" });
+const hpmLogProvider = () => ({
+  log: (message) => hpmLog.info(message),
+  debug: (message) => hpmLog.debug(message),
+  info: (message) => hpmLog.info(message),
+  warn: (message) => hpmLog.warn(message),
+  error: (message) => hpmLog.error(message),
 });
 
 // Proxy configuration for CCPayment API
 const ccpaymentProxy = createProxyMiddleware({
-  target: "https://ccpayment.com",
+  target: UPSTREAMS.ccpayment,
+  agent: agentFor(UPSTREAMS.ccpayment),
+  proxyTimeout: PROXY_TIMEOUT_MS,
+  logLevel: "debug",
+  logProvider: hpmLogProvider,
   changeOrigin: true,
   secure: true,
-  followRedirects: true,
   pathRewrite: {
     // Don't remove /ccpayment prefix - CCPayment API expects it
   },
   onProxyReq: (proxyReq, req, res) => {
-    console.log(
-      `Proxying ${req.method} request to: https://ccpayment.com${req.path}`
-    );
-    console.log("Request headers:", JSON.stringify(req.headers, null, 2));
+    req.proxyStartedAt = Date.now();
+    watchProxyTimeout(proxyReq, req);
+    req.log.info("Proxying request", {
+      upstream: UPSTREAM_HOSTS.ccpayment,
+      method: req.method,
+      path: req.path,
+    });
+    req.log.debug("Proxy request headers", { headers: req.headers });
 
     // CRITICAL: Remove all forwarding headers so CCPayment only sees our proxy IP
     proxyReq.removeHeader("x-forwarded-for");
@@ -909,84 +1565,83 @@ const ccpaymentProxy = createProxyMiddleware({
     proxyReq.removeHeader("true-client-ip"); // Cloudflare header
     proxyReq.removeHeader("x-client-ip");
     proxyReq.removeHeader("x-cluster-client-ip");
-
-    console.log("🚫 Stripped all forwarding headers to mask original IP");
-    console.log(
-      "🎭 CCPayment will now see our proxy IP instead of Supabase IP"
-    );
-
-    // Log our current IP when making the request
-    axios
-      .get("https://api.ipify.org?format=json")
-      .then((response) => {
-        console.log(
-          "🔍 Our current outbound IP when making CCPayment request:",
-          response.data.ip
-        );
-      })
-      .catch((error) => {
-        console.log("Could not determine current IP:", error.message);
+    stripServiceAuthHeaders(proxyReq);
+    proxyReq.removeHeader("x-ccpayment-account");
+    proxyReq.setHeader("X-Request-Id", req.id);
+
+    // express.json() has already consumed the body stream, so write it back
+    if (req.selfSign) {
+      applySelfSignature(proxyReq, req);
+      req.log.info("Self-signed proxy request", {
+        endpoint: req.selfSign.endpoint,
+        client: req.selfSign.client,
       });
+    } else if (req.rawBody) {
+      // Forward the caller's exact bytes so their signature still matches
+      proxyReq.write(req.rawBody);
+    }
   },
   onProxyRes: (proxyRes, req, res) => {
-    console.log(`Received response from CCPayment: ${proxyRes.statusCode}`);
-    console.log("Response headers:", JSON.stringify(proxyRes.headers, null, 2));
+    req.log.debug("Proxy response headers", { headers: proxyRes.headers });
 
-    // Capture and log the response body
+    // Capture the response body to log CCPayment's business code
     let body = "";
     proxyRes.on("data", (chunk) => {
       body += chunk;
     });
     proxyRes.on("end", () => {
-      console.log("CCPayment Response Body:", body);
-      console.log("Response Body Length:", body.length);
-
-      // Try to parse and log structured JSON
       try {
         const jsonResponse = JSON.parse(body);
-        console.log(
-          "Parsed CCPayment Response:",
-          JSON.stringify(jsonResponse, null, 2)
-        );
+        observeProxy(req, "ccpayment", proxyRes.statusCode, jsonResponse.code);
+        req.log.debug("Proxy response body", { response: jsonResponse });
+
+        const fields = {
+          upstream: UPSTREAM_HOSTS.ccpayment,
+          status: proxyRes.statusCode,
+          ccpaymentCode: jsonResponse.code,
+        };
         if (jsonResponse.code !== 10000) {
-          console.error(
-            "⚠️  CCPayment returned error code:",
-            jsonResponse.code
-          );
-          console.error("⚠️  CCPayment error message:", jsonResponse.msg);
+          req.log.warn("CCPayment returned error code", {
+            ...fields,
+            ccpaymentMsg: jsonResponse.msg,
+          });
         } else {
-          console.log("✅ CCPayment returned success code:", jsonResponse.code);
+          req.log.info("CCPayment returned success code", fields);
         }
       } catch (parseError) {
-        console.log("Could not parse response as JSON:", parseError.message);
+        observeProxy(req, "ccpayment", proxyRes.statusCode);
+        req.log.warn("Could not parse CCPayment response as JSON", {
+          status: proxyRes.statusCode,
+          bodyLength: body.length,
+        });
       }
     });
   },
   onError: (err, req, res) => {
-    console.error("Proxy error:", err.message);
-    res.status(500).json({
-      error: "Proxy error",
-      message: err.message,
-      timestamp: new Date().toISOString(),
-    });
+    sendProxyError(err, req, res, "ccpayment", "Proxy error");
   },
 });
 
 // Proxy configuration for CCPayment API domain (api.ccpayment.com)
 const ccpaymentApiProxy = createProxyMiddleware({
-  target: "https://api.ccpayment.com",
+  target: UPSTREAMS.api,
+  agent: agentFor(UPSTREAMS.api),
+  proxyTimeout: PROXY_TIMEOUT_MS,
+  logLevel: "debug",
+  logProvider: hpmLogProvider,
   changeOrigin: true,
   secure: true,
-  followRedirects: true,
   pathRewrite: {
     "^/api": "", // Remove /api prefix when forwarding
   },
   onProxyReq: (proxyReq, req, res) => {
-    console.log(
-      `Proxying ${
-        req.method
-      } request to: https://api.ccpayment.com${req.path.replace("/api", "")}`
-    );
+    req.proxyStartedAt = Date.now();
+    watchProxyTimeout(proxyReq, req);
+    req.log.info("Proxying request", {
+      upstream: UPSTREAM_HOSTS.api,
+      method: req.method,
+      path: req.path,
+    });
 
     // CRITICAL: Remove all forwarding headers so CCPayment only sees our proxy IP
     proxyReq.removeHeader("x-forwarded-for");
@@ -999,40 +1654,47 @@ const ccpaymentApiProxy = createProxyMiddleware({
     proxyReq.removeHeader("true-client-ip");
     proxyReq.removeHeader("x-client-ip");
     proxyReq.removeHeader("x-cluster-client-ip");
+    stripServiceAuthHeaders(proxyReq);
+    proxyReq.removeHeader("x-ccpayment-account");
+    proxyReq.setHeader("X-Request-Id", req.id);
 
-    console.log("🚫 Stripped forwarding headers for API proxy");
+    // express.json() has already consumed the body stream, so write it back
+    if (req.rawBody) {
+      proxyReq.write(req.rawBody);
+    }
   },
   onProxyRes: (proxyRes, req, res) => {
-    console.log(`Received response from CCPayment API: ${proxyRes.statusCode}`);
+    observeProxy(req, "api", proxyRes.statusCode);
+    req.log.info("Proxy response", {
+      upstream: UPSTREAM_HOSTS.api,
+      status: proxyRes.statusCode,
+    });
   },
   onError: (err, req, res) => {
-    console.error("API Proxy error:", err.message);
-    res.status(500).json({
-      error: "API Proxy error",
-      message: err.message,
-      timestamp: new Date().toISOString(),
-    });
+    sendProxyError(err, req, res, "api", "API Proxy error");
   },
 });
 
 // Proxy configuration for CCPayment Admin API
 const ccpaymentAdminProxy = createProxyMiddleware({
-  target: "https://admin.ccpayment.com",
+  target: UPSTREAMS.admin,
+  agent: agentFor(UPSTREAMS.admin),
+  proxyTimeout: PROXY_TIMEOUT_MS,
+  logLevel: "debug",
+  logProvider: hpmLogProvider,
   changeOrigin: true,
   secure: true,
-  followRedirects: true,
   pathRewrite: {
     "^/admin": "", // Remove /admin prefix when forwarding
   },
   onProxyReq: (proxyReq, req, res) => {
-    console.log(
-      `Proxying ${
-        req.method
-      } request to: https://admin.ccpayment.com${req.path.replace(
-        "/admin",
-        ""
-      )}`
-    );
+    req.proxyStartedAt = Date.now();
+    watchProxyTimeout(proxyReq, req);
+    req.log.info("Proxying request", {
+      upstream: UPSTREAM_HOSTS.admin,
+      method: req.method,
+      path: req.path,
+    });
 
     // CRITICAL: Remove all forwarding headers so CCPayment only sees our proxy IP
     proxyReq.removeHeader("x-forwarded-for");
@@ -1045,58 +1707,162 @@ const ccpaymentAdminProxy = createProxyMiddleware({
     proxyReq.removeHeader("true-client-ip");
     proxyReq.removeHeader("x-client-ip");
     proxyReq.removeHeader("x-cluster-client-ip");
+    stripServiceAuthHeaders(proxyReq);
+    proxyReq.removeHeader("x-ccpayment-account");
+    proxyReq.setHeader("X-Request-Id", req.id);
 
-    console.log("🚫 Stripped forwarding headers for Admin proxy");
+    // express.json() has already consumed the body stream, so write it back
+    if (req.rawBody) {
+      proxyReq.write(req.rawBody);
+    }
   },
   onProxyRes: (proxyRes, req, res) => {
-    console.log(
-      `Received response from CCPayment Admin: ${proxyRes.statusCode}`
-    );
+    observeProxy(req, "admin", proxyRes.statusCode);
+    req.log.info("Proxy response", {
+      upstream: UPSTREAM_HOSTS.admin,
+      status: proxyRes.statusCode,
+    });
   },
   onError: (err, req, res) => {
-    console.error("Admin Proxy error:", err.message);
-    res.status(500).json({
-      error: "Admin Proxy error",
-      message: err.message,
-      timestamp: new Date().toISOString(),
-    });
+    sendProxyError(err, req, res, "admin", "Admin Proxy error");
   },
 });
 
 // Apply proxy middleware to routes
-app.use("/ccpayment", ccpaymentProxy);
-app.use("/api", ccpaymentApiProxy);
-app.use("/admin", ccpaymentAdminProxy);
+app.use(
+  "/ccpayment",
+  labelRoute("/ccpayment"),
+  selfSigningGuard,
+  serviceAuth.require("proxy:ccpayment"),
+  rateLimiter.limit("proxy"),
+  breakers.ccpayment.guard(),
+  ccpaymentProxy
+);
+app.use(
+  "/api",
+  labelRoute("/api"),
+  serviceAuth.require("proxy:api"),
+  rateLimiter.limit("proxy"),
+  breakers.api.guard(),
+  ccpaymentApiProxy
+);
+app.use(
+  "/admin",
+  labelRoute("/admin"),
+  serviceAuth.require("proxy:admin"),
+  rateLimiter.limit("proxy"),
+  breakers.admin.guard(),
+  ccpaymentAdminProxy
+);
 
 // Catch-all for debugging (must be after all specific routes)
 app.use("*", (req, res) => {
-  console.log(`Unhandled route: ${req.method} ${req.originalUrl}`);
-  res.status(404).json({
-    error: "Route not found",
-    path: req.originalUrl,
+  req.log.warn("Unhandled route", {
     method: req.method,
-    message: "Use /ccpayment/* to proxy to CCPayment API",
+    path: req.originalUrl,
+  });
+  sendError(res, 404, "Route not found", {
+    code: "route_not_found",
+    details: {
+      method: req.method,
+      path: req.originalUrl,
+      hint: "Use /ccpayment/* to proxy to CCPayment API",
+    },
   });
 });
 
-const PORT = process.env.PORT || 3000;
+// Errors passed to next(), e.g. a body express.json() couldn't parse
+app.use((error, req, res, next) => {
+  if (error.type === "entity.parse.failed") {
+    return sendError(res, 400, "Request body is not valid JSON", {
+      code: "invalid_json",
+    });
+  }
+  if (error.type === "entity.too.large") {
+    return sendError(res, 413, "Request body is too large");
+  }
 
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`🚀 CCPayment Proxy Server running on port ${PORT}`);
-  console.log(`📡 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔄 Proxy endpoint: http://localhost:${PORT}/ccpayment/*`);
-  console.log(
-    `📝 Example: POST to /ccpayment/v2/getCoinList forwards to https://ccpayment.com/ccpayment/v2/getCoinList`
-  );
+  req.log.error("Unhandled error", { error });
+  sendError(res, error.status || 500, "Unexpected error occurred");
 });
 
-// Graceful shutdown
-process.on("SIGTERM", () => {
-  console.log("SIGTERM received, shutting down gracefully");
-  process.exit(0);
-});
+// Applies pending migrations and loads every document store; resolves with
+// the IDs of the migrations it applied. The app must not serve requests
+// before this has finished.
+let readyPromise = null;
+function ready() {
+  if (!readyPromise) {
+    readyPromise = storage.migrate().then(async (applied) => {
+      await Promise.all(documentStores.map((store) => store.load()));
+      return applied;
+    });
+  }
+  return readyPromise;
+}
 
-process.on("SIGINT", () => {
-  console.log("SIGINT received, shutting down gracefully");
-  process.exit(0);
-});
+// Listens and starts the background jobs. The app itself is exported
+// without listening, so tests can drive it directly after ready().
+async function start(port = config.port) {
+  // Without its schema and stored state the proxy can't serve, so stop here
+  try {
+    const applied = await ready();
+    logger.info("Storage ready", { driver: storage.driver, applied });
+  } catch (error) {
+    logger.error("Storage failed to load", { error });
+    process.exit(1);
+  }
+
+  return app.listen(port, "0.0.0.0", () => {
+    logger.info("CCPayment Proxy Server running", {
+      port,
+      health: `http://localhost:${port}/health`,
+      proxy: `http://localhost:${port}/ccpayment/*`,
+      accounts: secrets.names(),
+      secretProvider: secrets.provider,
+    });
+
+    secrets.start();
+    coinRegistry.start();
+    ipMonitor.start();
+    reconciler.start();
+
+    if (!serviceAuth.enabled()) {
+      logger.warn(
+        "SERVICE_AUTH_DISABLED is set - wallet, record and proxy routes are unauthenticated"
+      );
+    } else if (serviceAuth.clientCount() === 0) {
+      logger.warn(
+        "No SERVICE_CLIENTS configured - wallet, record and proxy routes refuse every caller"
+      );
+    }
+
+    if (webhookForwarder) {
+      webhookForwarder.start();
+      logger.info("Forwarding webhooks to Supabase", {
+        url: config.supabase.webhookFunctionUrl,
+      });
+    }
+  });
+}
+
+if (require.main === module) {
+  start();
+
+  // Graceful shutdown, once queued state writes have reached storage
+  function shutdown(signal) {
+    logger.info(`${signal} received, shutting down gracefully`);
+    Promise.allSettled(documentStores.map((store) => store.flush())).then(() =>
+      process.exit(0)
+    );
+  }
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+}
+
+module.exports = {
+  app,
+  config,
+  secrets,
+  ready,
+  start,
+};
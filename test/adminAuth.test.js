@@ -0,0 +1,216 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startProxy } = require("./helpers");
+
+const ADMIN_ROUTES = ["/admin-approve-withdrawal", "/admin-reject-withdrawal"];
+
+let proxy;
+
+const DUAL_APPROVAL_THRESHOLD = 100;
+
+test.before(async () => {
+  proxy = await startProxy({
+    SERVICE_AUTH_DISABLED: "false",
+    ADMIN_POLICY: JSON.stringify({
+      dualApprovalThreshold: { USDT: DUAL_APPROVAL_THRESHOLD, "*": 0 },
+    }),
+  });
+});
+
+test.after(() => proxy.close());
+
+async function createWithdrawal(orderId, amount = 5, as = "alice") {
+  const { json } = await proxy.request("POST", "/create-withdrawal", {
+    body: {
+      chain: "TRC20",
+      address: "TQn9Y2khEsLJW1ChVWFMSMeRDow5KcbLSE",
+      amount,
+      orderId,
+    },
+    as,
+  });
+  return json.withdrawalId;
+}
+
+for (const route of ADMIN_ROUTES) {
+  test(`${route} without a token is a 401`, async () => {
+    const { status, json } = await proxy.request("POST", route, {
+      body: { withdrawalId: "w1" },
+    });
+
+    assert.equal(status, 401);
+    assert.equal(json.error, "Authentication required");
+  });
+
+  test(`${route} with a token Supabase rejects is a 401`, async () => {
+    const { status } = await proxy.request("POST", route, {
+      body: { withdrawalId: "w1" },
+      token: "not-a-jwt",
+    });
+
+    assert.equal(status, 401);
+  });
+
+  test(`${route} with an unknown user's token is a 401`, async () => {
+    const { status } = await proxy.request("POST", route, {
+      body: { withdrawalId: "w1" },
+      as: "mallory",
+    });
+
+    assert.equal(status, 401);
+  });
+
+  test(`${route} as a user without the admin role is a 403`, async () => {
+    const withdrawalId = await createWithdrawal(`auth-${route.slice(1)}`);
+    proxy.mock.reset();
+
+    const { status, json } = await proxy.request("POST", route, {
+      body: { withdrawalId },
+      as: "bob",
+    });
+
+    assert.equal(status, 403);
+    assert.equal(json.success, false);
+    assert.equal(proxy.mock.calls().length, 0);
+  });
+}
+
+test("service routes refuse callers when no service clients are configured", async () => {
+  proxy.mock.reset();
+  for (const [route, body] of [
+    ["/generate-wallet", { userId: "u1", chain: "TRC20", currency: "USDT" }],
+    ["/get-deposit-record", { recordId: "r1" }],
+    ["/api/anything", {}],
+  ]) {
+    const { status, json } = await proxy.request("POST", route, {
+      body,
+      headers: { "X-API-Key": "guess" },
+    });
+    assert.equal(status, 401, route);
+    assert.equal(json.code, "unauthorized");
+  }
+  assert.equal(proxy.mock.calls().length, 0);
+});
+
+test("an admin can approve a withdrawal", async () => {
+  const withdrawalId = await createWithdrawal("auth-approve");
+
+  const { status, json } = await proxy.request(
+    "POST",
+    "/admin-approve-withdrawal",
+    { body: { withdrawalId }, as: "admin" }
+  );
+
+  assert.equal(status, 200);
+  assert.equal(json.status, "submitted");
+  assert.equal(proxy.mock.calls("applyAppWithdrawToNetwork").length, 1);
+});
+
+test("an admin can reject a withdrawal", async () => {
+  const withdrawalId = await createWithdrawal("auth-reject");
+
+  const { status, json } = await proxy.request(
+    "POST",
+    "/admin-reject-withdrawal",
+    { body: { withdrawalId, reason: "test" }, as: "admin" }
+  );
+
+  assert.equal(status, 200);
+  assert.equal(json.status, "rejected");
+
+  const again = await proxy.request("POST", "/admin-approve-withdrawal", {
+    body: { withdrawalId },
+    as: "admin",
+  });
+  assert.equal(again.status, 409);
+});
+
+test("both sign-offs on a large withdrawal are audited", async () => {
+  const orderId = "auth-dual";
+  const withdrawalId = await createWithdrawal(
+    orderId,
+    DUAL_APPROVAL_THRESHOLD * 2
+  );
+  const approve = (as) =>
+    proxy.request("POST", "/admin-approve-withdrawal", {
+      body: { withdrawalId },
+      as,
+    });
+  const signOffs = async () => {
+    const { json } = await proxy.request(
+      "GET",
+      `/admin-audit-log?orderId=${orderId}&action=withdrawal.approval_recorded`,
+      { as: "admin" }
+    );
+    return json.data;
+  };
+
+  const first = await approve("admin");
+  assert.equal(first.status, 202);
+  assert.equal(first.json.status, "awaiting_second_approval");
+  const [firstEntry] = await signOffs();
+  assert.equal(firstEntry.actor.id, "user-admin");
+  assert.equal(firstEntry.reason, "Approval 1 of 2");
+
+  const second = await approve("admin2");
+  assert.equal(second.status, 200);
+  assert.equal(second.json.status, "submitted");
+  const entries = await signOffs();
+  assert.deepEqual(
+    entries.map((entry) => [entry.actor.id, entry.reason]),
+    [
+      ["user-admin2", "Approval 2 of 2"],
+      ["user-admin", "Approval 1 of 2"],
+    ]
+  );
+});
+
+test("admins can't approve their own withdrawals", async () => {
+  const withdrawalId = await createWithdrawal("auth-self", 5, "admin");
+
+  const { status, json } = await proxy.request(
+    "POST",
+    "/admin-approve-withdrawal",
+    { body: { withdrawalId }, as: "admin" }
+  );
+
+  assert.equal(status, 403);
+  assert.equal(json.code, "self_approval");
+});
+
+test("the dual-approval threshold is per currency", async () => {
+  const { json: created } = await proxy.request("POST", "/create-withdrawal", {
+    body: {
+      chain: "ETH",
+      address: "0x52908400098527886e0f7030069857d2e4169ee7",
+      amount: 5,
+      currency: "ETH",
+      orderId: "auth-dual-eth",
+    },
+    as: "alice",
+  });
+
+  // 5 is under the USDT threshold but over the "*" one
+  const { status, json } = await proxy.request(
+    "POST",
+    "/admin-approve-withdrawal",
+    { body: { withdrawalId: created.withdrawalId }, as: "admin" }
+  );
+  assert.equal(status, 202);
+  assert.equal(json.status, "awaiting_second_approval");
+});
+
+test("users only see their own withdrawal requests", async () => {
+  await createWithdrawal("auth-own");
+
+  const alice = await proxy.request("GET", "/withdrawal-requests", {
+    as: "alice",
+  });
+  const bob = await proxy.request("GET", "/withdrawal-requests", { as: "bob" });
+
+  assert.ok(alice.json.data.length > 0);
+  assert.ok(
+    alice.json.data.every((request) => request.userId === "user-alice")
+  );
+  assert.deepEqual(bob.json.data, []);
+});
@@ -0,0 +1,166 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { verifyAuditLog } = require("../lib/auditLog");
+const { startProxy } = require("./helpers");
+
+const VERIFY_SCRIPT = path.join(
+  __dirname,
+  "..",
+  "scripts",
+  "verify-audit-log.js"
+);
+
+let proxy;
+let head;
+
+test.before(async () => {
+  proxy = await startProxy();
+
+  for (const userId of ["audit-1", "audit-2", "audit-3"]) {
+    await proxy.request("POST", "/generate-wallet", {
+      body: { userId, chain: "TRC20", currency: "USDT" },
+    });
+  }
+  const { json } = await proxy.request("GET", "/admin-audit-log", {
+    as: "admin",
+  });
+  head = json.head;
+});
+
+test.after(() => proxy.close());
+
+function auditLog(query = "") {
+  return proxy.request("GET", `/admin-audit-log${query}`, { as: "admin" });
+}
+
+test("the audit log filters by user, action, date range and limit", async () => {
+  const all = await auditLog();
+  assert.deepEqual(
+    all.json.data.map((entry) => entry.userId),
+    ["audit-3", "audit-2", "audit-1"]
+  );
+
+  const byUser = await auditLog("?userId=audit-2");
+  assert.deepEqual(
+    byUser.json.data.map((entry) => entry.seq),
+    [2]
+  );
+  assert.deepEqual(
+    (await auditLog("?action=withdrawal.approved")).json.data,
+    []
+  );
+
+  // A date-only "to" covers the whole day
+  const day = all.json.data[2].at.slice(0, 10);
+  const inRange = await auditLog(`?from=${day}&to=${day}`);
+  assert.equal(inRange.json.data.length, 3);
+  const future = await auditLog("?from=2999-01-01");
+  assert.deepEqual(future.json.data, []);
+
+  const limited = await auditLog("?limit=1");
+  assert.deepEqual(
+    limited.json.data.map((entry) => entry.seq),
+    [3]
+  );
+
+  const invalid = await auditLog("?from=yesterday");
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.json.error, "from and to must be ISO dates");
+});
+
+// A copy of the live log with its lines passed through edit
+function tamperedCopy(name, edit) {
+  const lines = fs
+    .readFileSync(proxy.config.auditLogFile, "utf8")
+    .split("\n")
+    .filter(Boolean);
+  const file = path.join(path.dirname(proxy.config.auditLogFile), name);
+  fs.writeFileSync(file, edit(lines).join("\n") + "\n");
+  return file;
+}
+
+function editEntry(line, change) {
+  return JSON.stringify({ ...JSON.parse(line), ...change });
+}
+
+test("the log the proxy wrote verifies up to the head it reports", () => {
+  const result = verifyAuditLog(proxy.config.auditLogFile, {
+    knownHead: head.hash,
+  });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.entries, 3);
+  assert.equal(head.seq, 3);
+  assert.equal(result.head, head.hash);
+});
+
+test("an edited entry breaks the chain at that line", () => {
+  const file = tamperedCopy("edited.jsonl", (lines) => [
+    lines[0],
+    editEntry(lines[1], { userId: "someone-else" }),
+    lines[2],
+  ]);
+
+  assert.deepEqual(verifyAuditLog(file), {
+    ok: false,
+    entries: 1,
+    line: 2,
+    seq: 2,
+    reason: "hash does not match the entry's contents",
+  });
+});
+
+test("an entry rehashed after editing still breaks the next link", () => {
+  const file = tamperedCopy("rehashed.jsonl", (lines) => {
+    const { hash, ...body } = JSON.parse(lines[1]);
+    const forged = { ...body, userId: "someone-else" };
+    forged.hash = crypto
+      .createHash("sha256")
+      .update(`${forged.prevHash}\n${JSON.stringify(forged)}`)
+      .digest("hex");
+    return [lines[0], JSON.stringify(forged), lines[2]];
+  });
+
+  const result = verifyAuditLog(file);
+  assert.equal(result.ok, false);
+  assert.equal(result.line, 3);
+  assert.equal(result.reason, "prevHash does not match the previous entry");
+});
+
+test("removed entries are caught, at the end only with a known head", () => {
+  const removed = tamperedCopy("removed.jsonl", (lines) => [
+    lines[0],
+    lines[2],
+  ]);
+  assert.equal(verifyAuditLog(removed).reason, "expected seq 2, found 3");
+
+  const truncated = tamperedCopy("truncated.jsonl", (lines) =>
+    lines.slice(0, 2)
+  );
+  assert.equal(verifyAuditLog(truncated).ok, true);
+  const result = verifyAuditLog(truncated, { knownHead: head.hash });
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, `known head ${head.hash} is missing`);
+});
+
+test("the audit:verify script exits 1 on a tampered log", () => {
+  const intact = spawnSync(process.execPath, [
+    VERIFY_SCRIPT,
+    proxy.config.auditLogFile,
+    "--head",
+    head.hash,
+  ]);
+  assert.equal(intact.status, 0);
+
+  const file = tamperedCopy("script.jsonl", (lines) => [
+    editEntry(lines[0], { action: "withdrawal.approved" }),
+    ...lines.slice(1),
+  ]);
+  const tampered = spawnSync(process.execPath, [VERIFY_SCRIPT, file]);
+  assert.equal(tampered.status, 1);
+  assert.match(tampered.stderr.toString(), /failed verification at line 1/);
+});
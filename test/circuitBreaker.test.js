@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startProxy } = require("./helpers");
+
+const RESET_MS = 1000;
+
+let proxy;
+
+test.before(async () => {
+  proxy = await startProxy({
+    CIRCUIT_BREAKER_THRESHOLD: "2",
+    CIRCUIT_BREAKER_RESET_SECONDS: String(RESET_MS / 1000),
+    HEALTH_READY_CACHE_SECONDS: "0",
+  });
+});
+
+test.after(() => proxy.close());
+
+function getDepositRecord() {
+  return proxy.request("POST", "/get-deposit-record", {
+    body: { recordId: "missing" },
+  });
+}
+
+function waitForReset() {
+  return new Promise((resolve) => setTimeout(resolve, RESET_MS + 100));
+}
+
+test("the breaker opens after repeated failures and fails fast", async () => {
+  proxy.mock.script({ endpoint: "getAppDepositRecord", status: 500, times: 2 });
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { status } = await getDepositRecord();
+    assert.equal(status, 500);
+  }
+
+  const signed = await getDepositRecord();
+  assert.equal(signed.status, 503);
+  assert.equal(signed.json.code, "circuit_open");
+
+  // The passthrough shares the breaker for the same host
+  const passthrough = await proxy.request("POST", "/ccpayment/v2/getCoinList", {
+    body: {},
+  });
+  assert.equal(passthrough.status, 503);
+  assert.equal(passthrough.json.code, "circuit_open");
+  assert.equal(proxy.mock.calls().length, 2);
+
+  const ready = await proxy.request("GET", "/health/ready");
+  assert.equal(ready.status, 503);
+  assert.match(ready.json.checks.ccpayment.error, /circuit open/);
+});
+
+test("half-open lets one trial through and reopens if it fails", async () => {
+  await waitForReset();
+  proxy.mock.reset();
+
+  proxy.mock.script({
+    endpoint: "getAppDepositRecord",
+    status: 500,
+    delayMs: 200,
+    times: 1,
+  });
+  const [trial, refused] = await Promise.all([
+    getDepositRecord(),
+    // Sent while the trial is still waiting for CCPayment
+    new Promise((resolve) => setTimeout(resolve, 50)).then(getDepositRecord),
+  ]);
+  assert.equal(trial.status, 500);
+  assert.equal(refused.status, 503);
+  assert.equal(proxy.mock.calls().length, 1);
+
+  // A failed trial opens the breaker again straight away
+  const reopened = await getDepositRecord();
+  assert.equal(reopened.status, 503);
+  assert.equal(reopened.json.code, "circuit_open");
+});
+
+test("a successful trial closes the breaker", async () => {
+  await waitForReset();
+  proxy.mock.reset();
+
+  // A CCPayment business error is still an answer, so it counts as a success
+  const trial = await getDepositRecord();
+  assert.equal(trial.status, 400);
+  assert.equal(trial.json.details.ccpaymentCode, 12002);
+
+  await proxy.request("POST", "/ccpayment/v2/getCoinList", { body: {} });
+  assert.equal(proxy.mock.calls("getCoinList").length, 1);
+
+  const ready = await proxy.request("GET", "/health/ready");
+  assert.equal(ready.json.checks.ccpayment.status, "ok");
+  assert.equal(ready.json.checks.circuitBreakers.status, "ok");
+});
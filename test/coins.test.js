@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startProxy } = require("./helpers");
+
+let proxy;
+
+test.before(async () => {
+  proxy = await startProxy();
+});
+
+test.after(() => proxy.close());
+
+test.beforeEach(() => proxy.mock.reset());
+
+test("/coins is a 503 until the coin list has loaded once", async () => {
+  proxy.mock.script({ endpoint: "getCoinList", status: 500, times: 1 });
+
+  const { status, json } = await proxy.request("GET", "/coins");
+
+  assert.equal(status, 503);
+  assert.match(json.error, /^Coin list unavailable/);
+});
+
+test("/coins lists each coin with the chains it can use", async () => {
+  const { status, json } = await proxy.request("GET", "/coins");
+
+  assert.equal(status, 200);
+  assert.ok(Date.parse(json.updatedAt));
+  const usdt = json.data.find((coin) => coin.symbol === "USDT");
+  assert.equal(usdt.coinId, 1280);
+  const tron = usdt.chains.find((chain) => chain.chain === "TRX");
+  assert.equal(tron.canDeposit, true);
+  assert.equal(tron.canWithdraw, true);
+});
+
+test("/coins keeps serving the loaded list while CCPayment is down", async () => {
+  proxy.mock.script({ endpoint: "getCoinList", status: 500 });
+
+  const { status, json } = await proxy.request("GET", "/coins");
+
+  assert.equal(status, 200);
+  assert.ok(json.data.some((coin) => coin.symbol === "USDT"));
+  assert.equal(proxy.mock.calls("getCoinList").length, 0);
+});
@@ -0,0 +1,225 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ConfigError,
+  DEFAULT_CORS_ORIGINS,
+  loadConfig,
+} = require("../lib/config");
+
+const BASE_ENV = {
+  CCPAYMENT_APP_ID: "app",
+  CCPAYMENT_APP_SECRET: "secret",
+  SUPABASE_URL: "https://project.supabase.co",
+  SUPABASE_ANON_KEY: "anon",
+};
+
+function problemsFor(env) {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+  assert.fail("expected a ConfigError");
+}
+
+test("defaults are typed", () => {
+  const config = loadConfig(BASE_ENV);
+
+  assert.equal(config.port, 3000);
+  assert.deepEqual(config.cors.origins, DEFAULT_CORS_ORIGINS);
+  assert.equal(config.upstreams.ccpayment, "https://ccpayment.com");
+  assert.equal(config.ccpayment.maxRetries, 2);
+  assert.equal(config.ccpayment.proxyTimeoutMs, 30000);
+  assert.equal(config.reconciliation.intervalMs, 60 * 60 * 1000);
+  assert.equal(config.depositAddresses.ttlSeconds, 24 * 3600);
+  assert.equal(config.limits.budgets.wallet.user, 5);
+  assert.equal(config.limits.budgets.approval.user, 30);
+  assert.equal(config.trustProxy, 1);
+  assert.equal(config.supabase.remoteFallback, false);
+  assert.ok(Object.isFrozen(config.ccpayment));
+});
+
+test("reads overrides", () => {
+  const config = loadConfig({
+    ...BASE_ENV,
+    PORT: "8080",
+    CORS_ORIGINS: "https://a.example, https://b.example",
+    CCPAYMENT_BASE_URL: "http://localhost:4100/",
+    CCPAYMENT_TIMEOUTS: '{"getCoinList": 5000}',
+    RECONCILE_INTERVAL_MINUTES: "0",
+    TRUST_PROXY: "1",
+  });
+
+  assert.equal(config.port, 8080);
+  assert.deepEqual(config.cors.origins, [
+    "https://a.example",
+    "https://b.example",
+  ]);
+  assert.equal(config.upstreams.ccpayment, "http://localhost:4100");
+  assert.deepEqual(config.ccpayment.timeouts, { getCoinList: 5000 });
+  assert.equal(config.reconciliation.intervalMs, 0);
+  assert.equal(config.trustProxy, 1);
+});
+
+test("requires a CCPayment account and Supabase", () => {
+  const problems = problemsFor({});
+
+  assert.ok(problems.some((p) => p.startsWith("No CCPayment account")));
+  assert.ok(problems.some((p) => p.startsWith("SUPABASE_URL")));
+});
+
+test("a missing secret is reported by name", () => {
+  const problems = problemsFor({
+    ...BASE_ENV,
+    CCPAYMENT_APP_SECRET: "",
+  });
+
+  assert.deepEqual(problems, [
+    "CCPAYMENT_APP_SECRET is required when CCPAYMENT_APP_ID is set",
+  ]);
+});
+
+test("reports every invalid value at once", () => {
+  const problems = problemsFor({
+    ...BASE_ENV,
+    PORT: "abc",
+    CCPAYMENT_BASE_URL: "ftp://example.com",
+    CCPAYMENT_TIMEOUTS: '{"getCoinList": -1}',
+    RATE_LIMITS: '{"unknown": {}}',
+    STORAGE_DRIVER: "postgres",
+    IP_MONITOR_BLOCK_ON_MISMATCH: "yes",
+  });
+
+  assert.equal(problems.length, 6);
+  assert.match(problems.join("\n"), /PORT must be an integer/);
+  assert.match(problems.join("\n"), /CCPAYMENT_BASE_URL must be an http/);
+  assert.match(problems.join("\n"), /CCPAYMENT_TIMEOUTS must map/);
+  assert.match(problems.join("\n"), /RATE_LIMITS: Unknown rate limit budget/);
+  assert.match(problems.join("\n"), /DATABASE_URL is required/);
+  assert.match(problems.join("\n"), /IP_MONITOR_BLOCK_ON_MISMATCH must be/);
+});
+
+test("service clients and log redaction rules are checked at startup", () => {
+  const problems = problemsFor({
+    ...BASE_ENV,
+    SERVICE_CLIENTS: '{"deposits-fn": {"scopes": ["wallet:generate"]}}',
+    LOG_REDACT_RULES: '{"amount": "some"}',
+    LOG_LEVEL: "loud",
+  });
+
+  assert.deepEqual(problems, [
+    'SERVICE_CLIENTS: Service client "deposits-fn" needs at least one key',
+    'LOG_LEVEL must be one of debug, info, warn, error, got "loud"',
+    'LOG_REDACT_RULES: Invalid redaction mode "some" for amount',
+  ]);
+
+  assert.match(
+    problemsFor({ ...BASE_ENV, SERVICE_CLIENTS_FILE: "/missing.json" })[0],
+    /^SERVICE_CLIENTS_FILE: ENOENT/
+  );
+
+  const config = loadConfig({
+    ...BASE_ENV,
+    SERVICE_CLIENTS: JSON.stringify({
+      "deposits-fn": {
+        scopes: ["wallet:generate"],
+        keys: [{ id: "k1", secret: "s1" }],
+      },
+    }),
+    LOG_REDACT_RULES: '{"amount": "none"}',
+  });
+  assert.equal(config.serviceClients.clients[0].name, "deposits-fn");
+  assert.equal(config.logging.redactRules.amount, "none");
+});
+
+test("clients may only name configured CCPayment accounts", () => {
+  const problems = problemsFor({
+    ...BASE_ENV,
+    SERVICE_CLIENTS: JSON.stringify({
+      "deposits-fn": {
+        keys: [{ id: "k1", secret: "s1" }],
+        accounts: ["default", "shop"],
+      },
+    }),
+    CCPAYMENT_SIGNING_CLIENTS: JSON.stringify({
+      "edge-fn": { key: "k", endpoints: ["*"], accounts: ["shop"] },
+    }),
+  });
+
+  assert.deepEqual(problems, [
+    'CCPAYMENT_SIGNING_CLIENTS: "edge-fn" names unknown CCPayment account "shop"',
+    'SERVICE_CLIENTS: "deposits-fn" names unknown CCPayment account "shop"',
+  ]);
+});
+
+test("loads named merchant accounts", () => {
+  const config = loadConfig({
+    ...BASE_ENV,
+    CCPAYMENT_ACCOUNTS: JSON.stringify({
+      shop: { appId: "shop-app", appSecret: "shop-secret" },
+    }),
+  });
+
+  assert.deepEqual(Object.keys(config.ccpayment.accounts), ["shop", "default"]);
+  assert.equal(config.ccpayment.defaultAccount, "default");
+  assert.equal(config.ccpayment.accounts.shop.appId, "shop-app");
+});
+
+test("the default account can be any named account", () => {
+  const config = loadConfig({
+    SUPABASE_URL: BASE_ENV.SUPABASE_URL,
+    SUPABASE_ANON_KEY: BASE_ENV.SUPABASE_ANON_KEY,
+    CCPAYMENT_ACCOUNTS: JSON.stringify({
+      invest: { appId: "invest-app", appSecret: "invest-secret" },
+      shop: { appId: "shop-app", appSecret: "shop-secret" },
+    }),
+    CCPAYMENT_DEFAULT_ACCOUNT: "shop",
+  });
+
+  assert.equal(config.ccpayment.defaultAccount, "shop");
+});
+
+test("rejects incomplete and ambiguous accounts", () => {
+  const problems = problemsFor({
+    ...BASE_ENV,
+    CCPAYMENT_ACCOUNTS: JSON.stringify({
+      shop: { appId: "shop-app" },
+      copy: { appId: "app", appSecret: "other" },
+      "bad name": { appId: "x", appSecret: "y" },
+    }),
+    CCPAYMENT_DEFAULT_ACCOUNT: "missing",
+  });
+
+  assert.deepEqual(problems, [
+    'CCPAYMENT_ACCOUNTS: account "shop" needs an appId and an appSecret',
+    'CCPAYMENT_ACCOUNTS: account name "bad name" may only use letters, digits, _ and -',
+    'CCPayment accounts "copy" and "default" share an appId',
+    'CCPAYMENT_DEFAULT_ACCOUNT "missing" is not a configured account',
+  ]);
+});
+
+test("file and keystore secrets are loaded at startup", () => {
+  const problems = problemsFor({
+    ...BASE_ENV,
+    SECRET_PROVIDER: "file",
+    SECRET_FILE: "/nonexistent/secrets.json",
+  });
+
+  assert.equal(problems.length, 3);
+  assert.match(problems[0], /CCPAYMENT_APP_ID is not used/);
+  assert.match(problems[1], /CCPAYMENT_APP_SECRET is not used/);
+  assert.match(problems[2], /^SECRET_PROVIDER=file: ENOENT/);
+
+  assert.deepEqual(
+    problemsFor({
+      SUPABASE_URL: BASE_ENV.SUPABASE_URL,
+      SUPABASE_ANON_KEY: BASE_ENV.SUPABASE_ANON_KEY,
+      SECRET_PROVIDER: "keystore",
+    }),
+    [
+      "SECRET_KEYSTORE_FILE is required when SECRET_PROVIDER=keystore",
+      "SECRET_KEYSTORE_KEY is required when SECRET_PROVIDER=keystore",
+    ]
+  );
+});
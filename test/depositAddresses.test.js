@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseDepositOrderId } = require("../lib/webhooks");
+const { startProxy } = require("./helpers");
+
+let proxy;
+
+// Order addresses last 1.8 seconds here
+const TTL_MS = 1800;
+
+test.before(async () => {
+  proxy = await startProxy({
+    DEPOSIT_ADDRESS_TTL_HOURS: String(TTL_MS / 3600000),
+  });
+});
+
+test.after(() => proxy.close());
+
+test.beforeEach(() => proxy.mock.reset());
+
+function generateWallet(userId, chain, currency = "USDT") {
+  return proxy.request("POST", "/generate-wallet", {
+    body: { userId, chain, currency },
+  });
+}
+
+test("one user gets separate orders on two chains in the same second", async () => {
+  const [trc20, eth] = await Promise.all([
+    generateWallet("same-second", "TRC20"),
+    generateWallet("same-second", "ETH"),
+  ]);
+
+  assert.equal(trc20.status, 200);
+  assert.equal(eth.status, 200);
+  assert.notEqual(trc20.json.data.orderId, eth.json.data.orderId);
+  assert.equal(proxy.mock.calls("createAppOrderDepositAddress").length, 2);
+
+  for (const { json } of [trc20, eth]) {
+    assert.equal(parseDepositOrderId(json.data.orderId).userId, "same-second");
+  }
+});
+
+test("a user's active address is handed out again until it expires", async () => {
+  const first = await generateWallet("reuser", "TRC20");
+  assert.equal(first.json.reused, false);
+  assert.ok(Date.parse(first.json.data.expiresAt) > Date.now());
+
+  const again = await generateWallet("reuser", "TRC20");
+  assert.equal(again.json.reused, true);
+  assert.equal(again.json.data.address, first.json.data.address);
+  assert.equal(again.json.data.orderId, first.json.data.orderId);
+  assert.equal(proxy.mock.calls("createAppOrderDepositAddress").length, 1);
+
+  // Addresses are per user
+  const other = await generateWallet("someone-else", "TRC20");
+  assert.equal(other.json.reused, false);
+
+  await new Promise((resolve) => setTimeout(resolve, TTL_MS + 200));
+  const renewed = await generateWallet("reuser", "TRC20");
+  assert.equal(renewed.json.reused, false);
+  assert.notEqual(renewed.json.data.orderId, first.json.data.orderId);
+  assert.notEqual(renewed.json.data.address, first.json.data.address);
+});
+
+test("deposit orderIds with and without the random suffix parse", () => {
+  assert.deepEqual(parseDepositOrderId("deposit_user_1_1700000000_0a1b"), {
+    userId: "user_1",
+    createdAt: 1700000000,
+  });
+  assert.deepEqual(parseDepositOrderId("deposit_user_1_1700000000"), {
+    userId: "user_1",
+    createdAt: 1700000000,
+  });
+  assert.equal(parseDepositOrderId("withdrawal_1"), null);
+});
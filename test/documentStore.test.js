@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStorage } = require("../lib/storage");
+const { createFileStore } = require("../lib/fileStore");
+const { createDocumentStore } = require("../lib/documentStore");
+
+let dir;
+let storage;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "ccpayment-documents-"));
+  storage = createStorage({ filename: path.join(dir, "proxy.db") });
+});
+
+test.afterEach(async () => {
+  await storage.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("records survive into a new store on the same database", async () => {
+  const store = createDocumentStore({ storage, collection: "withdrawals" });
+  await store.load();
+  store.put({ id: "order-1", status: "pending" });
+  store.put({ id: "order-1", status: "succeeded" });
+  store.put({ id: "order-2", status: "pending" });
+  assert.equal(store.delete("order-2"), true);
+  await store.flush();
+
+  const reloaded = createDocumentStore({ storage, collection: "withdrawals" });
+  assert.equal(await reloaded.load(), 1);
+  assert.deepEqual(reloaded.get("order-1"), {
+    id: "order-1",
+    status: "succeeded",
+  });
+  assert.equal(reloaded.get("order-2"), null);
+
+  // Collections are kept apart
+  const other = createDocumentStore({ storage, collection: "approvals" });
+  assert.equal(await other.load(), 0);
+});
+
+test("the old JSON-lines file is imported once into an empty collection", async () => {
+  const legacyFile = path.join(dir, "withdrawal-requests.jsonl");
+  createFileStore(legacyFile).put({ id: "w1", status: "approved" });
+
+  const store = createDocumentStore({
+    storage,
+    collection: "withdrawal-requests",
+    legacyFile,
+  });
+  assert.equal(await store.load(), 1);
+  assert.equal(store.get("w1").status, "approved");
+
+  // Later changes win over the file on the next load
+  store.put({ id: "w1", status: "submitted" });
+  await store.flush();
+  await store.load();
+  assert.equal(store.get("w1").status, "submitted");
+});
+
+test("the store refuses use before load and reports failed writes", async () => {
+  const failing = createDocumentStore({
+    storage: {
+      loadDocuments: async () => [],
+      saveDocument: async () => {
+        throw new Error("database unavailable");
+      },
+    },
+    collection: "withdrawals",
+  });
+  assert.throws(() => failing.get("order-1"), /before load/);
+
+  await failing.load();
+  failing.put({ id: "order-1" });
+  await assert.rejects(failing.flush(), /database unavailable/);
+  await failing.flush();
+});
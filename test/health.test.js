@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ccpaymentCheck, supabaseConfigCheck } = require("../lib/health");
+
+test("the Supabase check passes with a JWT secret or a URL and anon key", async () => {
+  const secretOnly = await supabaseConfigCheck({ jwtSecret: "secret" })();
+  assert.equal(secretOnly.status, "ok");
+  assert.equal(secretOnly.tokenVerification, "hs256");
+
+  const project = await supabaseConfigCheck({
+    url: "https://project.supabase.co",
+    anonKey: "anon",
+  })();
+  assert.equal(project.status, "ok");
+  assert.equal(project.tokenVerification, "jwks");
+
+  const urlOnly = await supabaseConfigCheck({
+    url: "https://project.supabase.co",
+  })();
+  assert.equal(urlOnly.status, "fail");
+  assert.deepEqual(urlOnly.missing, [
+    "SUPABASE_JWT_SECRET",
+    "SUPABASE_ANON_KEY",
+  ]);
+});
+
+test("the CCPayment check makes a single short attempt", async () => {
+  const calls = [];
+  const check = ccpaymentCheck({
+    getClient: () => ({
+      async request(endpoint, payload, options) {
+        calls.push({ endpoint, options });
+        return { data: { coins: [{}, {}] } };
+      },
+    }),
+  });
+
+  const result = await check();
+  assert.equal(result.status, "ok");
+  assert.equal(result.coins, 2);
+  assert.deepEqual(calls, [
+    { endpoint: "getCoinList", options: { timeout: 3000, maxRetries: 0 } },
+  ]);
+});
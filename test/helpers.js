@@ -0,0 +1,171 @@
+// Shared setup for the integration tests: the CCPayment mock, a stand-in
+// for Supabase's /auth/v1/user, and the proxy app configured against both.
+// Each test file runs in its own process, so it can require the app once
+// with its own environment.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const { createCCPaymentMock } = require("../lib/ccpaymentMock");
+
+const APP_ID = "test-app-id";
+const APP_SECRET = "test-app-secret";
+const ANON_KEY = "test-anon-key";
+
+// Users the Supabase stub knows, by the name used to get their token
+const USERS = {
+  alice: { id: "user-alice", email: "alice@example.com", app_metadata: {} },
+  bob: { id: "user-bob", email: "bob@example.com", app_metadata: {} },
+  admin: {
+    id: "user-admin",
+    email: "admin@example.com",
+    app_metadata: { roles: ["admin"] },
+  },
+  admin2: {
+    id: "user-admin2",
+    email: "admin2@example.com",
+    app_metadata: { roles: ["admin"] },
+  },
+};
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+// A JWT-shaped token the proxy can't verify locally (no
+// SUPABASE_JWT_SECRET), so it asks the Supabase stub instead; startProxy
+// turns on SUPABASE_AUTH_REMOTE_FALLBACK for that
+function tokenFor(name) {
+  return [
+    base64url({ alg: "HS256", typ: "JWT" }),
+    base64url({ sub: name }),
+    Buffer.from(`signature-${name}`).toString("base64url"),
+  ].join(".");
+}
+
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+    server.on("error", reject);
+  });
+}
+
+function closeServer(server) {
+  return new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+  });
+}
+
+// Answers /auth/v1/user like Supabase for the tokens from tokenFor()
+async function startSupabaseStub() {
+  const byToken = new Map(
+    Object.entries(USERS).map(([name, user]) => [tokenFor(name), user])
+  );
+  const app = express();
+  app.get("/auth/v1/user", (req, res) => {
+    const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+    const user = byToken.get(token);
+    if (req.headers.apikey !== ANON_KEY || !user) {
+      return res.status(401).json({ msg: "invalid JWT" });
+    }
+    res.json(user);
+  });
+
+  const server = await listen(app);
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => closeServer(server),
+  };
+}
+
+// Starts the mock and the Supabase stub, then loads the app with env
+// pointing at them (plus any overrides) and serves it on a free port.
+// Returns request() for calling the proxy and close() for after().
+async function startProxy(env = {}) {
+  const mock = createCCPaymentMock({ appId: APP_ID, appSecret: APP_SECRET });
+  const mockUrl = await mock.listen();
+  const supabase = await startSupabaseStub();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ccpayment-proxy-"));
+
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    CCPAYMENT_APP_ID: APP_ID,
+    CCPAYMENT_APP_SECRET: APP_SECRET,
+    CCPAYMENT_BASE_URL: mockUrl,
+    CCPAYMENT_API_URL: mockUrl,
+    CCPAYMENT_ADMIN_URL: mockUrl,
+    CCPAYMENT_MAX_RETRIES: "0",
+    SUPABASE_URL: supabase.url,
+    SUPABASE_ANON_KEY: ANON_KEY,
+    SUPABASE_AUTH_REMOTE_FALLBACK: "true",
+    IP_RESOLVERS: "http://127.0.0.1:1/",
+    SERVICE_AUTH_DISABLED: "true",
+    RATE_LIMITS: JSON.stringify({
+      wallet: { user: 0, apiKey: 0, ip: 0 },
+      withdrawal: { user: 0, apiKey: 0, ip: 0 },
+      proxy: { user: 0, apiKey: 0, ip: 0 },
+      approval: { user: 0, apiKey: 0, ip: 0 },
+    }),
+    ...env,
+  });
+
+  const { app, config, ready } = require("../server");
+  await ready();
+  const server = await listen(app);
+  const url = `http://127.0.0.1:${server.address().port}`;
+  mock.setWebhookUrl(`${url}/webhooks/ccpayment`);
+
+  // JSON in and out; as is the user name from USERS to sign in as
+  async function request(
+    method,
+    route,
+    { body, as, token, headers = {}, raw } = {}
+  ) {
+    const bearer = token || (as && tokenFor(as));
+    const response = await fetch(`${url}${route}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(bearer && { Authorization: `Bearer ${bearer}` }),
+        ...headers,
+      },
+      body: raw !== undefined ? raw : body && JSON.stringify(body),
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // Plain-text answers, e.g. the webhook acknowledgement
+    }
+    return { status: response.status, headers: response.headers, text, json };
+  }
+
+  return {
+    url,
+    app,
+    config,
+    mock,
+    request,
+    async close() {
+      await closeServer(server);
+      await mock.close();
+      await supabase.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = {
+  APP_ID,
+  APP_SECRET,
+  ANON_KEY,
+  USERS,
+  tokenFor,
+  listen,
+  closeServer,
+  startProxy,
+};
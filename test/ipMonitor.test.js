@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { closeServer, listen, startProxy } = require("./helpers");
+
+const WHITELISTED_IP = "198.51.100.10";
+const OTHER_IP = "203.0.113.20";
+
+// Stands in for both the IP resolver and the alert webhook
+let resolvedIp = WHITELISTED_IP;
+const alerts = [];
+let stub;
+let stubUrl;
+let proxy;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.get("/ip", (req, res) => res.json({ ip: resolvedIp }));
+  app.post("/alerts", (req, res) => {
+    alerts.push(req.body);
+    res.sendStatus(204);
+  });
+  stub = await listen(app);
+  stubUrl = `http://127.0.0.1:${stub.address().port}`;
+
+  proxy = await startProxy({
+    IP_RESOLVERS: `${stubUrl}/ip`,
+    EXPECTED_OUTBOUND_IP: WHITELISTED_IP,
+    IP_ALERT_WEBHOOK_URL: `${stubUrl}/alerts`,
+    HEALTH_READY_CACHE_SECONDS: "0",
+  });
+});
+
+test.after(async () => {
+  await proxy.close();
+  await closeServer(stub);
+});
+
+function refresh() {
+  return proxy.request("GET", "/test-ip?refresh=true");
+}
+
+test("/get-ip reports the outbound IP against the whitelisted one", async () => {
+  const { status, json } = await proxy.request("GET", "/get-ip");
+
+  assert.equal(status, 200);
+  assert.equal(json.outbound_ip, WHITELISTED_IP);
+  assert.equal(json.expected_ip, WHITELISTED_IP);
+  assert.equal(json.matches_expected, true);
+  assert.equal(json.resolver, new URL(stubUrl).host);
+});
+
+test("/health/ready is ready while every check passes", async () => {
+  const { status, json } = await proxy.request("GET", "/health/ready");
+
+  assert.equal(status, 200);
+  assert.equal(json.status, "ready");
+  assert.equal(json.checks.ccpayment.status, "ok");
+  assert.equal(json.checks.outboundIp.ip, WHITELISTED_IP);
+  assert.equal(json.checks.circuitBreakers.status, "ok");
+});
+
+test("a drift away from the whitelisted IP alerts once, and again on recovery", async () => {
+  resolvedIp = OTHER_IP;
+  const drifted = await refresh();
+  assert.equal(drifted.json.current.ip, OTHER_IP);
+  assert.equal(drifted.json.current.matches, false);
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].type, "ip_mismatch");
+  assert.equal(alerts[0].ip, OTHER_IP);
+  assert.equal(alerts[0].expectedIp, WHITELISTED_IP);
+  assert.equal(alerts[0].previousIp, WHITELISTED_IP);
+
+  const ready = await proxy.request("GET", "/health/ready");
+  assert.equal(ready.status, 503);
+  assert.equal(ready.json.checks.outboundIp.reason, "ip_mismatch");
+
+  // Still wrong: no second alert
+  await refresh();
+  assert.equal(alerts.length, 1);
+
+  resolvedIp = WHITELISTED_IP;
+  const restored = await refresh();
+  assert.equal(restored.json.current.matches, true);
+  assert.equal(alerts.length, 2);
+  assert.equal(alerts[1].type, "ip_restored");
+
+  // Newest first, one entry per distinct IP in a row
+  assert.deepEqual(
+    restored.json.history.map((entry) => entry.ip),
+    [WHITELISTED_IP, OTHER_IP, WHITELISTED_IP]
+  );
+  assert.equal(restored.json.results[0].status, "success");
+});
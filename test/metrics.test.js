@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startProxy } = require("./helpers");
+
+const METRICS_TOKEN = "test-metrics-token";
+
+let proxy;
+
+test.before(async () => {
+  proxy = await startProxy({ METRICS_TOKEN });
+});
+
+test.after(() => proxy.close());
+
+test("/metrics needs the metrics token when one is set", async () => {
+  const missing = await proxy.request("GET", "/metrics");
+  assert.equal(missing.status, 401);
+
+  const wrong = await proxy.request("GET", "/metrics", { token: "nope" });
+  assert.equal(wrong.status, 401);
+});
+
+test("/metrics serves Prometheus text, including the proxy's requests", async () => {
+  await proxy.request("GET", "/health");
+
+  const { status, headers, text } = await proxy.request("GET", "/metrics", {
+    token: METRICS_TOKEN,
+  });
+
+  assert.equal(status, 200);
+  assert.match(headers.get("content-type"), /^text\/plain/);
+  assert.match(text, /^# HELP /m);
+  assert.match(text, /route="\/health"/);
+});
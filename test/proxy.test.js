@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { APP_ID, APP_SECRET, startProxy } = require("./helpers");
+const { createSignature } = require("../lib/signature");
+
+// Headers that would tell CCPayment who is behind the proxy, or carry our
+// own service credentials
+const STRIPPED = {
+  "X-Forwarded-For": "203.0.113.7",
+  "X-Real-IP": "203.0.113.7",
+  "X-Forwarded-Proto": "https",
+  "X-Forwarded-Host": "app.example",
+  "X-Forwarded-Port": "443",
+  Forwarded: "for=203.0.113.7",
+  "CF-Connecting-IP": "203.0.113.7",
+  "True-Client-IP": "203.0.113.7",
+  "X-Client-IP": "203.0.113.7",
+  "X-Cluster-Client-IP": "203.0.113.7",
+  "X-API-Key": "service-key",
+  "X-Client-Id": "deposits-fn",
+  "X-Key-Id": "2026-10",
+  "X-Signature-Timestamp": "1700000000",
+  "X-Signature": "service-signature",
+  "X-CCPayment-Account": "default",
+};
+
+let proxy;
+
+test.before(async () => {
+  proxy = await startProxy();
+});
+
+test.after(() => proxy.close());
+
+test.beforeEach(() => proxy.mock.reset());
+
+function assertStripped(call) {
+  for (const header of Object.keys(STRIPPED)) {
+    assert.equal(
+      call.headers[header.toLowerCase()],
+      undefined,
+      `${header} reached CCPayment`
+    );
+  }
+}
+
+test("/ccpayment strips forwarding and service headers", async () => {
+  const body = "{}";
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  const { status, json } = await proxy.request(
+    "POST",
+    "/ccpayment/v2/getCoinList",
+    {
+      raw: body,
+      headers: {
+        ...STRIPPED,
+        "Content-Type": "application/json",
+        "X-Request-Id": "proxy-test-1",
+        Appid: APP_ID,
+        Timestamp: timestamp,
+        Sign: createSignature(APP_ID, APP_SECRET, timestamp, body),
+      },
+    }
+  );
+
+  assert.equal(status, 200);
+  assert.equal(json.code, 10000);
+
+  const [call] = proxy.mock.calls("getCoinList");
+  assertStripped(call);
+  assert.equal(call.headers.appid, APP_ID);
+  assert.equal(call.headers["x-request-id"], "proxy-test-1");
+  assert.equal(call.path, "/ccpayment/v2/getCoinList");
+});
+
+for (const prefix of ["/api", "/admin"]) {
+  test(`${prefix} strips forwarding and service headers`, async () => {
+    const { status, json } = await proxy.request(
+      "POST",
+      `${prefix}/v1/some/path?x=1`,
+      { body: { hello: "world" }, headers: STRIPPED }
+    );
+
+    assert.equal(status, 200);
+    // The mock echoes what reached it
+    assert.equal(json.data.path, "/v1/some/path?x=1");
+    assert.deepEqual(json.data.body, { hello: "world" });
+
+    const [call] = proxy.mock.calls("/v1/some/path");
+    assertStripped(call);
+    assert.ok(call.headers["x-request-id"]);
+  });
+}
+
+test("the proxy's own IP is what CCPayment sees", async () => {
+  await proxy.request("POST", "/api/whoami", {
+    body: {},
+    headers: { "X-Forwarded-For": "203.0.113.7" },
+  });
+
+  const [call] = proxy.mock.calls("/whoami");
+  assert.equal(call.headers["x-forwarded-for"], undefined);
+  assert.equal(call.headers.host, new URL(proxy.config.upstreams.api).host);
+});
+
+test("only known CCPayment endpoints become metric labels", async () => {
+  for (const endpoint of ["getCoinList", "madeUpEndpointName"]) {
+    await proxy.request("POST", `/ccpayment/v2/${endpoint}`, { body: {} });
+  }
+
+  const { text } = await proxy.request("GET", "/metrics");
+  assert.match(text, /endpoint="getCoinList"/);
+  assert.match(text, /endpoint="other"/);
+  assert.doesNotMatch(text, /madeUpEndpointName/);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startProxy } = require("./helpers");
+
+let proxy;
+
+test.before(async () => {
+  proxy = await startProxy({
+    RATE_LIMITS: JSON.stringify({
+      wallet: { windowSeconds: 60, user: 1, apiKey: 0, ip: 0 },
+      withdrawal: { windowSeconds: 60, user: 1, apiKey: 0, ip: 0 },
+      proxy: { user: 0, apiKey: 0, ip: 0 },
+      approval: { user: 0, apiKey: 0, ip: 0 },
+    }),
+  });
+});
+
+test.after(() => proxy.close());
+
+function generateWallet(userId) {
+  return proxy.request("POST", "/generate-wallet", {
+    body: { userId, chain: "TRC20", currency: "USDT" },
+  });
+}
+
+test("a user over budget gets a 429 with Retry-After", async () => {
+  const body = {
+    chain: "TRC20",
+    address: "TQn9Y2khEsLJW1ChVWFMSMeRDow5KcbLSE",
+    amount: 5,
+  };
+  const first = await proxy.request("POST", "/create-withdrawal", {
+    body: { ...body, orderId: "limit-1" },
+    as: "alice",
+  });
+  assert.equal(first.status, 202);
+
+  const second = await proxy.request("POST", "/create-withdrawal", {
+    body: { ...body, orderId: "limit-2" },
+    as: "alice",
+  });
+  assert.equal(second.status, 429);
+  assert.equal(second.json.code, "rate_limited");
+  const retryAfter = Number(second.headers.get("retry-after"));
+  assert.ok(retryAfter >= 1 && retryAfter <= 60);
+  assert.equal(second.json.details.retryAfter, retryAfter);
+
+  // Budgets are per user
+  const other = await proxy.request("POST", "/create-withdrawal", {
+    body: { ...body, orderId: "limit-3" },
+    as: "bob",
+  });
+  assert.equal(other.status, 202);
+});
+
+test("invalid requests are refused before they count against a budget", async () => {
+  const invalid = await proxy.request("POST", "/generate-wallet", {
+    body: { userId: "limited-user", chain: "TRC20" },
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.json.code, "validation_failed");
+
+  assert.equal((await generateWallet("limited-user")).status, 200);
+  assert.equal((await generateWallet("limited-user")).status, 429);
+});
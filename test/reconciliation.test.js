@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { reportToCsv } = require("../lib/reconciliation");
+const { startProxy } = require("./helpers");
+
+let proxy;
+
+test.before(async () => {
+  proxy = await startProxy();
+});
+
+test.after(() => proxy.close());
+
+test.beforeEach(() => proxy.mock.reset());
+
+function runReconciliation() {
+  return proxy.request("POST", "/admin-reconciliation/run", {
+    body: {},
+    as: "admin",
+  });
+}
+
+// A deposit webhook for a record the mock has never heard of
+async function sendGhostDeposit(recordId) {
+  const { status } = await proxy.mock.sendWebhook("DirectDeposit", {
+    recordId,
+    referenceId: "user-alice",
+    coinId: 1280,
+    coinSymbol: "USDT",
+    status: "Success",
+  });
+  assert.equal(status, 200);
+}
+
+function getReport(query = "", as = "admin") {
+  return proxy.request("GET", `/admin-reconciliation${query}`, { as });
+}
+
+test("there is no report before the first run", async () => {
+  const { status, json } = await getReport();
+
+  assert.equal(status, 404);
+  assert.equal(json.error, "No reconciliation report found");
+});
+
+test("a deposit CCPayment doesn't know is an orphaned order", async () => {
+  await sendGhostDeposit("ghost-missing");
+
+  const { status, json } = await runReconciliation();
+  assert.equal(status, 200);
+  assert.ok(
+    json.data.findings.some(
+      (finding) =>
+        finding.type === "orphaned_order_id" &&
+        finding.recordId === "ghost-missing"
+    )
+  );
+});
+
+test("other CCPayment errors fail the step instead of reporting findings", async () => {
+  await sendGhostDeposit("ghost-ip");
+  proxy.mock.script({ endpoint: "getAppDepositRecord", code: 11004 });
+
+  const { json } = await runReconciliation();
+  assert.equal(
+    json.data.findings.filter((finding) => finding.recordId === "ghost-ip")
+      .length,
+    0
+  );
+  assert.ok(json.data.errors.some((error) => error.startsWith("deposits:")));
+});
+
+test("reports are listed newest first and fetched by id or as CSV", async () => {
+  const { json: older } = await runReconciliation();
+  const { json: newer } = await runReconciliation();
+
+  const latest = await getReport();
+  assert.equal(latest.status, 200);
+  assert.equal(latest.json.data.id, newer.data.id);
+  assert.deepEqual(
+    latest.json.reports.slice(0, 2).map((report) => report.id),
+    [newer.data.id, older.data.id]
+  );
+
+  const byId = await getReport(`?id=${older.data.id}`);
+  assert.equal(byId.json.data.id, older.data.id);
+  assert.equal((await getReport("?id=unknown")).status, 404);
+
+  const csv = await getReport("?format=csv");
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-type"), /^text\/csv/);
+  assert.match(
+    csv.headers.get("content-disposition"),
+    /filename="reconciliation-\d{4}-\d{2}-\d{2}\.csv"/
+  );
+  assert.equal(
+    csv.text.split("\n")[0],
+    "type,kind,orderId,recordId,userId,expected,actual,detail"
+  );
+});
+
+test("reports are for admins, and the lookback window is bounded", async () => {
+  assert.equal((await getReport("", "alice")).status, 403);
+  const run = await proxy.request("POST", "/admin-reconciliation/run", {
+    body: {},
+    as: "alice",
+  });
+  assert.equal(run.status, 403);
+
+  const tooLong = await proxy.request("POST", "/admin-reconciliation/run", {
+    body: { lookbackHours: 24 * 365 },
+    as: "admin",
+  });
+  assert.equal(tooLong.status, 400);
+  assert.equal(tooLong.json.code, "validation_failed");
+});
+
+test("CSV cells that a spreadsheet would run as formulas are escaped", () => {
+  const csv = reportToCsv({
+    findings: [
+      {
+        type: "amount_mismatch",
+        orderId: '=HYPERLINK("http://evil")',
+        userId: "@user",
+        expected: "+5",
+        actual: "-5",
+        detail: "plain, text",
+      },
+    ],
+  });
+
+  assert.equal(
+    csv.split("\n")[1],
+    `amount_mismatch,,"'=HYPERLINK(""http://evil"")",,'@user,'+5,'-5,"plain, text"`
+  );
+});
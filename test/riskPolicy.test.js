@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startProxy } = require("./helpers");
+
+let proxy;
+
+test.before(async () => {
+  proxy = await startProxy({
+    RISK_POLICY: JSON.stringify({ currencies: { "*": { minAmount: 5 } } }),
+  });
+});
+
+test.after(() => proxy.close());
+
+test.beforeEach(() => proxy.mock.reset());
+
+function createWithdrawal(orderId, amount) {
+  return proxy.request("POST", "/create-withdrawal", {
+    body: {
+      chain: "TRC20",
+      address: "TQn9Y2khEsLJW1ChVWFMSMeRDow5KcbLSE",
+      amount,
+      orderId,
+    },
+    as: "alice",
+  });
+}
+
+test("a request that passes waits for an admin unless autoApprove is set", async () => {
+  const { status, json } = await createWithdrawal("risk-pass", 10);
+
+  assert.equal(status, 202);
+  assert.equal(json.status, "pending");
+  assert.equal(proxy.mock.calls("applyAppWithdrawToNetwork").length, 0);
+});
+
+test("replaying a rejected orderId gets the same 422", async () => {
+  const first = await createWithdrawal("risk-reject", 1);
+  assert.equal(first.status, 422);
+  assert.equal(first.json.code, "risk_rejected");
+
+  const replay = await createWithdrawal("risk-reject", 1);
+  assert.equal(replay.status, 422);
+  assert.equal(replay.json.success, false);
+  assert.equal(replay.json.code, "risk_rejected");
+  assert.deepEqual(replay.json.details, first.json.details);
+});
@@ -0,0 +1,178 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createFileProvider,
+  createKeystoreProvider,
+  createSecretStore,
+  decryptKeystore,
+  encryptKeystore,
+  writeFileAtomic,
+} = require("../lib/secrets");
+const { createSignature } = require("../lib/signature");
+const { APP_ID, APP_SECRET, startProxy } = require("./helpers");
+
+const ROTATION_WINDOW_MS = 500;
+const NEW_SECRET = "rotated-app-secret";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ccpayment-secrets-"));
+const secretFile = path.join(dir, "secrets.json");
+
+function writeSecrets(appSecret) {
+  writeFileAtomic(
+    secretFile,
+    JSON.stringify({ default: { appId: APP_ID, appSecret } })
+  );
+}
+
+let proxy;
+let secrets;
+
+test.before(async () => {
+  writeSecrets(APP_SECRET);
+  proxy = await startProxy({
+    CCPAYMENT_APP_ID: "",
+    CCPAYMENT_APP_SECRET: "",
+    SECRET_PROVIDER: "file",
+    SECRET_FILE: secretFile,
+    SECRET_ROTATION_WINDOW_SECONDS: String(ROTATION_WINDOW_MS / 1000),
+  });
+  ({ secrets } = require("../server"));
+});
+
+test.after(() => proxy.close());
+
+test.beforeEach(() => proxy.mock.reset());
+
+function sendWebhook(appSecret, recordId) {
+  const body = JSON.stringify({
+    type: "ApiDeposit",
+    msg: { recordId, orderId: `o-${recordId}`, status: "Success" },
+  });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  return proxy.request("POST", "/webhooks/ccpayment", {
+    raw: body,
+    headers: {
+      "Content-Type": "application/json",
+      Appid: APP_ID,
+      Timestamp: timestamp,
+      Sign: createSignature(APP_ID, appSecret, timestamp, body),
+    },
+  });
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("the keystore round-trips and refuses the wrong key", () => {
+  const accounts = { shop: { appId: "shop-app", appSecret: "shop-secret" } };
+  const contents = encryptKeystore(accounts, "passphrase");
+
+  assert.ok(!contents.includes("shop-secret"));
+  assert.deepEqual(decryptKeystore(contents, "passphrase"), accounts);
+  assert.throws(
+    () => decryptKeystore(contents, "wrong"),
+    /could not be decrypted/
+  );
+});
+
+test("the keystore provider reloads when the file changes", async () => {
+  const file = path.join(dir, "keystore.json");
+  const save = (appSecret) =>
+    writeFileAtomic(
+      file,
+      encryptKeystore({ shop: { appId: "shop-app", appSecret } }, "key")
+    );
+  save("first");
+
+  const store = createSecretStore({
+    provider: createKeystoreProvider({
+      file,
+      passphrase: "key",
+      watchIntervalMs: 20,
+    }),
+    defaultAccount: "shop",
+    rotationWindowMs: 60000,
+  });
+  store.start();
+  try {
+    save("second");
+    for (let i = 0; i < 100 && store.get().appSecret === "first"; i++) {
+      await wait(20);
+    }
+    assert.equal(store.get().appSecret, "second");
+    assert.deepEqual(store.verificationSecrets("shop"), ["second", "first"]);
+  } finally {
+    store.stop();
+  }
+});
+
+test("a broken or incomplete reload keeps the previous secrets", () => {
+  const file = path.join(dir, "reload.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify({ shop: { appId: "shop-app", appSecret: "kept" } })
+  );
+  const store = createSecretStore({
+    provider: createFileProvider({ file }),
+    defaultAccount: "shop",
+  });
+
+  fs.writeFileSync(file, "{ not json");
+  assert.equal(store.reload(), false);
+
+  fs.writeFileSync(
+    file,
+    JSON.stringify({ other: { appId: "other-app", appSecret: "x" } })
+  );
+  assert.equal(store.reload(), false);
+
+  assert.equal(store.get("shop").appSecret, "kept");
+});
+
+test("outbound calls sign with the rotated secret straight away", async () => {
+  writeSecrets(NEW_SECRET);
+  assert.equal(secrets.reload(), true);
+
+  try {
+    await proxy.request("POST", "/get-deposit-record", {
+      body: { recordId: "r1" },
+    });
+
+    const [call] = proxy.mock.calls("getAppDepositRecord");
+    assert.equal(
+      call.headers.sign,
+      createSignature(
+        APP_ID,
+        NEW_SECRET,
+        call.headers.timestamp,
+        JSON.stringify(call.body)
+      )
+    );
+  } finally {
+    writeSecrets(APP_SECRET);
+    secrets.reload();
+  }
+});
+
+test("webhooks accept the old secret only inside the rotation window", async () => {
+  writeSecrets(NEW_SECRET);
+  secrets.reload();
+
+  const current = await sendWebhook(NEW_SECRET, "w1");
+  assert.equal(current.status, 200);
+
+  const previous = await sendWebhook(APP_SECRET, "w2");
+  assert.equal(previous.status, 200);
+  assert.equal(previous.text, "Success");
+
+  await wait(ROTATION_WINDOW_MS + 100);
+
+  const expired = await sendWebhook(APP_SECRET, "w3");
+  assert.equal(expired.status, 401);
+  assert.equal(expired.json.error, "Invalid signature");
+
+  const stillCurrent = await sendWebhook(NEW_SECRET, "w4");
+  assert.equal(stillCurrent.status, 200);
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startProxy } = require("./helpers");
+
+const API_KEY = "deposits-fn-secret";
+const SHOP_API_KEY = "shop-fn-secret";
+const PROXY_KEY = "edge-fn-key";
+const SHOP_PROXY_KEY = "shop-edge-fn-key";
+
+let proxy;
+
+test.before(async () => {
+  proxy = await startProxy({
+    SERVICE_AUTH_DISABLED: "false",
+    SERVICE_CLIENTS: JSON.stringify({
+      "deposits-fn": {
+        scopes: ["wallet:generate", "deposits:read"],
+        keys: [{ id: "2026-10", secret: API_KEY }],
+      },
+      "shop-fn": {
+        scopes: ["deposits:read"],
+        keys: [{ id: "2026-10", secret: SHOP_API_KEY }],
+        accounts: ["shop"],
+      },
+    }),
+    CCPAYMENT_ACCOUNTS: JSON.stringify({
+      shop: { appId: "shop-app-id", appSecret: "shop-app-secret" },
+    }),
+    CCPAYMENT_SIGNING_CLIENTS: JSON.stringify({
+      "edge-fn": { key: PROXY_KEY, endpoints: ["getCoinList"] },
+      "shop-edge-fn": {
+        key: SHOP_PROXY_KEY,
+        endpoints: ["getCoinList"],
+        accounts: ["shop"],
+      },
+    }),
+  });
+});
+
+test.after(() => proxy.close());
+
+test.beforeEach(() => proxy.mock.reset());
+
+function getDepositRecord(apiKey, account) {
+  return proxy.request("POST", "/get-deposit-record", {
+    body: { recordId: "missing" },
+    headers: {
+      "X-Api-Key": apiKey,
+      ...(account && { "X-CCPayment-Account": account }),
+    },
+  });
+}
+
+function selfSigned(proxyKey, account) {
+  return proxy.request("POST", "/ccpayment/v2/getCoinList", {
+    body: {},
+    headers: {
+      "X-Proxy-Key": proxyKey,
+      ...(account && { "X-CCPayment-Account": account }),
+    },
+  });
+}
+
+test("the service client is the actor of a generated wallet", async () => {
+  const { status } = await proxy.request("POST", "/generate-wallet", {
+    body: { userId: "audited-user", chain: "TRC20", currency: "USDT" },
+    headers: { "X-Api-Key": API_KEY },
+  });
+  assert.equal(status, 200);
+
+  const { json } = await proxy.request(
+    "GET",
+    "/admin-audit-log?action=wallet.generated&userId=audited-user",
+    { as: "admin" }
+  );
+  assert.equal(json.data.length, 1);
+  assert.equal(json.data[0].actor.id, "service:deposits-fn");
+  assert.equal(json.data[0].userId, "audited-user");
+});
+
+test("service clients only reach the accounts they are allowed", async () => {
+  const denied = await getDepositRecord(API_KEY, "shop");
+  assert.equal(denied.status, 403);
+  assert.equal(denied.json.code, "account_not_allowed");
+  assert.equal(proxy.mock.calls().length, 0);
+
+  // Listed accounts only: "shop-fn" can't fall back to the default
+  const defaultDenied = await getDepositRecord(SHOP_API_KEY);
+  assert.equal(defaultDenied.status, 403);
+
+  await getDepositRecord(SHOP_API_KEY, "shop");
+  assert.equal(
+    proxy.mock.calls("getAppDepositRecord")[0].headers.appid,
+    "shop-app-id"
+  );
+});
+
+test("signing clients only sign for the accounts they are allowed", async () => {
+  const denied = await selfSigned(PROXY_KEY, "shop");
+  assert.equal(denied.status, 403);
+  assert.equal(denied.json.code, "account_not_allowed");
+  assert.equal(proxy.mock.calls().length, 0);
+
+  await selfSigned(SHOP_PROXY_KEY, "shop");
+  assert.equal(proxy.mock.calls("getCoinList")[0].headers.appid, "shop-app-id");
+});
+
+test("end users can't pick the account a withdrawal is paid from", async () => {
+  const { status, json } = await proxy.request("POST", "/create-withdrawal", {
+    body: {
+      chain: "TRC20",
+      address: "TQn9Y2khEsLJW1ChVWFMSMeRDow5KcbLSE",
+      amount: 5,
+      orderId: "account-pick",
+    },
+    headers: { "X-CCPayment-Account": "shop" },
+    as: "alice",
+  });
+
+  assert.equal(status, 400);
+  assert.equal(json.code, "account_not_allowed");
+});
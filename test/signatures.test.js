@@ -0,0 +1,288 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createSignature, verifySignature } = require("../lib/signature");
+const { parseWebhookEvent } = require("../lib/webhooks");
+const { APP_ID, APP_SECRET, startProxy } = require("./helpers");
+
+const PROXY_KEY = "test-proxy-key";
+
+let proxy;
+
+test.before(async () => {
+  proxy = await startProxy({
+    CCPAYMENT_SIGNING_CLIENTS: JSON.stringify({
+      "deposits-fn": { key: PROXY_KEY, endpoints: ["getCoinList"] },
+    }),
+    CCPAYMENT_ACCOUNTS: JSON.stringify({
+      shop: { appId: "shop-app-id", appSecret: "shop-app-secret" },
+    }),
+    // Never delivered here; the queue shows what would be forwarded
+    SUPABASE_WEBHOOK_FUNCTION_URL: "http://127.0.0.1:1/",
+  });
+});
+
+test.after(() => proxy.close());
+
+test.beforeEach(() => proxy.mock.reset());
+
+function expectedSign(appId, appSecret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", appSecret)
+    .update(appId + timestamp + body)
+    .digest("hex");
+}
+
+function signedHeaders(body, { appId = APP_ID, appSecret = APP_SECRET } = {}) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  return {
+    "Content-Type": "application/json",
+    Appid: appId,
+    Timestamp: timestamp,
+    Sign: createSignature(appId, appSecret, timestamp, body),
+  };
+}
+
+test("createSignature is HMAC-SHA256 of appId, timestamp and body", () => {
+  const body = '{"coinId":1280}';
+  assert.equal(
+    createSignature(APP_ID, APP_SECRET, "1700000000", body),
+    expectedSign(APP_ID, APP_SECRET, "1700000000", body)
+  );
+  assert.ok(
+    verifySignature(
+      APP_ID,
+      APP_SECRET,
+      "1700000000",
+      body,
+      expectedSign(APP_ID, APP_SECRET, "1700000000", body)
+    )
+  );
+  assert.ok(
+    !verifySignature(
+      APP_ID,
+      APP_SECRET,
+      "1700000000",
+      '{"coinId":1281}',
+      expectedSign(APP_ID, APP_SECRET, "1700000000", body)
+    )
+  );
+});
+
+test("signed client calls are accepted by CCPayment", async () => {
+  const { status, json } = await proxy.request("POST", "/generate-wallet", {
+    body: { userId: "user-alice", chain: "TRC20", currency: "USDT" },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(json.success, true);
+
+  const [call] = proxy.mock.calls("createAppOrderDepositAddress");
+  assert.equal(call.headers.appid, APP_ID);
+  assert.equal(
+    call.headers.sign,
+    expectedSign(
+      APP_ID,
+      APP_SECRET,
+      call.headers.timestamp,
+      JSON.stringify(call.body)
+    )
+  );
+});
+
+test("X-CCPayment-Account signs with that account", async () => {
+  const { status, json } = await proxy.request("POST", "/get-deposit-record", {
+    body: { recordId: "missing" },
+    headers: { "X-CCPayment-Account": "shop" },
+  });
+
+  // The mock only knows the default account's appId
+  assert.equal(status, 400);
+  assert.equal(json.code, "ccpayment_error");
+  assert.equal(json.details.ccpaymentCode, 11001);
+  assert.equal(
+    proxy.mock.calls("getAppDepositRecord")[0].headers.appid,
+    "shop-app-id"
+  );
+});
+
+test("an unknown account is refused", async () => {
+  const { status, json } = await proxy.request("POST", "/get-deposit-record", {
+    body: { recordId: "missing" },
+    headers: { "X-CCPayment-Account": "nope" },
+  });
+
+  assert.equal(status, 400);
+  assert.equal(json.error, "Unknown CCPayment account: nope");
+  assert.equal(proxy.mock.calls().length, 0);
+});
+
+test("passthrough forwards the caller's signature untouched", async () => {
+  const body = "{ }";
+  const good = await proxy.request("POST", "/ccpayment/v2/getCoinList", {
+    raw: body,
+    headers: signedHeaders(body),
+  });
+  assert.equal(good.json.code, 10000);
+
+  const bad = await proxy.request("POST", "/ccpayment/v2/getCoinList", {
+    raw: body,
+    headers: { ...signedHeaders(body), Sign: "0".repeat(64) },
+  });
+  assert.equal(bad.json.code, 11002);
+});
+
+test("self-signed passthrough requests carry a valid signature", async () => {
+  const { json } = await proxy.request("POST", "/ccpayment/v2/getCoinList", {
+    body: {},
+    headers: { "X-Proxy-Key": PROXY_KEY },
+  });
+  assert.equal(json.code, 10000);
+
+  const [call] = proxy.mock.calls("getCoinList");
+  assert.equal(call.headers["x-proxy-key"], undefined);
+  assert.equal(
+    call.headers.sign,
+    expectedSign(APP_ID, APP_SECRET, call.headers.timestamp, "{}")
+  );
+});
+
+test("self-signing refuses unknown keys and endpoints", async () => {
+  const unknown = await proxy.request("POST", "/ccpayment/v2/getCoinList", {
+    body: {},
+    headers: { "X-Proxy-Key": "wrong" },
+  });
+  assert.equal(unknown.status, 401);
+
+  const denied = await proxy.request(
+    "POST",
+    "/ccpayment/v2/applyAppWithdrawToNetwork",
+    { body: {}, headers: { "X-Proxy-Key": PROXY_KEY } }
+  );
+  assert.equal(denied.status, 403);
+  assert.equal(proxy.mock.calls().length, 0);
+});
+
+test("webhooks signed by CCPayment are acknowledged", async () => {
+  const { webhook } = await proxy.mock.deposit({
+    orderId: "deposit_user-alice_1",
+  });
+
+  assert.equal(webhook.status, 200);
+  assert.equal(webhook.body, "Success");
+});
+
+test("webhooks with a bad signature, appId or timestamp are refused", async () => {
+  const body = JSON.stringify({
+    type: "ApiDeposit",
+    msg: { recordId: "r1", orderId: "o1", status: "Success" },
+  });
+  const send = (headers) =>
+    proxy.request("POST", "/webhooks/ccpayment", { raw: body, headers });
+
+  const tampered = await send({ ...signedHeaders(body), Sign: "0".repeat(64) });
+  assert.equal(tampered.status, 401);
+  assert.equal(tampered.json.error, "Invalid signature");
+
+  const unknownApp = await send(
+    signedHeaders(body, { appId: "other", appSecret: "other" })
+  );
+  assert.equal(unknownApp.status, 401);
+  assert.equal(unknownApp.json.error, "Unknown Appid");
+
+  const staleTimestamp = "1700000000";
+  const stale = await send({
+    "Content-Type": "application/json",
+    Appid: APP_ID,
+    Timestamp: staleTimestamp,
+    Sign: createSignature(APP_ID, APP_SECRET, staleTimestamp, body),
+  });
+  assert.equal(stale.status, 401);
+  assert.equal(stale.json.error, "Stale webhook timestamp");
+
+  const missing = await send({ "Content-Type": "application/json" });
+  assert.equal(missing.status, 401);
+});
+
+async function queuedWebhooks() {
+  const { json } = await proxy.request("GET", "/admin-webhook-dead-letters", {
+    as: "admin",
+  });
+  return json.pending;
+}
+
+test("a redelivered webhook is acknowledged but not forwarded again", async () => {
+  const body = JSON.stringify({
+    type: "ApiDeposit",
+    msg: { recordId: "r2", orderId: "o2", status: "Success" },
+  });
+  const headers = signedHeaders(body);
+  const before = await queuedWebhooks();
+
+  const first = await proxy.request("POST", "/webhooks/ccpayment", {
+    raw: body,
+    headers,
+  });
+  assert.equal(first.status, 200);
+  assert.equal(await queuedWebhooks(), before + 1);
+
+  // The identical request, then the same event re-signed at a later time
+  const replay = await proxy.request("POST", "/webhooks/ccpayment", {
+    raw: body,
+    headers,
+  });
+  assert.equal(replay.status, 200);
+  assert.equal(replay.text, "Success");
+
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+  const redelivery = await proxy.request("POST", "/webhooks/ccpayment", {
+    raw: body,
+    headers: signedHeaders(body),
+  });
+  assert.equal(redelivery.status, 200);
+  assert.equal(redelivery.text, "Success");
+  assert.equal(await queuedWebhooks(), before + 1);
+
+  // A new status for the same record is a new event
+  const update = JSON.stringify({
+    type: "ApiDeposit",
+    msg: { recordId: "r2", orderId: "o2", status: "Failed" },
+  });
+  const changed = await proxy.request("POST", "/webhooks/ccpayment", {
+    raw: update,
+    headers: signedHeaders(update),
+  });
+  assert.equal(changed.status, 200);
+  assert.equal(await queuedWebhooks(), before + 2);
+});
+
+test("deposits to a permanent address are attributed by referenceId", () => {
+  const event = parseWebhookEvent({
+    type: "DirectDeposit",
+    msg: { recordId: "rec-ref", referenceId: "user-alice", status: "Success" },
+  });
+  assert.equal(event.userId, "user-alice");
+
+  const ordered = parseWebhookEvent({
+    type: "ApiDeposit",
+    msg: { recordId: "rec-order", orderId: "deposit_user-bob_1700000000000" },
+  });
+  assert.equal(ordered.userId, "user-bob");
+});
+
+test("webhooks for another account verify with its secret", async () => {
+  const body = JSON.stringify({
+    type: "ApiDeposit",
+    msg: { recordId: "r3", orderId: "o3", status: "Success" },
+  });
+
+  const { status, text } = await proxy.request("POST", "/webhooks/ccpayment", {
+    raw: body,
+    headers: signedHeaders(body, {
+      appId: "shop-app-id",
+      appSecret: "shop-app-secret",
+    }),
+  });
+  assert.equal(status, 200);
+  assert.equal(text, "Success");
+});
@@ -0,0 +1,168 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const express = require("express");
+const {
+  AuthError,
+  createJwksCache,
+  createSupabaseAuth,
+} = require("../lib/supabaseAuth");
+const { listen, closeServer } = require("./helpers");
+
+const SUPABASE_URL = "https://project.supabase.co";
+const JWT_SECRET = "test-jwt-secret";
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function claims(overrides = {}) {
+  return {
+    sub: "user-alice",
+    aud: "authenticated",
+    iss: `${SUPABASE_URL}/auth/v1`,
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    ...overrides,
+  };
+}
+
+function signHs256(payload, secret = JWT_SECRET) {
+  const input = `${base64url({ alg: "HS256", typ: "JWT" })}.${base64url(
+    payload
+  )}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(input)
+    .digest("base64url");
+  return `${input}.${signature}`;
+}
+
+function signRs256(payload, key = privateKey, kid = "key-1") {
+  const input = `${base64url({ alg: "RS256", kid })}.${base64url(payload)}`;
+  const signature = crypto
+    .sign("sha256", Buffer.from(input), key)
+    .toString("base64url");
+  return `${input}.${signature}`;
+}
+
+// Serves the public key as a JWKS; `up` turns it into a 503 when false
+async function startJwks() {
+  const state = { up: true, fetches: 0 };
+  const app = express();
+  app.get("/jwks", (req, res) => {
+    state.fetches += 1;
+    if (!state.up) return res.status(503).end();
+    res.json({
+      keys: [{ ...publicKey.export({ format: "jwk" }), kid: "key-1" }],
+    });
+  });
+  const server = await listen(app);
+  state.url = `http://127.0.0.1:${server.address().port}/jwks`;
+  state.close = () => closeServer(server);
+  return state;
+}
+
+async function rejects(promise, status, message) {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof AuthError);
+    assert.equal(error.status, status);
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+}
+
+test("HS256 tokens are verified locally against the JWT secret", async () => {
+  const auth = createSupabaseAuth({
+    supabaseUrl: SUPABASE_URL,
+    jwtSecret: JWT_SECRET,
+  });
+
+  const user = await auth.authenticate(signHs256(claims()));
+  assert.equal(user.id, "user-alice");
+
+  await rejects(auth.authenticate(signHs256(claims(), "other-secret")), 401);
+  await rejects(
+    auth.authenticate(signHs256(claims({ exp: 1000 }))),
+    401,
+    /expired/
+  );
+  await rejects(
+    auth.authenticate(signHs256(claims({ aud: "anon-app" }))),
+    401,
+    /audience/
+  );
+  await rejects(
+    auth.authenticate(signHs256(claims({ iss: "https://evil.example" }))),
+    401,
+    /issuer/
+  );
+});
+
+test("tokens whose header or payload isn't a JSON object are a 401", async () => {
+  const auth = createSupabaseAuth({
+    supabaseUrl: SUPABASE_URL,
+    jwtSecret: JWT_SECRET,
+  });
+
+  for (const token of ["bnVsbA.e30.x", "e30.bnVsbA.x", "WzFd.MQ.x"]) {
+    await rejects(auth.authenticate(token), 401);
+  }
+});
+
+test("RS256 tokens are verified locally against the JWKS", async (t) => {
+  const jwks = await startJwks();
+  t.after(() => jwks.close());
+  const auth = createSupabaseAuth({
+    supabaseUrl: SUPABASE_URL,
+    jwksUrl: jwks.url,
+  });
+
+  const user = await auth.authenticate(signRs256(claims()));
+  assert.equal(user.id, "user-alice");
+
+  const { privateKey: otherKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  await rejects(auth.authenticate(signRs256(claims(), otherKey)), 401);
+  await rejects(
+    auth.authenticate(signRs256(claims({ exp: 1000 }))),
+    401,
+    /expired/
+  );
+  await rejects(
+    auth.authenticate(signRs256(claims({ aud: "anon-app" }))),
+    401,
+    /audience/
+  );
+  await rejects(
+    auth.authenticate(signRs256(claims({ iss: "https://evil.example" }))),
+    401,
+    /issuer/
+  );
+});
+
+test("a failed JWKS refresh keeps the cached keys and backs off", async (t) => {
+  const jwks = await startJwks();
+  t.after(() => jwks.close());
+  const cache = createJwksCache({ url: jwks.url, cacheMs: 0 });
+
+  assert.ok(await cache.getKey("key-1"));
+
+  jwks.up = false;
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.ok(await cache.getKey("key-1"));
+  assert.ok(await cache.getKey("key-1"));
+  assert.equal(jwks.fetches, 2);
+});
+
+test("a JWKS that never loaded fails the lookup", async (t) => {
+  const jwks = await startJwks();
+  t.after(() => jwks.close());
+  jwks.up = false;
+
+  const cache = createJwksCache({ url: jwks.url });
+  await assert.rejects(cache.getKey("key-1"));
+});
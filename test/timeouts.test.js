@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startProxy } = require("./helpers");
+
+const TIMEOUT_MS = 300;
+
+let proxy;
+
+test.before(async () => {
+  proxy = await startProxy({
+    CCPAYMENT_TIMEOUTS: JSON.stringify({
+      applyAppWithdrawToNetwork: TIMEOUT_MS,
+      getAppWithdrawRecord: TIMEOUT_MS,
+      getAppDepositRecord: TIMEOUT_MS,
+    }),
+    CCPAYMENT_PROXY_TIMEOUT_MS: String(TIMEOUT_MS),
+  });
+});
+
+test.after(() => proxy.close());
+
+test.beforeEach(() => proxy.mock.reset());
+
+async function createWithdrawal(orderId) {
+  const { json } = await proxy.request("POST", "/create-withdrawal", {
+    body: {
+      chain: "TRC20",
+      address: "TQn9Y2khEsLJW1ChVWFMSMeRDow5KcbLSE",
+      amount: 5,
+      orderId,
+    },
+    as: "alice",
+  });
+  return json.withdrawalId;
+}
+
+function approve(withdrawalId) {
+  return proxy.request("POST", "/admin-approve-withdrawal", {
+    body: { withdrawalId },
+    as: "admin",
+  });
+}
+
+test("a withdrawal that times out is a 408 and can be approved again", async () => {
+  const withdrawalId = await createWithdrawal("timeout-1");
+  proxy.mock.script({ endpoint: "applyAppWithdrawToNetwork", hang: true });
+
+  const timedOut = await approve(withdrawalId);
+  assert.equal(timedOut.status, 408);
+  assert.equal(timedOut.json.code, "withdrawal_timeout");
+  assert.equal(timedOut.json.details.withdrawalId, withdrawalId);
+
+  const { json: list } = await proxy.request("GET", "/withdrawal-requests", {
+    as: "alice",
+  });
+  const request = list.data.find((item) => item.id === withdrawalId);
+  assert.equal(request.status, "approved");
+
+  // CCPayment answers again; approving checks it before resubmitting
+  proxy.mock.reset();
+  const resumed = await approve(withdrawalId);
+  assert.equal(resumed.status, 200);
+  assert.equal(resumed.json.status, "submitted");
+  assert.ok(proxy.mock.calls("getAppWithdrawRecord").length > 0);
+  assert.equal(proxy.mock.calls("applyAppWithdrawToNetwork").length, 1);
+});
+
+test("a late-accepted withdrawal is never resent in the same call or failed as a duplicate", async () => {
+  const withdrawalId = await createWithdrawal("timeout-late");
+  // CCPayment takes the order, but only after we gave up waiting
+  proxy.mock.script({
+    endpoint: "applyAppWithdrawToNetwork",
+    delayMs: TIMEOUT_MS * 2,
+    times: 1,
+  });
+
+  const timedOut = await approve(withdrawalId);
+  assert.equal(timedOut.status, 408);
+  assert.equal(proxy.mock.calls("applyAppWithdrawToNetwork").length, 1);
+  await new Promise((resolve) => setTimeout(resolve, TIMEOUT_MS * 2));
+
+  // The record isn't visible yet, so approving resends and hears
+  // "duplicate orderId"; that is not a failure
+  proxy.mock.script({
+    endpoint: "getAppWithdrawRecord",
+    code: 12002,
+    times: 2,
+  });
+  const unconfirmed = await approve(withdrawalId);
+  assert.equal(unconfirmed.status, 409);
+  assert.equal(unconfirmed.json.code, "withdrawal_unconfirmed");
+  assert.equal(proxy.mock.calls("applyAppWithdrawToNetwork").length, 2);
+
+  // Once CCPayment shows the record, approving picks it up
+  const resumed = await approve(withdrawalId);
+  assert.equal(resumed.status, 200);
+  assert.equal(resumed.json.status, "submitted");
+  assert.equal(resumed.json.replayed, true);
+  assert.equal(proxy.mock.calls("applyAppWithdrawToNetwork").length, 2);
+});
+
+test("a slow answer inside the timeout still succeeds", async () => {
+  const withdrawalId = await createWithdrawal("timeout-2");
+  proxy.mock.script({
+    endpoint: "applyAppWithdrawToNetwork",
+    delayMs: TIMEOUT_MS / 3,
+  });
+
+  const { status, json } = await approve(withdrawalId);
+  assert.equal(status, 200);
+  assert.equal(json.status, "submitted");
+});
+
+test("a record lookup that times out is a 504", async () => {
+  proxy.mock.script({ endpoint: "getAppDepositRecord", hang: true });
+
+  const { status, json } = await proxy.request("POST", "/get-deposit-record", {
+    body: { recordId: "r1" },
+  });
+
+  assert.equal(status, 504);
+  assert.equal(json.success, false);
+  assert.equal(json.code, "upstream_timeout");
+});
+
+test("a passthrough request that times out is a 504", async () => {
+  proxy.mock.script({ endpoint: "/slow", hang: true });
+
+  const startedAt = Date.now();
+  const { status, json } = await proxy.request("POST", "/api/slow", {
+    body: {},
+  });
+
+  assert.equal(status, 504);
+  assert.equal(json.error, "API Proxy error");
+  assert.equal(json.code, "upstream_timeout");
+  assert.ok(Date.now() - startedAt < 5000);
+});
@@ -0,0 +1,205 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startProxy } = require("./helpers");
+
+const TRON_ADDRESS = "TQn9Y2khEsLJW1ChVWFMSMeRDow5KcbLSE";
+
+let proxy;
+
+test.before(async () => {
+  proxy = await startProxy();
+});
+
+test.after(() => proxy.close());
+
+// Every case is refused before CCPayment is called
+const CASES = [
+  ["POST", "/generate-wallet", {}, undefined],
+  ["POST", "/generate-wallet", { userId: "u1", chain: "TRC20" }, undefined],
+  [
+    "POST",
+    "/generate-wallet",
+    { userId: "a/b", chain: "TRC20", currency: "USDT" },
+    undefined,
+  ],
+  [
+    "POST",
+    "/generate-wallet",
+    { userId: "u".repeat(41), chain: "TRC20", currency: "USDT" },
+    undefined,
+  ],
+  ["POST", "/get-deposit-record", {}, undefined],
+  ["POST", "/get-withdrawal-record", {}, undefined],
+  ["POST", "/create-withdrawal", {}, "alice"],
+  [
+    "POST",
+    "/create-withdrawal",
+    { chain: "TRC20", address: TRON_ADDRESS, amount: 5 },
+    "alice",
+  ],
+  [
+    "POST",
+    "/create-withdrawal",
+    { chain: "TRC20", address: "0x123", amount: 5, orderId: "o1" },
+    "alice",
+  ],
+  [
+    "POST",
+    "/create-withdrawal",
+    { chain: "TRC20", address: TRON_ADDRESS, amount: "0", orderId: "o-1" },
+    "alice",
+  ],
+  [
+    "POST",
+    "/create-withdrawal",
+    { chain: "TRC20", address: TRON_ADDRESS, amount: "-5", orderId: "o-1" },
+    "alice",
+  ],
+  [
+    "POST",
+    "/create-withdrawal",
+    { chain: "TRC20", address: TRON_ADDRESS, amount: "1e3", orderId: "o-1" },
+    "alice",
+  ],
+  [
+    "POST",
+    "/create-withdrawal",
+    { chain: "TRC20", address: TRON_ADDRESS, amount: 5, orderId: "a/b" },
+    "alice",
+  ],
+  [
+    "POST",
+    "/create-withdrawal",
+    {
+      chain: "TRC20",
+      address: TRON_ADDRESS,
+      amount: 5,
+      orderId: "o".repeat(65),
+    },
+    "alice",
+  ],
+  ["POST", "/admin-approve-withdrawal", {}, "admin"],
+  ["POST", "/admin-reject-withdrawal", {}, "admin"],
+  ["POST", "/withdrawal-addresses", { chain: "TRC20" }, "alice"],
+  [
+    "POST",
+    "/withdrawal-addresses",
+    { chain: "TRC20", address: "not-an-address" },
+    "alice",
+  ],
+  ["DELETE", "/withdrawal-addresses", {}, "alice"],
+];
+
+for (const [method, route, body, as] of CASES) {
+  test(`${method} ${route} ${JSON.stringify(body)} is a 400`, async () => {
+    proxy.mock.reset();
+    const { status, json } = await proxy.request(method, route, { body, as });
+
+    assert.equal(status, 400);
+    assert.equal(json.success, false);
+    assert.equal(typeof json.error, "string");
+    assert.match(json.code, /^(validation_failed|invalid_address)$/);
+    assert.equal(proxy.mock.calls().length, 0);
+  });
+}
+
+test("validation errors list every problem in the error envelope", async () => {
+  const { status, json, headers } = await proxy.request(
+    "POST",
+    "/create-withdrawal",
+    { body: { chain: "TRC20", amount: "0.00" }, as: "alice" }
+  );
+
+  assert.equal(status, 400);
+  assert.deepEqual(json, {
+    success: false,
+    error:
+      "Invalid request body: address is required; orderId is required; amount must be a positive decimal",
+    code: "validation_failed",
+    details: [
+      { field: "address", message: "is required" },
+      { field: "orderId", message: "is required" },
+      { field: "amount", message: "must be a positive decimal" },
+    ],
+    requestId: headers.get("x-request-id"),
+  });
+});
+
+test("decimal strings and numbers are accepted as amounts", async () => {
+  for (const [amount, orderId] of [
+    ["12.5", "amount-1"],
+    [0.25, "amount-2"],
+  ]) {
+    const { status } = await proxy.request("POST", "/create-withdrawal", {
+      body: { chain: "TRC20", address: TRON_ADDRESS, amount, orderId },
+      as: "alice",
+    });
+    assert.equal(status, 202);
+  }
+});
+
+test("userIds up to 40 characters fit the deposit orderId", async () => {
+  for (const userId of ["u".repeat(40), 12345]) {
+    const { status } = await proxy.request("POST", "/generate-wallet", {
+      body: { userId, chain: "TRC20", currency: "USDT" },
+    });
+    assert.equal(status, 200);
+  }
+});
+
+test("a body that isn't JSON is a 400 invalid_json", async () => {
+  const { status, json } = await proxy.request("POST", "/create-withdrawal", {
+    raw: "{not json",
+    headers: { "Content-Type": "application/json" },
+    as: "alice",
+  });
+
+  assert.equal(status, 400);
+  assert.equal(json.code, "invalid_json");
+  assert.ok(json.requestId);
+});
+
+test("an unsupported coin and chain is a 400", async () => {
+  const { status, json } = await proxy.request("POST", "/generate-wallet", {
+    body: { userId: "u1", chain: "TRC20", currency: "DOGE" },
+  });
+
+  assert.equal(status, 400);
+  assert.equal(json.success, false);
+});
+
+test("a reused orderId with different details is a 409", async () => {
+  const body = {
+    chain: "TRC20",
+    address: TRON_ADDRESS,
+    amount: 5,
+    orderId: "validation-1",
+  };
+
+  const first = await proxy.request("POST", "/create-withdrawal", {
+    body,
+    as: "alice",
+  });
+  assert.equal(first.status, 202);
+
+  const replay = await proxy.request("POST", "/create-withdrawal", {
+    body,
+    as: "alice",
+  });
+  assert.equal(replay.status, 200);
+  assert.equal(replay.json.replayed, true);
+
+  const changed = await proxy.request("POST", "/create-withdrawal", {
+    body: { ...body, amount: 6 },
+    as: "alice",
+  });
+  assert.equal(changed.status, 409);
+});
+
+test("unknown routes are a 404", async () => {
+  const { status, json } = await proxy.request("GET", "/nope");
+
+  assert.equal(status, 404);
+  assert.equal(json.error, "Route not found");
+  assert.equal(json.code, "route_not_found");
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startProxy } = require("./helpers");
+
+// A webhook that ran out of delivery attempts before this run started
+const DEAD_LETTER = {
+  id: "evt-dead-1",
+  event: {
+    kind: "deposit",
+    type: "DirectDeposit",
+    recordId: "rec-dead-1",
+    orderId: "deposit_user-alice_1700000000_0a1b",
+    userId: "user-alice",
+    status: "Success",
+  },
+  status: "dead",
+  attempts: 8,
+  lastError: "HTTP 500",
+  nextAttemptAt: 0,
+  createdAt: "2026-10-01T00:00:00.000Z",
+  deadAt: "2026-10-01T02:00:00.000Z",
+};
+
+let proxy;
+
+test.before(async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ccpayment-proxy-"));
+  fs.writeFileSync(
+    path.join(dataDir, "webhook-queue.jsonl"),
+    JSON.stringify({ op: "put", record: DEAD_LETTER }) + "\n"
+  );
+
+  proxy = await startProxy({
+    DATA_DIR: dataDir,
+    // Never delivered here; nothing runs the queue in these tests
+    SUPABASE_WEBHOOK_FUNCTION_URL: "http://127.0.0.1:1/",
+  });
+});
+
+test.after(() => proxy.close());
+
+function deadLetters(as = "admin") {
+  return proxy.request("GET", "/admin-webhook-dead-letters", { as });
+}
+
+function replay(eventId, as = "admin") {
+  return proxy.request("POST", "/admin-replay-webhook", {
+    body: { eventId },
+    as,
+  });
+}
+
+test("only admins see or replay dead letters", async () => {
+  assert.equal((await deadLetters("alice")).status, 403);
+  assert.equal((await replay(DEAD_LETTER.id, "alice")).status, 403);
+});
+
+test("dead letters are listed with their last error", async () => {
+  const { status, json } = await deadLetters();
+
+  assert.equal(status, 200);
+  assert.equal(json.pending, 0);
+  assert.equal(json.deadLetters.length, 1);
+  assert.equal(json.deadLetters[0].id, DEAD_LETTER.id);
+  assert.equal(json.deadLetters[0].lastError, "HTTP 500");
+  assert.deepEqual(json.deadLetters[0].event, DEAD_LETTER.event);
+});
+
+test("a replayed dead letter goes back on the queue once", async () => {
+  const { status, json } = await replay(DEAD_LETTER.id);
+  assert.equal(status, 200);
+  assert.equal(json.eventId, DEAD_LETTER.id);
+  assert.equal(json.status, "pending");
+
+  const after = await deadLetters();
+  assert.equal(after.json.pending, 1);
+  assert.deepEqual(after.json.deadLetters, []);
+
+  // It is pending now, not dead, so it can't be replayed again
+  const again = await replay(DEAD_LETTER.id);
+  assert.equal(again.status, 404);
+});
+
+test("replaying an unknown event is a 404", async () => {
+  const { status, json } = await replay("evt-unknown");
+
+  assert.equal(status, 404);
+  assert.equal(json.error, "Dead letter not found");
+});
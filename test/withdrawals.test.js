@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startProxy } = require("./helpers");
+
+const TRON_ADDRESS = "TQn9Y2khEsLJW1ChVWFMSMeRDow5KcbLSE";
+// The EIP-55 example address
+const EVM_ADDRESS = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+
+let proxy;
+
+test.before(async () => {
+  proxy = await startProxy();
+});
+
+test.after(() => proxy.close());
+
+test.beforeEach(() => proxy.mock.reset());
+
+function saveAddress(body, as = "alice") {
+  return proxy.request("POST", "/withdrawal-addresses", { body, as });
+}
+
+function listAddresses(as = "alice") {
+  return proxy.request("GET", "/withdrawal-addresses", { as });
+}
+
+test("users save, list and remove their own withdrawal addresses", async () => {
+  const saved = await saveAddress({
+    chain: "TRC20",
+    address: TRON_ADDRESS,
+    label: "cold wallet",
+  });
+  assert.equal(saved.status, 201);
+  assert.equal(saved.json.data.chain, "TRX");
+  assert.equal(saved.json.data.label, "cold wallet");
+
+  const mine = await listAddresses();
+  assert.deepEqual(
+    mine.json.data.map((entry) => entry.address),
+    [TRON_ADDRESS]
+  );
+  const theirs = await listAddresses("bob");
+  assert.deepEqual(theirs.json.data, []);
+
+  // bob can't remove alice's address
+  const notBob = await proxy.request("DELETE", "/withdrawal-addresses", {
+    body: { chain: "TRC20", address: TRON_ADDRESS },
+    as: "bob",
+  });
+  assert.equal(notBob.status, 404);
+
+  const removed = await proxy.request("DELETE", "/withdrawal-addresses", {
+    body: { chain: "TRON", address: TRON_ADDRESS },
+    as: "alice",
+  });
+  assert.equal(removed.status, 200);
+  assert.deepEqual((await listAddresses()).json.data, []);
+});
+
+test("the withdrawal address routes need a signed-in user", async () => {
+  const { status } = await proxy.request("GET", "/withdrawal-addresses");
+  assert.equal(status, 401);
+});
+
+test("EVM addresses with a broken EIP-55 checksum are refused", async () => {
+  const checksummed = await saveAddress({ chain: "ETH", address: EVM_ADDRESS });
+  assert.equal(checksummed.status, 201);
+  // All-lowercase carries no checksum
+  const lower = await saveAddress({
+    chain: "BSC",
+    address: EVM_ADDRESS.toLowerCase(),
+  });
+  assert.equal(lower.status, 201);
+
+  // One letter's case flipped
+  const tampered = EVM_ADDRESS.replace("aA", "aa");
+  const { status, json } = await saveAddress({
+    chain: "ETH",
+    address: tampered,
+  });
+  assert.equal(status, 400);
+  assert.equal(json.code, "invalid_address");
+  assert.equal(json.error, `Invalid ETH address: ${tampered}`);
+});
+
+test("TRON addresses must be base58check with the T prefix", async () => {
+  for (const address of [
+    // Last character changed, so the checksum fails
+    TRON_ADDRESS.slice(0, -1) + "F",
+    // 0 is not in the base58 alphabet
+    TRON_ADDRESS.slice(0, -1) + "0",
+    // Valid base58, but a Bitcoin address
+    "1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2",
+  ]) {
+    const { status, json } = await proxy.request("POST", "/create-withdrawal", {
+      body: { chain: "TRC20", address, amount: 5, orderId: "bad-tron" },
+      as: "alice",
+    });
+    assert.equal(status, 400, address);
+    assert.equal(json.code, "invalid_address");
+  }
+  assert.equal(proxy.mock.calls().length, 0);
+});
+
+test("/get-withdrawal-record returns CCPayment's record by orderId", async () => {
+  const created = await proxy.request("POST", "/create-withdrawal", {
+    body: {
+      chain: "TRC20",
+      address: TRON_ADDRESS,
+      amount: 5,
+      orderId: "record-lookup",
+    },
+    as: "alice",
+  });
+  const approved = await proxy.request("POST", "/admin-approve-withdrawal", {
+    body: { withdrawalId: created.json.withdrawalId },
+    as: "admin",
+  });
+  assert.equal(approved.json.status, "submitted");
+
+  const { status, json } = await proxy.request(
+    "POST",
+    "/get-withdrawal-record",
+    { body: { orderId: "record-lookup" } }
+  );
+  assert.equal(status, 200);
+  assert.equal(json.data.orderId, "record-lookup");
+  assert.equal(json.data.toAddress, TRON_ADDRESS);
+  assert.equal(json.data.amount, "5");
+
+  const missing = await proxy.request("POST", "/get-withdrawal-record", {
+    body: { orderId: "never-sent" },
+  });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.json.code, "ccpayment_error");
+  assert.equal(missing.json.details.ccpaymentCode, 12002);
+});